@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { simplifyGeometry } from '../src/geo.js';
+
+// ------------------------------
+// 🗺️ build-basemap: cartografía comunal -> contornos del mapa offline
+// ------------------------------
+// npm run build-basemap -- --in comunas.geojson
+// Simplifica los polígonos y escribe public/basemap/comunas.geojson, que el
+// mapa base `offline` dibuja sobre public/basemap/chile.geojson.
+
+const USAGE = `
+Uso: npm run build-basemap -- --in <comunas.geojson> [opciones]
+
+  --in <archivo>         GeoJSON de comunas en lon/lat (p. ej. la cartografía del notebook, CARTO_PATH)
+  --out <archivo>        Archivo de salida (por defecto public/basemap/comunas.geojson)
+  --tolerance <grados>   Tolerancia de simplificación (por defecto 0.002, unos 200 m)
+  --digits <n>           Decimales de las coordenadas (por defecto 4)
+`;
+
+const OPTIONS = {
+  in: { type: 'string' },
+  out: { type: 'string', default: 'public/basemap/comunas.geojson' },
+  tolerance: { type: 'string', default: '0.002' },
+  digits: { type: 'string', default: '4' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const coordinatesOf = (features) => features.flatMap((f) => f.geometry.coordinates.flat(Infinity));
+const countPoints = (features) => coordinatesOf(features).length / 2;
+
+async function main() {
+  const { values: options } = parseArgs({ options: OPTIONS });
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!options.in) throw new Error(`Falta --in\n${USAGE}`);
+
+  const tolerance = Number(options.tolerance);
+  const digits = Number(options.digits);
+  if (!(tolerance >= 0) || !Number.isInteger(digits)) {
+    throw new Error(`--tolerance y --digits deben ser números: ${options.tolerance}, ${options.digits}`);
+  }
+
+  const geojson = JSON.parse(await readFile(options.in, 'utf8'));
+  const input = (geojson.features || []).filter((f) => /Polygon$/.test(f.geometry?.type || ''));
+  if (coordinatesOf(input).some((value) => Math.abs(value) > 180)) {
+    throw new Error(`${options.in}: coordenadas fuera de lon/lat; reproyecta la cartografía a EPSG:4326 (to_crs(4326))`);
+  }
+
+  // El mapa base solo dibuja los bordes: no hacen falta las propiedades
+  const features = input
+    .map((feature) => ({ type: 'Feature', properties: {}, geometry: simplifyGeometry(feature.geometry, tolerance, digits) }))
+    .filter((feature) => feature.geometry);
+
+  if (!features.length) throw new Error(`${options.in}: no tiene polígonos`);
+
+  const text = JSON.stringify({ type: 'FeatureCollection', features });
+  await mkdir(path.dirname(options.out), { recursive: true });
+  await writeFile(options.out, `${text}\n`);
+
+  console.log(`🗺️ ${features.length} de ${input.length} comunas, ${countPoints(input).toLocaleString('es-CL')} -> ${countPoints(features).toLocaleString('es-CL')} vértices`);
+  console.log(`💾 Escrito ${options.out} (${Math.round(text.length / 1024).toLocaleString('es-CL')} KB)`);
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { formatCSV } from '../src/csv.js';
+import { parseTable } from '../src/loaders.js';
+import { parseList } from '../src/url-state.js';
+import {
+  OD_SCHEMA,
+  readCodeTables,
+  placesFromGeoJSON,
+  placesFromCSV,
+  assignRegions,
+  buildDataset,
+} from '../src/dataset-builder.js';
+
+// ------------------------------
+// 🏗️ build-dataset: tabla OD -> carpeta lista para servir
+// ------------------------------
+// npm run build-dataset -- --od od.csv --places comunas.geojson \
+//   --codes ../../input/codigos_territoriales.csv --min 100 --origin-region 13 \
+//   --out public/origenrm_100 --id origenrm_100 --title "Origen RM (n > 100)"
+
+const USAGE = `
+Uso: npm run build-dataset -- --od <od.csv> --places <comunas.geojson|centroides.csv> --out <carpeta> [opciones]
+
+Entradas
+  --od <archivo>             Tabla OD larga: origen,destino[,n] (sin n, cada fila es una persona),
+                             en CSV, Parquet, Arrow o JSON
+  --places <archivo>         GeoJSON de comunas (se usan sus centroides) o CSV id,lat,lon[,name][,region]
+  --codes <archivo>          Tabla código,nombre para traducir códigos (se puede repetir)
+  --regions <archivo>        CSV id,group,group_name con la región de cada comuna (p. ej. public/regiones.csv)
+  --origin-column <nombre>   Columna de origen, si no es origin/origen/p24_lug_resid5_esp
+  --dest-column <nombre>     Columna de destino, si no es dest/destino/comuna
+  --count-column <nombre>    Columna de conteo, si no es count/n/personas
+  --id-property <nombre>     Propiedad con el nombre de comuna en el GeoJSON (por defecto COMUNA)
+  --region-property <nombre> Propiedad o columna con la región (por defecto COD_REG)
+
+Filtros
+  --min <n>                  Umbral: solo flujos con n > umbral (por defecto 0)
+  --origin-region <lista>    Regiones de origen (códigos o nombres, separadas por comas)
+  --dest-region <lista>      Regiones de destino
+  --include-islands          No descartar comunas fuera de Chile continental
+  --keep-self-flows          Conservar flujos con origen = destino
+
+Salida
+  --out <carpeta>            Carpeta donde se escriben flows.csv y locations.csv
+  --catalog <archivo>        Catálogo a actualizar (por defecto public/datasets.json; "none" para omitir)
+  --id, --title, --description  Datos de la entrada del catálogo (id por defecto: nombre de la carpeta)
+`;
+
+const OPTIONS = {
+  od: { type: 'string' },
+  places: { type: 'string' },
+  codes: { type: 'string', multiple: true, default: [] },
+  regions: { type: 'string' },
+  'origin-column': { type: 'string' },
+  'dest-column': { type: 'string' },
+  'count-column': { type: 'string' },
+  'id-property': { type: 'string' },
+  'region-property': { type: 'string' },
+  min: { type: 'string', default: '0' },
+  'origin-region': { type: 'string' },
+  'dest-region': { type: 'string' },
+  'include-islands': { type: 'boolean', default: false },
+  'keep-self-flows': { type: 'boolean', default: false },
+  out: { type: 'string' },
+  catalog: { type: 'string', default: 'public/datasets.json' },
+  id: { type: 'string' },
+  title: { type: 'string' },
+  description: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+// Entrada del catálogo con rutas relativas a la carpeta del catálogo
+function createCatalogEntry(options, { outDir, catalogFile, threshold }) {
+  const catalogDir = path.dirname(catalogFile);
+  const relative = (file) => path.relative(catalogDir, file).split(path.sep).join('/');
+
+  const entry = {
+    id: options.id || path.basename(outDir),
+    title: options.title || options.id || path.basename(outDir),
+    description: options.description || '',
+    threshold,
+    locations: relative(path.join(outDir, 'locations.csv')),
+    flows: relative(path.join(outDir, 'flows.csv')),
+  };
+
+  // La agrupación por región solo sirve si el navegador puede descargarla
+  if (options.regions && !relative(options.regions).startsWith('..')) {
+    entry.groups = relative(options.regions);
+  }
+  return entry;
+}
+
+// Agrega o reemplaza (por id) la entrada en el catálogo
+async function updateCatalog(catalogFile, entry) {
+  let catalog = { datasets: [] };
+  try {
+    catalog = JSON.parse(await readFile(catalogFile, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`${catalogFile}: ${error.message}`);
+  }
+
+  const datasets = catalog.datasets || [];
+  const index = datasets.findIndex((d) => d.id === entry.id);
+  if (index === -1) datasets.push(entry);
+  else datasets[index] = { ...datasets[index], ...entry };
+
+  await writeFile(catalogFile, `${JSON.stringify({ ...catalog, datasets }, null, 2)}\n`);
+  return index === -1 ? 'agregada' : 'actualizada';
+}
+
+function printStats(stats, { flows, locations }) {
+  const format = (n) => n.toLocaleString('es-CL');
+  console.log(`📄 Filas OD: ${format(stats.rows)} (${format(stats.people)} personas)`);
+  console.log(`🔗 Pares origen-destino con comunas conocidas: ${format(stats.pairs)}`);
+  console.log(`   - flujos internos descartados: ${format(stats.selfFlows)}`);
+  console.log(`   - fuera de Chile continental: ${format(stats.outsideBBox)}`);
+  console.log(`   - fuera de las regiones pedidas: ${format(stats.outsideRegion)}`);
+  console.log(`   - bajo el umbral: ${format(stats.belowThreshold)}`);
+  console.log(`✅ ${format(flows.length)} flujos entre ${format(locations.length)} comunas`);
+
+  if (stats.unmatched.size) {
+    const top = [...stats.unmatched].sort((a, b) => b[1] - a[1]).slice(0, 10);
+    console.warn(`⚠️ ${stats.unmatched.size} nombres sin comuna en la cartografía (personas):`);
+    for (const [name, people] of top) console.warn(`   ${name}: ${format(people)}`);
+  }
+}
+
+async function main() {
+  const { values: options } = parseArgs({ options: OPTIONS });
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!options.od || !options.places || !options.out) {
+    throw new Error(`Faltan --od, --places o --out\n${USAGE}`);
+  }
+
+  const threshold = Number(options.min);
+  if (!Number.isFinite(threshold)) throw new Error(`--min debe ser un número: ${options.min}`);
+
+  // Tabla OD
+  const aliases = {
+    origin: options['origin-column'],
+    dest: options['dest-column'],
+    count: options['count-column'],
+  };
+  const od = await parseTable(await readFile(options.od), OD_SCHEMA, {
+    aliases: Object.fromEntries(Object.entries(aliases).filter(([, v]) => v)),
+    file: path.basename(options.od),
+  });
+  if (od.rejected.length) {
+    console.warn(`⚠️ ${od.rejected.length} filas OD rechazadas (primera: línea ${od.rejected[0].line}, ${od.rejected[0].reason})`);
+  }
+
+  // Cartografía o centroides
+  const placesText = await readFile(options.places, 'utf8');
+  const placeOptions = {
+    idProperty: options['id-property'],
+    regionProperty: options['region-property'],
+    file: path.basename(options.places),
+  };
+  let places = /\.(geo)?json$/i.test(options.places)
+    ? placesFromGeoJSON(JSON.parse(placesText), placeOptions)
+    : placesFromCSV(placesText, placeOptions).places;
+  if (options.regions) {
+    places = assignRegions(places, await readFile(options.regions, 'utf8'), { file: path.basename(options.regions) });
+  }
+  console.log(`🗺️ ${places.length} comunas en ${path.basename(options.places)}`);
+
+  const codes = readCodeTables(await Promise.all(options.codes.map((file) => readFile(file, 'utf8'))));
+
+  const result = buildDataset(od.records, places, {
+    codes,
+    threshold,
+    originRegions: parseList(options['origin-region']),
+    destRegions: parseList(options['dest-region']),
+    continentalOnly: !options['include-islands'],
+    keepSelfFlows: options['keep-self-flows'],
+  });
+  printStats(result.stats, result);
+
+  // Archivos del dataset
+  await mkdir(options.out, { recursive: true });
+  await writeFile(path.join(options.out, 'flows.csv'), formatCSV(['origin', 'dest', 'count'], result.flows));
+  await writeFile(path.join(options.out, 'locations.csv'), formatCSV(['id', 'lat', 'lon', 'name'], result.locations));
+  console.log(`💾 Escrito ${options.out}/flows.csv y ${options.out}/locations.csv`);
+
+  if (options.catalog !== 'none') {
+    const entry = createCatalogEntry(options, { outDir: options.out, catalogFile: options.catalog, threshold });
+    const action = await updateCatalog(options.catalog, entry);
+    console.log(`📚 Entrada "${entry.id}" ${action} en ${options.catalog}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -1,201 +1,457 @@
-import { Deck } from "@deck.gl/core";
-import { TileLayer } from "@deck.gl/geo-layers";
-import { BitmapLayer } from "@deck.gl/layers";
+import { Deck, FlyToInterpolator, MapView } from "@deck.gl/core";
+import { LineLayer, ScatterplotLayer } from "@deck.gl/layers";
 import { FlowmapLayer } from '@flowmap.gl/layers';
+import { loadCatalog, findDataset } from './catalog.js';
+import { formatCSV } from './csv.js';
+import { downloadFile } from './download.js';
+import { escapeHTML } from './html.js';
+import { DIMMED_OPACITY, LAYER_ACCESSORS, createFocusLayers } from './flow-layer.js';
+import { createTooltipElement, placeTooltip, locationTooltipHTML, flowTooltipHTML, netFlowTooltipHTML } from './tooltip.js';
+import { summarizeLocation, computeLocationTotals } from './stats.js';
+import { readDataset, bundleFlows } from './data-client.js';
+import { computeNetFlows } from './net.js';
+import { createDivergingColorScale, createSequentialColorScale } from './colors.js';
+import { loadBoundaries, matchBoundaries } from './boundaries.js';
+import {
+  CHOROPLETH_METRICS,
+  getNumericColumns,
+  getMetricColumn,
+  computeMetricValues,
+  createChoroplethLayer,
+} from './choropleth.js';
+import {
+  DEFAULT_GROUP_MAX_ZOOM,
+  loadGroups,
+  isGroupId,
+  buildGroupClusterLevels,
+  aggregateFlowsByGroup,
+} from './groups.js';
+import { showLocationPanel, hideLocationPanel } from './location-panel.js';
+import {
+  BASEMAPS,
+  DEFAULT_BASEMAP,
+  isTileTemplate,
+  resolveBasemap,
+  getBackgroundColor,
+  loadOfflineData,
+  createBasemapLayers,
+} from './basemaps.js';
+import {
+  createDefaultFilters,
+  hasActiveFilters,
+  applyFlowFilters,
+} from './filters.js';
+import {
+  createFlowLegend,
+  createThicknessLegend,
+  createCircleLegend,
+  createScaleLegend,
+  createDiffLegend,
+} from './legend.js';
+import { showLegendPanel, hideLegendPanel } from './legend-panel.js';
+import { DIAGNOSTIC_CHECKS } from './diagnostics.js';
+import { LOCAL_SCHEMAS, findDatasetFiles, createLocalDataset } from './local-files.js';
+import { showColumnDialog } from './column-dialog.js';
+import { getLoaderExtensions } from './loaders.js';
+import { renderMapImage, flowsToCSV, locationsToCSV, toGeoJSON } from './export.js';
+import { canRecordVideo, recordMapVideo } from './recorder.js';
+import {
+  buildStateParams,
+  parseList,
+  writeURL,
+  loadPresets,
+  savePreset,
+  deletePreset,
+} from './url-state.js';
+import { mergeLocations, computeFlowDiff, toDiffFlows } from './compare.js';
+import { formatNumber, formatSigned, formatDecimal, formatPercent } from './format.js';
+import { t, setLocale, getLocale, getLocales } from './i18n.js';
+import { searchLocations } from './search.js';
+import { createSearchBox } from './search-box.js';
+import { createFlowTable } from './flow-table.js';
+import { loadStory } from './story.js';
+import { createStoryPlayer } from './story-player.js';
+import {
+  FLOW_RENDERERS,
+  ARC_HEIGHTS,
+  isFlowRenderer,
+  toLineFlows,
+  getLineLocationTotals,
+  createArcLayer,
+  createBundleLayer,
+  createLineLocationsLayer,
+} from './flow-lines.js';
+import {
+  FLOW_METRICS,
+  isFlowMetric,
+  getPopulationColumn,
+  getPopulations,
+  computeFlowTotals,
+  applyFlowMetric,
+  formatMetricValue,
+} from './metrics.js';
 
 // ------------------------------
 // 🔥 CONFIGURACIÓN POR URL
 // ------------------------------
-function getConfigFromURL() {
-  const params = new URLSearchParams(window.location.search);
+function getConfigFromURL(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  
+  // Número opcional: undefined si el parámetro no está o no es válido
+  const optionalNumber = (key) => {
+    const value = parseFloat(params.get(key));
+    return Number.isFinite(value) ? value : undefined;
+  };
+  const optionalBoolean = (key) => (params.has(key) ? params.get(key) !== 'false' : undefined);
   
   return {
-    // Archivos de datos (pueden estar en subcarpetas)
-    locationsFile: params.get('locations') || 'locations.csv',
-    flowsFile: params.get('flows') || 'flows.csv',
+    // Archivos de datos (pueden estar en subcarpetas).
+    // Si se indican, tienen prioridad sobre el catálogo.
+    locationsFile: params.get('locations'),
+    flowsFile: params.get('flows'),
+    
+    // Catálogo de datasets
+    catalogFile: params.get('catalog') || 'datasets.json',
+    datasetId: params.get('dataset'),
     
     // Centro y zoom del mapa
     centerLon: parseFloat(params.get('lon')) || -70.65,
     centerLat: parseFloat(params.get('lat')) || -33.45,
     zoom: parseFloat(params.get('zoom')) || 6,
+    pitch: optionalNumber('pitch') ?? 15,
+    bearing: optionalNumber('bearing') ?? 0,
     
     // Estilo
-    baseMap: params.get('basemap') || 'dark_all',
+    baseMap: params.get('basemap') || DEFAULT_BASEMAP, // id del registro o plantilla de teselas
+    darkBasemap: params.has('dark') ? params.get('dark') !== 'false' : undefined, // para plantillas propias
     colorScheme: params.get('colors') || 'Magma',  // ← COLORr
-    title: params.get('title') || 'Flowmap Visualización',
+    title: params.get('title'), // Sin título: el del idioma actual (ver getTitle)
+    lang: params.get('lang'), // Idioma: es-CL, en (sin él, el del navegador)
+    sourceNote: params.get('source'), // Nota de fuente en el PNG exportado
+    
+    // Límites comunales (GeoJSON) para la coropleta
+    boundariesFile: params.get('boundaries'),
+    boundaryIdProperty: params.get('boundaryid'),
+    choropleth: params.get('choropleth') || 'none',
+    
+    // Agrupación comuna → región (CSV id,group,group_name)
+    groupsFile: params.get('groups'),
+    level: ['group', 'location'].includes(params.get('level')) ? params.get('level') : 'auto',
+    groupMaxZoom: parseFloat(params.get('groupzoom')) || DEFAULT_GROUP_MAX_ZOOM,
+    
+    // Modo de vista: 'gross' (flujos brutos) o 'net' (saldo neto)
+    viewMode: params.get('mode') === 'net' ? 'net' : 'gross',
+    
+    // Dibujo de los flujos: 'flowmap', 'arcs' (arcos 3D) o 'bundled' (haces)
+    renderer: isFlowRenderer(params.get('renderer')) ? params.get('renderer') : 'flowmap',
+    arcHeight: params.get('archeight') === 'count' ? 'count' : 'distance', // Altura de los arcos
+    
+    // Comparación con un segundo dataset (B): id del catálogo o archivos
+    compareId: params.get('compare'),
+    compareFlowsFile: params.get('compareflows'),
+    compareLocationsFile: params.get('comparelocations'),
+    compareView: params.get('compareview') === 'side' ? 'side' : 'diff', // 'diff' o 'side' (lado a lado)
+    diffMetric: params.get('diff') === 'pct' ? 'percent' : 'absolute',
     
-    // Configuraciones específicas
-    minFlow: parseInt(params.get('min')) || 1,
-    maxDistance: params.get('maxdist') ? parseInt(params.get('maxdist')) : null,
+    // Métrica de los flujos: 'count', 'rate', 'originShare' o 'destShare'
+    flowMetric: isFlowMetric(params.get('metric')) ? params.get('metric') : 'count',
+    populationColumn: params.get('popcol'), // Columna de población en locations.csv
+    
+    // Filtros iniciales (se pueden cambiar desde el panel)
+    minFlow: parseFloat(params.get('min')) || 0,
+    minDistance: params.get('mindist') ? parseFloat(params.get('mindist')) : null,
+    maxDistance: params.get('maxdist') ? parseFloat(params.get('maxdist')) : null,
+    topN: parseInt(params.get('top')) || null,
+    origins: parseList(params.get('origins')),
+    destinations: parseList(params.get('dests')),
+    
+    // Comuna (o región) en modo foco
+    selected: params.get('selected'),
+    
+    // Historia (recorrido guiado) en JSON, ver story.js
+    storyFile: params.get('story'),
+    
+    // Sliders y toggles del panel (undefined = valor por defecto)
+    settings: {
+      opacity: optionalNumber('opacity'),
+      maxFlows: optionalNumber('maxflows') ?? optionalNumber('particles'), // `particles`: nombre antiguo
+      animationEnabled: optionalBoolean('anim'),
+      drawPoints: optionalBoolean('points'),
+    },
     
     // Control de visibilidad
     showControls: params.get('controls') !== 'false', // true por defecto
-    showPoints: params.get('points') !== 'false', // true por defecto
-  };
-}
-
-// ------------------------------
-// Cargar CSV (ahora con parámetros)
-// ------------------------------
-async function loadCSV(filename) {
-  console.log(`📂 Cargando archivo: ${filename}`);
-  const text = await fetch(filename).then((r) => {
-    if (!r.ok) throw new Error(`No se pudo cargar ${filename}`);
-    return r.text();
-  });
-  const lines = text.trim().split("\n");
-  return {
-    header: lines[0].split(","),
-    rows: lines.slice(1).map((r) => r.split(",")),
+    showLegend: params.get('legend') !== 'false', // true por defecto
+    showTable: params.get('table') !== 'false', // true por defecto
   };
 }
 
-// id,lat,lon,name
-function parseLocations(csv) {
-  return csv.rows.map((r) => ({
-    id: r[0].trim(),
-    lat: parseFloat(r[1]),
-    lon: parseFloat(r[2]),
-    name: r[3]?.trim(),
-  }));
-}
-
-function parseFlows(csv) {
-  return csv.rows.map((r) => ({
-    origin: r[0].trim(),
-    dest: r[1].trim(),
-    count: parseInt(r[2], 10),
-  }));
-}
-
 // ------------------------------
 // Variables globales
 // ------------------------------
 let deck = null;
-let locations = [];
-let filteredFlows = [];
+let locations = []; // Locations del dataset (más las de B al comparar)
+let datasetLocations = []; // Locations propias del dataset A
+let allFlows = []; // Flujos válidos del dataset, sin filtrar
+let flowDistances = new Map(); // Distancia en km de cada flujo de allFlows
+let filteredFlows = []; // allFlows después de aplicar flowFilters
+let catalog = [];
+let currentDataset = null;
+let rejectedRows = []; // Filas descartadas al cargar el dataset actual
+let datasetDiagnostics = []; // Problemas de los archivos del dataset actual (ver diagnostics.js)
+let selectedLocationId = null; // Comuna en modo foco
+let hoveredLocationId = null; // Comuna bajo el cursor (flujos o polígonos)
+let boundaryFeatures = null; // Polígonos comunales asociados a locations
+let groups = null; // Map id comuna -> { id, name } del grupo (región)
+let searchBox = null; // Búsqueda de comunas del panel
+let flowTable = null; // Tabla de flujos (flow-table.js)
+let hoveredFlowRow = null; // Fila de la tabla bajo el cursor o con el foco
+let pickedFlowRow = null; // Fila marcada en la tabla (click o Enter)
+let chosenLocale = null; // Idioma pedido con lang o en el panel (se escribe en la URL)
+let storyPlayer = null; // Reproductor de la historia (parámetro story)
+let compareData = null; // Dataset B: { dataset, locations, allFlows, distances, flows }
+let metricContext = { column: null, populations: new Map(), totals: computeFlowTotals([]) }; // Para las métricas normalizadas
+let baseLayers = []; // Capas del mapa base actual
+let rightBaseLayers = []; // Copia del mapa base para el lado B (vista lado a lado)
+let offlineData = null; // GeoJSON del mapa offline (se cargan la primera vez)
+let tileStatus = { loaded: false, errors: 0 }; // Para caer al mapa offline sin internet
 let urlConfig = getConfigFromURL();
+let flowFilters = getInitialFilters();
+let currentViewState = getInitialViewState(); // Cámara actual (se escribe en la URL)
 let animationStartTime = Date.now();
 let animationId = null; // Para controlar la animación
 
-// 🔥 CONFIGURACIÓN ACTUALIZABLE
-let currentConfig = {
+// Filtros iniciales según la URL
+function getInitialFilters(source = urlConfig) {
+  return {
+    ...createDefaultFilters(),
+    minCount: source.minFlow,
+    minDistance: source.minDistance,
+    maxDistance: source.maxDistance,
+    topN: source.topN,
+    origins: source.origins,
+    destinations: source.destinations,
+  };
+}
+
+function getInitialViewState(source = urlConfig) {
+  return {
+    longitude: source.centerLon,
+    latitude: source.centerLat,
+    zoom: source.zoom,
+    pitch: source.pitch,
+    bearing: source.bearing,
+  };
+}
+
+// Valores por defecto de los sliders y toggles
+const DEFAULT_SETTINGS = {
   // VISIBILIDAD
   opacity: 1.0,
   
   // ANIMACIÓN
   animationEnabled: true,
-  animationSpeed: 0.5,
-  
-  // PARTÍCULAS
-  maxParticles: 5000,
-  particleSpeed: 5.0,
   
-  // LÍNEAS
-  flowThickness: 5.0,
+  // FLUJOS DIBUJADOS (maxTopFlowsDisplayNum de FlowmapLayer)
+  maxFlows: 5000,
   
   // PUNTOS
   drawPoints: true,
   locationRadius: 15,
-  
-  // COLORES
-  colorScheme: urlConfig.colorScheme,
-  darkMode: urlConfig.baseMap.includes('dark'),
 };
 
+// Configuración a partir de la URL (o de un preset)
+function createConfig(source = urlConfig) {
+  const settings = Object.fromEntries(
+    Object.entries(source.settings).filter(([, value]) => value !== undefined)
+  );
+  
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    
+    // COLORES (el modo oscuro sigue al mapa base)
+    colorScheme: source.colorScheme,
+    baseMap: source.baseMap,
+    darkMode: resolveBasemap(source.baseMap, { dark: source.darkBasemap }).darkMode,
+    
+    // MODO
+    viewMode: source.viewMode,
+    
+    // RENDERER DE LOS FLUJOS (ver flow-lines.js)
+    renderer: source.renderer,
+    arcHeight: source.arcHeight,
+    
+    // COMPARACIÓN: 'diff' (un mapa con la diferencia) o 'side' (lado a lado),
+    // y diferencia 'absolute' (personas) o 'percent'
+    compareView: source.compareView,
+    diffMetric: source.diffMetric,
+    
+    // MÉTRICA DE LOS FLUJOS (ver metrics.js)
+    flowMetric: source.flowMetric,
+    
+    // COROPLETA: 'none', 'inflow', 'outflow', 'net' o 'col:<columna>'
+    choroplethMetric: source.choropleth,
+    
+    // NIVEL DE AGRUPACIÓN: 'auto' (según zoom), 'group' (regiones) o 'location' (comunas)
+    level: source.level,
+  };
+}
+
+// 🔥 CONFIGURACIÓN ACTUALIZABLE
+let currentConfig = createConfig();
+
+// Flujos netos calculados para el filteredFlows actual
+let netData = { source: null, flows: [], totals: new Map() };
+
+function getNetData() {
+  if (netData.source !== filteredFlows) {
+    netData = {
+      source: filteredFlows,
+      flows: computeNetFlows(filteredFlows),
+      totals: computeLocationTotals(filteredFlows),
+    };
+  }
+  return netData;
+}
+
+// Niveles de clustering por grupo calculados para el filteredFlows actual
+let groupData = { source: null, groups: null, clusterLevels: null, groupInfo: new Map() };
+
+function getGroupData() {
+  if (!groups) return null;
+  if (groupData.source !== filteredFlows || groupData.groups !== groups) {
+    groupData = {
+      source: filteredFlows,
+      groups,
+      ...buildGroupClusterLevels(locations, filteredFlows, groups, urlConfig.groupMaxZoom),
+    };
+  }
+  return groupData;
+}
+
+// Diferencias A→B por par origen-destino para los flujos filtrados
+let diffData = { base: null, compare: null, diffs: [], byPair: new Map(), metric: null, flows: [] };
+
+function getDiffData(metric = currentConfig.diffMetric) {
+  if (diffData.base !== filteredFlows || diffData.compare !== compareData.flows) {
+    const diffs = computeFlowDiff(filteredFlows, compareData.flows);
+    diffData = {
+      base: filteredFlows,
+      compare: compareData.flows,
+      diffs,
+      byPair: new Map(diffs.map((d) => [`${d.origin}\u0000${d.dest}`, d])),
+      metric: null,
+      flows: [],
+    };
+  }
+  if (diffData.metric !== metric) {
+    diffData.metric = metric;
+    diffData.flows = toDiffFlows(diffData.diffs, metric);
+  }
+  return diffData;
+}
+
+function isDiffView(config = currentConfig) {
+  return Boolean(compareData) && config.compareView === 'diff';
+}
+
+function isSideView(config = currentConfig) {
+  return Boolean(compareData) && config.compareView === 'side';
+}
+
+// La métrica normalizada se aplica a los flujos brutos de un solo dataset
+function isMetricActive(config = currentConfig) {
+  if (config.flowMetric === 'rate' && !metricContext.populations.size) return false;
+  return config.flowMetric !== 'count' && config.viewMode !== 'net' && !compareData;
+}
+
+// Flujos filtrados con la métrica de currentConfig
+let metricData = { source: null, metric: null, flows: [] };
+
+function getMetricFlows(metric) {
+  if (metricData.source !== filteredFlows || metricData.metric !== metric) {
+    metricData = { source: filteredFlows, metric, flows: applyFlowMetric(filteredFlows, metric, metricContext) };
+  }
+  return metricData.flows;
+}
+
+// Flujos a dibujar según el modo de vista
+function getDisplayFlows(config = currentConfig) {
+  if (isDiffView(config)) return getDiffData(config.diffMetric).flows;
+  if (isMetricActive(config)) return getMetricFlows(config.flowMetric);
+  return config.viewMode === 'net' ? getNetData().flows : filteredFlows;
+}
+
+// Flujos de B para el lado derecho de la vista lado a lado
+let compareNetData = { source: null, flows: [] };
+
+function getCompareDisplayFlows(config = currentConfig) {
+  if (config.viewMode !== 'net') return compareData.flows;
+  if (compareNetData.source !== compareData.flows) {
+    compareNetData = { source: compareData.flows, flows: computeNetFlows(compareData.flows) };
+  }
+  return compareNetData.flows;
+}
+
+// Datos de FlowmapLayer por arreglo de flujos. FlowmapLayer vuelve a
+// procesar todo cuando cambia la identidad de `data`, así que se reutiliza
+// el mismo objeto mientras no cambien las locations ni la agrupación: mover
+// un slider solo cambia props de dibujo.
+const layerDataCache = new WeakMap();
+
+function getLayerData(flows, clusterLevels) {
+  const cached = layerDataCache.get(flows);
+  if (cached && cached.locations === locations && cached.clusterLevels === clusterLevels) {
+    return cached;
+  }
+  const data = { locations, flows, clusterLevels };
+  layerDataCache.set(flows, data);
+  return data;
+}
+
 // ------------------------------
 // 🔥 FUNCIÓN ACTUALIZADA - CON PARÁMETROS DINÁMICOS
 // ------------------------------
-function createFlowmapLayer(config = currentConfig) {
-  console.log("🎯 Creando FlowmapLayer con config:", config);
+function createFlowmapLayer(config = currentConfig, { id = 'flowmap-layer', filter, flows = getDisplayFlows(config) } = {}) {
+  // Agrupación por región (si hay archivo de grupos y no se fijó nivel comuna)
+  const grouping = config.level !== 'location' ? getGroupData() : null;
   
   return new FlowmapLayer({
-    id: 'flowmap-layer',
-    
-    // DATOS
-    data: {
-      locations: locations.map(loc => ({
-        id: loc.id,
-        lat: loc.lat,
-        lon: loc.lon,
-        name: loc.name || loc.id
-      })),
-      flows: filteredFlows.map(flow => ({
-        origin: flow.origin,
-        dest: flow.dest,
-        count: Math.max(flow.count, urlConfig.minFlow),
-      }))
-    },
+    id,
+    filter,
     
-    // ANIMACIÓN - Configurar para que sea automática
-    animate: config.animationEnabled,
-    animationSpeed: config.animationSpeed,
+    // CLUSTERING POR GRUPO (las métricas normalizadas no se pueden sumar por región)
+    clusteringEnabled: Boolean(grouping) && !isMetricActive(config),
+    clusteringAuto: config.level === 'auto',
+    clusteringLevel: config.level === 'group' ? urlConfig.groupMaxZoom : undefined,
+    getLocationClusterName: (ids) => grouping?.groupInfo.get(groups.get(ids[0])?.id)?.name || ids[0],
     
-    // PARTÍCULAS
-    maxParticles: config.maxParticles,
+    // DATOS (mismo objeto entre actualizaciones, ver getLayerData)
+    data: getLayerData(flows, grouping?.clusterLevels),
+    
+    // ANIMACIÓN
+    animationEnabled: config.animationEnabled,
+    
+    // FLUJOS DIBUJADOS: los N mayores dentro de la vista
+    maxTopFlowsDisplayNum: config.maxFlows,
     
     // VISIBILIDAD
     opacity: config.opacity,
     pickable: true,  // ← Reactivar pickable
     
-    // LÍNEAS
-    getFlowThickness: () => config.flowThickness,
-    
-    // 🔥 VELOCIDAD DE FLUJO - Basada en magnitud
-    getAnimatedFlowSpeed: (flow) => {
-      // Normalizar la velocidad según el count
-      const minSpeed = 0.1;  // Velocidad mínima
-      const maxSpeed = 2.0;   // Velocidad máxima
-      
-      // Encontrar el flujo máximo para normalizar
-      const maxCount = Math.max(...filteredFlows.map(f => f.count));
-      const normalizedSpeed = (flow.count / maxCount);
-      
-      // Interpolar entre min y max speed
-      return minSpeed + (normalizedSpeed * (maxSpeed - minSpeed));
-    },
-    
-    // PUNTOS
-    drawPoints: config.drawPoints,
-    getLocationRadius: () => config.locationRadius,
+    // PUNTOS (en modo neto los dibuja la capa de saldo)
+    locationsEnabled: config.drawPoints && (isDiffView(config) || config.viewMode !== 'net'),
+    locationTotalsEnabled: !isMetricActive(config),
     
     // COLORES
     colorScheme: config.colorScheme,
     darkMode: config.darkMode,
     
-    // Accessors
-    getLocationId: (loc) => loc.id,
-    getLocationLat: (loc) => loc.lat,
-    getLocationLon: (loc) => loc.lon,
-    getLocationName: (loc) => loc.name,
-    getFlowOriginId: (flow) => flow.origin,
-    getFlowDestId: (flow) => flow.dest,
-    getFlowMagnitude: (flow) => Math.max(flow.count, urlConfig.minFlow),
-    
-    // DEBUG
-    debug: false,
+    ...LAYER_ACCESSORS,
     
-    // 🔥 HOVER HANDLER SEGURO
-    onHover: (info) => {
-      // Verificación robusta
-      if (!info || !info.object) {
-        // Ocultar tooltip si existe
-        const tooltip = document.getElementById('flowmap-tooltip');
-        if (tooltip) tooltip.style.display = 'none';
-        return;
-      }
-      
-      // Mostrar tooltip
-      showTooltip(info);
-    },
-    
-    // 🔥 CLICK HANDLER
-    onClick: (info) => {
-      if (info && info.object) {
-        console.log("🖱️ Click:", info.object);
-        // Aquí puedes agregar lógica adicional para clicks
-      }
-    },
+    onHover: handleFlowHover,
+    onClick: (info) => handleFlowClick(info, config),
     
     // PARÁMETROS DE RENDER
     parameters: {
@@ -207,6 +463,41 @@ function createFlowmapLayer(config = currentConfig) {
   });
 }
 
+// 🔥 HOVER HANDLER SEGURO (FlowmapLayer, arcos y haces)
+function handleFlowHover(info) {
+  // Verificación robusta
+  if (!info || !info.object) {
+    // Ocultar tooltip si existe
+    const tooltip = document.getElementById('flowmap-tooltip');
+    if (tooltip) tooltip.style.display = 'none';
+    setHoveredLocation(null);
+    return;
+  }
+  
+  // Resaltar el polígono de la comuna bajo el cursor
+  setHoveredLocation(info.object.type === 'location' ? info.object.id : null);
+  
+  // Mostrar tooltip
+  showTooltip(info);
+}
+
+// 🔥 CLICK HANDLER
+function handleFlowClick(info, config = currentConfig) {
+  if (info && info.object) {
+    console.log("🖱️ Click:", info.object);
+    
+    // Click en una comuna: modo foco; en un flujo: sus filas en la tabla
+    if (info.object.type === 'location') {
+      selectLocation(info.object.id);
+    } else if (info.object.type === 'flow') {
+      revealFlowInTable(info.object, config);
+    }
+  }
+}
+
+// Comunas listadas en el tooltip de un grupo
+const MAX_GROUP_MEMBERS_SHOWN = 12;
+
 // ------------------------------
 // 🔥 FUNCIÓN PARA MOSTRAR TOOLTIP
 // ------------------------------
@@ -215,21 +506,8 @@ function showTooltip(info) {
   
   // Crear tooltip si no existe
   if (!tooltip) {
-    tooltip = document.createElement('div');
+    tooltip = createTooltipElement({ zIndex: 10000 });
     tooltip.id = 'flowmap-tooltip';
-    tooltip.style.cssText = `
-      position: absolute;
-      pointer-events: none;
-      padding: 12px;
-      background: rgba(0, 0, 0, 0.9);
-      color: white;
-      border-radius: 6px;
-      font-family: Arial, sans-serif;
-      font-size: 13px;
-      z-index: 10000;
-      box-shadow: 0 2px 10px rgba(0,0,0,0.3);
-      max-width: 300px;
-    `;
     document.body.appendChild(tooltip);
   }
   
@@ -238,34 +516,94 @@ function showTooltip(info) {
   
   if (info.object.type === 'location') {
     // Hover sobre un punto/ubicación
-    content = `
-      <div style="font-weight: bold; margin-bottom: 5px;">📍 ${info.object.name || info.object.id}</div>
-      <div style="font-size: 11px; opacity: 0.8;">ID: ${info.object.id}</div>
-    `;
+    content = locationTooltipHTML(info.object);
+    
+    // Grupo (región): comunas que lo componen
+    const group = isGroupId(info.object.id) ? groupData.groupInfo.get(info.object.id) : null;
+    if (group) {
+      const shown = group.members.slice(0, MAX_GROUP_MEMBERS_SHOWN);
+      const rest = group.members.length - shown.length;
+      content += `
+      <div style="margin-top: 6px; font-size: 11px;">
+        <div style="opacity: 0.8;">${t('tooltip.groupMembers', { count: group.members.length })}</div>
+        <div>${shown.map((m) => escapeHTML(m.name)).join(', ')}${rest > 0 ? ` ${t('tooltip.andMore', { count: rest })}` : ''}</div>
+      </div>
+      `;
+    }
+    
+    // Coropleta: valor de la métrica
+    if (info.object.metric) {
+      const { label, value } = info.object.metric;
+      content += `
+      <div style="margin-top: 6px;">
+        <span style="color: #FFC107;">${escapeHTML(label)}:</span> ${value === undefined ? t('tooltip.noData') : formatNumber(value)}
+      </div>
+      `;
+    }
+    
+    // Modo neto: saldo de la comuna
+    const balance = info.object.balance;
+    if (balance) {
+      content += `
+      <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2);">
+        <div><span style="color: #4CAF50;">${t('tooltip.inflow')}:</span> ${formatNumber(balance.inflow)}</div>
+        <div><span style="color: #2196F3;">${t('tooltip.outflow')}:</span> ${formatNumber(balance.outflow)}</div>
+        <div><span style="font-weight: bold; color: #FFC107;">${t('tooltip.netBalance')}:</span> ${formatSigned(balance.net)}</div>
+      </div>
+      `;
+    }
   } else if (info.object.type === 'flow') {
     // Hover sobre un flujo
     const origin = info.object.origin;
     const dest = info.object.dest;
+    const names = { originName: origin.name || origin.id, destName: dest.name || dest.id };
+    const originName = escapeHTML(names.originName);
+    const destName = escapeHTML(names.destName);
     const count = info.object.count;
+    const flow = info.object.flow;
     
-    content = `
-      <div style="font-weight: bold; margin-bottom: 8px;">🔄 Flujo Migratorio</div>
-      <div style="margin-bottom: 4px;">
-        <span style="color: #4CAF50;">Origen:</span> ${origin.name || origin.id}
-      </div>
-      <div style="margin-bottom: 4px;">
-        <span style="color: #2196F3;">Destino:</span> ${dest.name || dest.id}
-      </div>
-      <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2);">
-        <span style="font-weight: bold; color: #FFC107;">Personas:</span> ${count.toLocaleString()}
-      </div>
-    `;
+    // Comparación: cambio entre A y B
+    if (flow && flow.delta !== undefined) {
+      content = `
+        <div style="font-weight: bold; margin-bottom: 8px;">🆚 ${t('tooltip.change')}</div>
+        <div style="margin-bottom: 4px;">
+          ${originName} → ${destName}
+        </div>
+      `;
+    } else if (flow && flow.forward !== undefined) {
+      // Modo neto: flujo bruto en ambos sentidos y saldo
+      content = netFlowTooltipHTML({ ...names, forward: flow.forward, backward: flow.backward, count });
+    } else if (flow && flow.metric) {
+      // Métrica normalizada: valor de la métrica y personas
+      content = `
+        <div style="font-weight: bold; margin-bottom: 8px;">🔄 ${t('tooltip.flowTitle')}</div>
+        <div style="margin-bottom: 4px;">
+          ${originName} → ${destName}
+        </div>
+        <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2);">
+          <div><span style="font-weight: bold; color: #FFC107;">${flowMetricLabel(flow.metric)}:</span> ${formatMetricValue(count, flow.metric)}</div>
+          <div><span style="color: #4CAF50;">${t('tooltip.persons')}:</span> ${formatNumber(flow.persons)}</div>
+        </div>
+      `;
+    } else {
+      content = flowTooltipHTML({ ...names, count }, isDiffView() ? t('tooltip.change') : t('tooltip.persons'));
+    }
+    
+    // Comparación: valores en A y B y diferencia del par
+    const diff = compareData && getDiffData().byPair.get(`${origin.id}\u0000${dest.id}`);
+    if (diff) {
+      const pct = diff.pct === null ? t('tooltip.new') : `${diff.pct > 0 ? '+' : ''}${formatPercent(diff.pct, 0)}`;
+      content += `
+        <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2);">
+          <div><span style="color: #17a5be;">A · ${escapeHTML(currentDataset?.title || 'A')}:</span> ${formatNumber(diff.base)}</div>
+          <div><span style="color: #f52020;">B · ${escapeHTML(compareData.dataset.title)}:</span> ${formatNumber(diff.compare)}</div>
+          <div><span style="font-weight: bold; color: #FFC107;">Δ:</span> ${formatSigned(diff.delta)} (${pct})</div>
+        </div>
+      `;
+    }
   }
   
-  tooltip.innerHTML = content;
-  tooltip.style.display = 'block';
-  tooltip.style.left = `${info.x + 10}px`;
-  tooltip.style.top = `${info.y + 10}px`;
+  placeTooltip(tooltip, content, info.x, info.y);
 }
 
 // ------------------------------
@@ -278,321 +616,2310 @@ function startAnimation() {
   // Solo necesitas recrear la capa cuando cambien las configuraciones
 }
 
-// 🔥 FUNCIÓN PARA ACTUALIZAR SOLO LA CAPA FLOWMAP (cuando cambien configuraciones)
-function updateFlowmapLayer() {
-  if (!deck) return;
-  
-  const layers = deck.props.layers;
-  if (!layers || layers.length < 2) return;
-  
-  console.log("🎯 Creando FlowmapLayer con config:", currentConfig);
-  
-  // Crear nueva capa con la configuración actual
-  const newFlowmapLayer = createFlowmapLayer();
+// Capas de flujos. En modo foco se dibujan todos los flujos atenuados
+// y encima solo los que entran o salen de la comuna seleccionada.
+// `prefix` y `flows` permiten armar las capas del lado B (vista lado a lado).
+function createFlowLayers(config = currentConfig, { prefix = '', flows = getDisplayFlows(config) } = {}) {
+  // El saldo neto se dibuja solo para A (a la izquierda en lado a lado)
+  const balanceLayers = config.viewMode === 'net' && config.drawPoints && !isDiffView(config) && !prefix
+    ? [createNetBalanceLayer(config)]
+    : [];
   
-  // Reemplazar la capa de flowmap (índice 1)
-  const newLayers = [
-    layers[0], // Capa base
-    newFlowmapLayer  // Nueva capa flowmap
-  ];
+  if (config.renderer !== 'flowmap') {
+    return [...createLineFlowLayers(config, { prefix, compare: Boolean(prefix) }), ...balanceLayers];
+  }
   
-  deck.setProps({ layers: newLayers });
+  const flowmapLayers = createFocusLayers(
+    (id, { filter, ...overrides }) => createFlowmapLayer({ ...config, ...overrides }, { id, filter, flows }),
+    selectedLocationId,
+    { prefix, opacity: config.opacity }
+  );
+  return [...flowmapLayers, ...balanceLayers];
 }
 
 // ------------------------------
-// Función para crear capa base según URL
+// ⚖️ CAPA DE SALDO NETO
 // ------------------------------
-function createBaseLayer() {
-  const baseMapUrl = `https://cartodb-basemaps-a.global.ssl.fastly.net/dark_all/{z}/{x}/{y}@2x.png`;
-  //const baseMapUrl = `https://cartodb-basemaps-a.global.ssl.fastly.net/light_all/{z}/{x}/{y}@2x.png`;
-  console.log(`🗺️ Usando mapa base: ${urlConfig.baseMap}`);
+// Círculos con tamaño según |saldo| y color divergente (azul gana, rojo pierde)
+const NET_MAX_RADIUS = 25;
+
+// Radio en píxeles según el saldo (también se usa en la leyenda)
+function getNetRadius(net, maxAbs) {
+  return 2 + Math.sqrt(Math.abs(net) / (maxAbs || 1)) * NET_MAX_RADIUS;
+}
+
+function createNetBalanceLayer(config = currentConfig) {
+  const { totals } = getNetData();
+  const data = locations
+    .filter((loc) => totals.has(loc.id))
+    .map((loc) => ({ ...loc, balance: totals.get(loc.id) }));
   
-  return new TileLayer({
-    id: "base-map",
-    data: baseMapUrl,
-    minZoom: 0,
-    maxZoom: 19,
-    tileSize: 256,
-    renderSubLayers: (props) => {
-      const { bbox: { west, south, east, north } } = props.tile;
-      return new BitmapLayer(props, {
-        data: null,
-        image: props.data,
-        bounds: [west, south, east, north],
-        opacity: 1,
-      });
+  const maxAbs = Math.max(0, ...data.map((d) => Math.abs(d.balance.net)));
+  const getColor = createDivergingColorScale(maxAbs);
+  
+  return new ScatterplotLayer({
+    id: 'net-balance-layer',
+    data,
+    opacity: config.opacity,
+    pickable: true,
+    stroked: true,
+    radiusUnits: 'pixels',
+    lineWidthUnits: 'pixels',
+    getLineWidth: 1,
+    getLineColor: config.darkMode ? [0, 0, 0, 200] : [255, 255, 255, 200],
+    getPosition: (d) => [d.lon, d.lat],
+    getRadius: (d) => getNetRadius(d.balance.net, maxAbs),
+    getFillColor: (d) => getColor(d.balance.net),
+    
+    onHover: (info) => {
+      if (!info || !info.object) {
+        const tooltip = document.getElementById('flowmap-tooltip');
+        if (tooltip) tooltip.style.display = 'none';
+        return;
+      }
+      showTooltip({ ...info, object: { type: 'location', ...info.object } });
+    },
+    onClick: (info) => {
+      if (info && info.object) selectLocation(info.object.id);
     },
   });
 }
 
 // ------------------------------
-// 🔥 CONTROLES QUE SÍ FUNCIONAN
+// 🌈 ARCOS 3D Y HACES
 // ------------------------------
-function createControls() {
-  if (!urlConfig.showControls) {
-    console.log("ℹ️ Controles deshabilitados por URL");
-    return;
+// Con renderer 'arcs' o 'bundled' los flujos se dibujan con flow-lines.js.
+// Sin el clustering de FlowmapLayer, el nivel región se arma aquí sumando
+// los flujos por región. Los haces se calculan en el worker de datos.
+
+// Solo los N flujos mayores van en haces (el cálculo crece con el
+// cuadrado de los flujos compatibles)
+const MAX_BUNDLED_FLOWS = 500;
+
+// Regiones en vez de comunas: nivel 'group', o 'auto' bajo groupMaxZoom.
+// Las métricas normalizadas y el cambio en % no se pueden sumar por región.
+function isLineGroupLevel(config = currentConfig) {
+  if (!getGroupData() || config.level === 'location' || isMetricActive(config)) return false;
+  if (isDiffView(config) && config.diffMetric === 'percent') return false;
+  return config.level === 'group' || currentViewState.zoom < urlConfig.groupMaxZoom + 1;
+}
+
+// Extremos posibles de los flujos: comunas y regiones (id -> { id, name, lat, lon })
+let lineNodes = { locations: null, groupInfo: null, nodes: new Map() };
+
+function getLineNodes() {
+  const groupInfo = getGroupData()?.groupInfo || null;
+  if (lineNodes.locations !== locations || lineNodes.groupInfo !== groupInfo) {
+    const nodes = new Map(locations.map((loc) => [loc.id, { id: loc.id, name: loc.name || loc.id, lat: loc.lat, lon: loc.lon }]));
+    groupInfo?.forEach((info) => nodes.set(info.id, { id: info.id, name: info.name, lat: info.lat, lon: info.lon }));
+    lineNodes = { locations, groupInfo, nodes };
   }
+  return lineNodes.nodes;
+}
+
+// Flujos para arcos y haces (ver toLineFlows), memorizados por arreglo de origen
+const lineDataCache = new WeakMap();
+
+function getLineData(config = currentConfig, { compare = false } = {}) {
+  const grouped = isLineGroupLevel(config);
+  const net = config.viewMode === 'net' && !isDiffView(config);
   
-  const controls = document.createElement('div');
-  controls.id = 'flowmap-controls';
-  controls.style.cssText = `
-    position: absolute;
-    top: 10px;
-    left: 10px;
-    background: rgba(255, 255, 255, 0.95);
-    padding: 15px;
-    border-radius: 8px;
-    z-index: 1000;
-    font-family: Arial, sans-serif;
-    box-shadow: 0 2px 10px rgba(0,0,0,0.2);
-    min-width: 280px;
-    max-height: 80vh;
-    overflow-y: auto;
+  // Al agrupar en modo neto se suman los flujos brutos y después se calcula el saldo
+  let source;
+  if (compare) source = grouped && net ? compareData.flows : getCompareDisplayFlows(config);
+  else source = grouped && net ? filteredFlows : getDisplayFlows(config);
+  
+  const nodes = getLineNodes();
+  const key = `${grouped}|${net}|${config.maxFlows}`;
+  const cached = lineDataCache.get(source);
+  if (cached && cached.key === key && cached.nodes === nodes) return cached.lines;
+  
+  let flows = source;
+  if (grouped) {
+    flows = aggregateFlowsByGroup(source, groups);
+    if (net) flows = computeNetFlows(flows);
+  }
+  const lines = toLineFlows(flows, nodes, config.maxFlows);
+  lineDataCache.set(source, { key, nodes, lines });
+  return lines;
+}
+
+// Haces por arreglo de flujos: { lines } con el path de cada flujo. Mientras
+// el worker calcula, líneas rectas; al terminar se vuelve a dibujar.
+const bundleCache = new WeakMap();
+
+function getBundledLines(lines) {
+  let entry = bundleCache.get(lines);
+  if (entry) return entry.lines;
+  
+  const top = lines.slice(0, MAX_BUNDLED_FLOWS);
+  const endpoints = (d) => ({ source: [d.origin.lon, d.origin.lat], target: [d.dest.lon, d.dest.lat] });
+  entry = { lines: top.map((d) => ({ ...d, path: Object.values(endpoints(d)) })) };
+  bundleCache.set(lines, entry);
+  
+  updateStatus(t('status.bundling'));
+  bundleFlows(top.map(endpoints))
+    .then((paths) => {
+      entry.lines = top.map((d, i) => ({ ...d, path: paths[i] }));
+      updateStatus(t('status.bundled'), true);
+    })
+    .catch((error) => {
+      // Quedan las líneas rectas
+      console.error("❌ Error calculando haces:", error);
+      updateStatus(t('status.error', { message: error.message }));
+    })
+    .finally(() => {
+      if (deck) deck.setProps({ layers: buildLayers() });
+    });
+  
+  return entry.lines;
+}
+
+// Flujos que se dibujan con el renderer de `config` (A o, con `compare`, B)
+function getDrawnLines(config = currentConfig, options) {
+  const lines = getLineData(config, options);
+  return config.renderer === 'bundled' ? getBundledLines(lines) : lines;
+}
+
+// Flujo que entra o sale de alguna de las comunas `ids` (sirve para regiones)
+function isRelatedLine(line, ids) {
+  return [line.origin.id, line.dest.id].some((id) => [...getMemberIds(id)].some((member) => ids.has(member)));
+}
+
+// Capas de arcos o haces, con el mismo modo foco que createFlowLayers
+function createLineFlowLayers(config = currentConfig, { prefix = '', compare = false } = {}) {
+  const lines = getDrawnLines(config, { compare });
+  const createLayer = config.renderer === 'bundled' ? createBundleLayer : createArcLayer;
+  const handlers = { onHover: handleFlowHover, onClick: (info) => handleFlowClick(info, config) };
+  const layers = [];
+  
+  if (!selectedLocationId) {
+    layers.push(createLayer(lines, config, { id: `${prefix}flow-lines-layer`, ...handlers }));
+  } else {
+    const ids = getMemberIds(selectedLocationId);
+    layers.push(
+      createLayer(lines, config, {
+        id: `${prefix}flow-lines-context-layer`,
+        opacity: config.opacity * DIMMED_OPACITY,
+        ...handlers,
+      }),
+      createLayer(lines.filter((line) => isRelatedLine(line, ids)), config, {
+        id: `${prefix}flow-lines-layer`,
+        scaleLines: lines,
+        ...handlers,
+      }),
+    );
+  }
+  
+  // Puntos (en modo neto los dibuja la capa de saldo)
+  if (config.drawPoints && (isDiffView(config) || config.viewMode !== 'net')) {
+    layers.push(createLineLocationsLayer(lines, config, {
+      id: `${prefix}flow-lines-locations-layer`,
+      fixedSize: isMetricActive(config),
+      ...handlers,
+    }));
+  }
+  
+  return layers;
+}
+
+// Arcos: se inclina la cámara si está casi cenital, para que se vea la altura
+const ARCS_MIN_PITCH = 30;
+const ARCS_PITCH = 45;
+
+function renderRendererControl() {
+  const container = document.getElementById('rendererControl');
+  if (!container) return;
+  
+  container.innerHTML = `
+    <label style="display: block; margin-bottom: 5px; font-weight: bold;">${t('controls.renderer')}:</label>
+    <select id="rendererSelect" style="width: 100%; padding: 5px;">
+      ${FLOW_RENDERERS.map((value) => `
+        <option value="${value}" ${value === currentConfig.renderer ? 'selected' : ''}>${t(`renderer.${value}`)}</option>
+      `).join('')}
+    </select>
+    ${currentConfig.renderer === 'arcs' ? `
+    <label style="display: block; margin: 8px 0 5px; font-size: 12px;">${t('controls.arcHeight')}:</label>
+    <select id="arcHeightSelect" style="width: 100%; padding: 4px;">
+      ${ARC_HEIGHTS.map((value) => `
+        <option value="${value}" ${value === currentConfig.arcHeight ? 'selected' : ''}>${t(`arcHeight.${value}`)}</option>
+      `).join('')}
+    </select>
+    ` : ''}
+    ${currentConfig.renderer === 'bundled' ? `
+    <div style="margin-top: 5px; font-size: 11px; color: #666;">${t('renderer.bundledNote', { count: MAX_BUNDLED_FLOWS })}</div>
+    ` : ''}
   `;
   
-  controls.innerHTML = `
-    <h3 style="margin-top: 0; margin-bottom: 15px; color: #333; font-size: 16px;">
-      🎛️ ${urlConfig.title}
-    </h3>
-    
-    <div style="margin-bottom: 15px; padding: 10px; background: #e3f2fd; border-radius: 5px;">
-      <h4 style="margin-top: 0; margin-bottom: 5px; color: #1565c0;">Controles Activos</h4>
-      <div style="font-size: 12px;">
-        <div><b>Estado:</b> <span id="statusText" style="color: #4CAF50;">Listo</span></div>
-      </div>
-    </div>
+  document.getElementById('rendererSelect').addEventListener('change', (e) => {
+    currentConfig.renderer = e.target.value;
+    renderRendererControl();
     
-    <!-- OPCIÓN DE OPACIDAD -->
-    <div style="margin-bottom: 15px;">
-      <div style="margin-bottom: 10px;">
-        <label style="display: block; margin-bottom: 5px; font-weight: bold;">
-          Opacidad: <span id="opacityValue">${currentConfig.opacity}</span>
-        </label>
-        <input type="range" id="opacitySlider" min="0.1" max="1" step="0.1" 
-               value="${currentConfig.opacity}" style="width: 100%;">
-      </div>
-    </div>
-    
-    <!-- VELOCIDAD DE ANIMACIÓN -->
-    <div style="margin-bottom: 15px;">
-      <div style="margin-bottom: 10px;">
-        <label style="display: block; margin-bottom: 5px; font-weight: bold;">
-          Velocidad: <span id="speedValue">${currentConfig.animationSpeed}</span>
-        </label>
-        <input type="range" id="speedSlider" min="0.1" max="2" step="0.1" 
-               value="${currentConfig.animationSpeed}" style="width: 100%;">
-      </div>
-    </div>
-    
-    <!-- PARTÍCULAS -->
-    <div style="margin-bottom: 15px;">
-      <div style="margin-bottom: 10px;">
-        <label style="display: block; margin-bottom: 5px; font-weight: bold;">
-          Partículas: <span id="particlesValue">${currentConfig.maxParticles}</span>
-        </label>
-        <input type="range" id="particlesSlider" min="100" max="10000" step="100" 
-               value="${currentConfig.maxParticles}" style="width: 100%;">
-      </div>
-    </div>
-    
-    <!-- GROSOR DE LÍNEAS -->
-    <div style="margin-bottom: 15px;">
-      <div style="margin-bottom: 10px;">
-        <label style="display: block; margin-bottom: 5px; font-weight: bold;">
-          Grosor Líneas: <span id="thicknessValue">${currentConfig.flowThickness}</span>
-        </label>
-        <input type="range" id="thicknessSlider" min="1" max="20" step="0.5" 
-               value="${currentConfig.flowThickness}" style="width: 100%;">
-      </div>
-    </div>
+    if (currentConfig.renderer === 'arcs' && deck && currentViewState.pitch < ARCS_MIN_PITCH) {
+      currentViewState = { ...currentViewState, pitch: ARCS_PITCH };
+      deck.setProps({
+        viewState: { ...currentViewState, transitionDuration: 800, transitionInterpolator: new FlyToInterpolator() },
+      });
+    }
+    
+    updateFlowmapLayer();
+    updateStatus(t('status.renderer', { name: t(`renderer.${e.target.value}`) }));
+  });
+  
+  document.getElementById('arcHeightSelect')?.addEventListener('change', (e) => {
+    currentConfig.arcHeight = e.target.value;
+    updateFlowmapLayer();
+  });
+}
+
+// Todas las capas, de abajo hacia arriba: base, coropleta y flujos.
+// En la vista lado a lado se agregan las capas de B con el prefijo RIGHT_PREFIX.
+function buildLayers() {
+  const layers = [
+    ...baseLayers,
+    ...createChoroplethLayers(),
+    ...createFlowLayers(),
+    ...createFlowHighlightLayers(),
+  ];
+  
+  if (isSideView()) {
+    layers.push(
+      ...rightBaseLayers,
+      ...createFlowLayers(currentConfig, { prefix: RIGHT_PREFIX, flows: getCompareDisplayFlows() }),
+    );
+  }
+  
+  return layers;
+}
+
+// 🔥 FUNCIÓN PARA ACTUALIZAR LAS CAPAS SOBRE EL MAPA BASE (cuando cambien configuraciones)
+function updateFlowmapLayer() {
+  if (!deck) return;
+  
+  console.log("🎯 Creando FlowmapLayer con config:", currentConfig);
+  
+  deck.setProps({ views: getViews(), layers: buildLayers() });
+  updateCompareLabels();
+  updateLegend();
+  updateFlowTable();
+  scheduleURLUpdate();
+}
+
+// Reemplaza una sola capa por id, sin recrear las demás
+function replaceLayer(id, newLayer) {
+  if (!deck) return;
+  deck.setProps({
+    layers: deck.props.layers.map((layer) => (layer.id === id ? newLayer : layer)),
+  });
+}
+
+// ------------------------------
+// 🟩 COROPLETA
+// ------------------------------
+function createChoroplethLayers(config = currentConfig) {
+  if (!boundaryFeatures || config.choroplethMetric === 'none') return [];
+  
+  const values = computeMetricValues(config.choroplethMetric, locations, getNetData().totals);
+  const label = choroplethLabel(config.choroplethMetric);
+  const names = new Map(locations.map((loc) => [loc.id, loc.name || loc.id]));
+  
+  return [createChoroplethLayer({
+    features: boundaryFeatures,
+    values,
+    metric: config.choroplethMetric,
+    selectedId: selectedLocationId,
+    hoveredId: hoveredLocationId,
+    darkMode: config.darkMode,
+    opacity: config.opacity,
+    
+    onHover: (info) => {
+      const id = info?.object?.properties.locationId;
+      setHoveredLocation(id || null);
+      
+      if (!id) {
+        const tooltip = document.getElementById('flowmap-tooltip');
+        if (tooltip) tooltip.style.display = 'none';
+        return;
+      }
+      showTooltip({
+        ...info,
+        object: { type: 'location', id, name: names.get(id), metric: { label, value: values.get(id) } },
+      });
+    },
+    onClick: (info) => {
+      const id = info?.object?.properties.locationId;
+      if (id) selectLocation(id);
+      else clearSelection();
+    },
+  })];
+}
+
+// Sincroniza el resaltado de polígonos con el hover en flujos/polígonos
+function setHoveredLocation(id) {
+  if (id === hoveredLocationId) return;
+  hoveredLocationId = id;
+  
+  const [layer] = createChoroplethLayers();
+  if (layer) replaceLayer(layer.id, layer);
+}
+
+// Opciones del selector de coropleta: métricas de flujo + columnas numéricas
+function getChoroplethOptions() {
+  return [
+    { value: 'none', label: t('choropleth.none') },
+    ...CHOROPLETH_METRICS.map((value) => ({ value, label: choroplethLabel(value) })),
+    ...getNumericColumns(locations).map((c) => ({ value: `col:${c}`, label: c })),
+  ];
+}
+
+function renderChoroplethControl() {
+  const container = document.getElementById('choroplethControl');
+  if (!container) return;
+  
+  if (!boundaryFeatures) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const options = getChoroplethOptions();
+  if (!options.some((o) => o.value === currentConfig.choroplethMetric)) {
+    currentConfig.choroplethMetric = 'none';
+  }
+  
+  container.innerHTML = `
+    <label style="display: block; margin-bottom: 5px; font-weight: bold;">${t('controls.choropleth')}:</label>
+    <select id="choroplethSelect" style="width: 100%; padding: 5px;">
+      ${options.map((o) => `
+        <option value="${escapeHTML(o.value)}" ${o.value === currentConfig.choroplethMetric ? 'selected' : ''}>
+          ${escapeHTML(o.label)}
+        </option>
+      `).join('')}
+    </select>
+  `;
+  
+  document.getElementById('choroplethSelect').addEventListener('change', (e) => {
+    currentConfig.choroplethMetric = e.target.value;
+    updateFlowmapLayer();
+  });
+}
+
+// ------------------------------
+// 🎯 MODO FOCO (SELECCIÓN DE UBICACIÓN)
+// ------------------------------
+// Comuna o grupo existente en el dataset actual
+function isValidSelection(id) {
+  if (!id) return false;
+  return isGroupId(id)
+    ? Boolean(getGroupData()?.groupInfo.has(id))
+    : locations.some((loc) => loc.id === id);
+}
+
+function selectLocation(id) {
+  if (!isValidSelection(id)) return;
+  
+  selectedLocationId = id;
+  updateFlowmapLayer();
+  updateLocationPanel();
+}
+
+// Zoom mínimo al ir a una comuna desde la búsqueda (sobre el nivel de regiones)
+const SEARCH_ZOOM = 10;
+
+// Vuela hasta la comuna y la deja en modo foco
+function flyToLocation(location) {
+  currentViewState = {
+    ...currentViewState,
+    longitude: location.lon,
+    latitude: location.lat,
+    zoom: Math.max(currentViewState.zoom, SEARCH_ZOOM),
+  };
+  deck.setProps({
+    viewState: {
+      ...currentViewState,
+      transitionDuration: 1000,
+      transitionInterpolator: new FlyToInterpolator(),
+    },
+  });
+  selectLocation(location.id);
+}
+
+function clearSelection() {
+  if (!selectedLocationId) return;
+  
+  selectedLocationId = null;
+  updateFlowmapLayer();
+  hideLocationPanel();
+}
+
+function updateLocationPanel() {
+  if (!selectedLocationId) {
+    hideLocationPanel();
+    return;
+  }
+  
+  const names = new Map(locations.map((loc) => [loc.id, loc.name || loc.id]));
+  
+  // Grupo seleccionado: resumen con los flujos agregados por grupo
+  let flows = filteredFlows;
+  if (isGroupId(selectedLocationId)) {
+    flows = aggregateFlowsByGroup(filteredFlows, groups);
+    for (const info of getGroupData().groupInfo.values()) names.set(info.id, info.name);
+  }
+  
+  showLocationPanel(summarizeLocation(flows, selectedLocationId), {
+    getName: (id) => names.get(id) || id,
+    onSelect: selectLocation,
+    onClose: clearSelection,
+  });
+}
+
+// ------------------------------
+// 🗺️ MAPA BASE
+// ------------------------------
+// Teselas con error antes de pasar al mapa offline (si ninguna cargó)
+const TILE_ERRORS_BEFORE_FALLBACK = 4;
+
+// Crea las capas del mapa base de currentConfig.baseMap y ajusta el modo oscuro
+async function applyBasemap() {
+  const basemap = resolveBasemap(currentConfig.baseMap, { dark: urlConfig.darkBasemap });
+  console.log(`🗺️ Usando mapa base: ${basemapLabel(basemap.id)}`);
+  
+  if (basemap.type === 'geojson' && !offlineData) {
+    offlineData = await loadOfflineData(basemap);
+  }
+  
+  currentConfig.darkMode = basemap.darkMode;
+  tileStatus = { loaded: false, errors: 0 };
+  const options = {
+    offlineData,
+    onTileLoad: () => {
+      tileStatus.loaded = true;
+    },
+    onTileError: handleTileError,
+  };
+  baseLayers = createBasemapLayers(basemap, options);
+  rightBaseLayers = createBasemapLayers(basemap, { ...options, idPrefix: RIGHT_PREFIX });
+  
+  document.getElementById('app').style.background = getBackgroundColor(basemap);
+}
+
+async function switchBasemap(value) {
+  currentConfig.baseMap = value;
+  await applyBasemap();
+  renderBasemapControl();
+  updateFlowmapLayer();
+}
+
+// Sin acceso a las teselas (p. ej. sin internet): usar el mapa offline
+function handleTileError(error) {
+  if (tileStatus.loaded || currentConfig.baseMap === 'offline') return;
+  
+  tileStatus.errors++;
+  if (tileStatus.errors === TILE_ERRORS_BEFORE_FALLBACK) {
+    console.warn("⚠️ Teselas no disponibles, usando mapa offline:", error?.message);
+    switchBasemap('offline').then(() => updateStatus(t('status.offlineBasemap')));
+  }
+}
+
+function renderBasemapControl() {
+  const container = document.getElementById('basemapControl');
+  if (!container) return;
+  
+  const options = Object.keys(BASEMAPS).map((value) => ({ value, label: basemapLabel(value) }));
+  const current = resolveBasemap(currentConfig.baseMap).id;
+  if (isTileTemplate(current)) {
+    options.push({ value: current, label: basemapLabel(current) });
+  }
+  options.push({ value: '__custom', label: t('basemap.template') });
+  
+  container.innerHTML = `
+    <label style="display: block; margin-bottom: 5px; font-weight: bold;">${t('controls.basemap')}:</label>
+    <select id="basemapSelect" style="width: 100%; padding: 5px;">
+      ${options.map((o) => `
+        <option value="${escapeHTML(o.value)}" ${o.value === current ? 'selected' : ''}>${escapeHTML(o.label)}</option>
+      `).join('')}
+    </select>
+  `;
+  
+  const basemapSelect = document.getElementById('basemapSelect');
+  basemapSelect.addEventListener('change', async (e) => {
+    let value = e.target.value;
+    
+    if (value === '__custom') {
+      value = window.prompt(t('basemap.prompt'), 'https://tile.openstreetmap.org/{z}/{x}/{y}.png');
+      if (!isTileTemplate(value)) {
+        if (value !== null) updateStatus(t('basemap.invalid'));
+        basemapSelect.value = current;
+        return;
+      }
+    }
+    
+    await switchBasemap(value);
+    updateStatus(`${t('controls.basemap')}: ${basemapLabel(resolveBasemap(value).id)}`);
+  });
+}
+
+// ------------------------------
+// 🆚 COMPARACIÓN (A vs B)
+// ------------------------------
+// B se carga sobre las locations de A (más las propias) y se filtra con
+// los mismos filtros. Vista 'diff': un mapa con el cambio por par
+// origen-destino. Vista 'side': A a la izquierda y B a la derecha con la
+// cámara sincronizada.
+
+// Prefijo de las capas del lado derecho (B)
+const RIGHT_PREFIX = 'right/';
+
+function getViews() {
+  if (!isSideView()) return [new MapView({ id: 'main', controller: true })];
+  return [
+    new MapView({ id: 'left', x: 0, width: '50%', controller: true }),
+    new MapView({ id: 'right', x: '50%', width: '50%', controller: true }),
+  ];
+}
+
+// Cada mitad dibuja (y permite elegir) solo sus capas
+function layerFilter({ layer, viewport }) {
+  const isRightLayer = layer.id.startsWith(RIGHT_PREFIX);
+  return viewport.id === 'right' ? isRightLayer : !isRightLayer;
+}
+
+// Títulos de A y B sobre cada mitad, con una línea divisoria
+function updateCompareLabels() {
+  document.getElementById('compare-labels')?.remove();
+  if (!isSideView()) return;
+  
+  const labels = document.createElement('div');
+  labels.id = 'compare-labels';
+  labels.style.cssText = `
+    position: absolute;
+    inset: 0;
+    pointer-events: none;
+    z-index: 500;
+    font-family: Arial, sans-serif;
+  `;
+  const labelStyle = `
+    position: absolute;
+    bottom: 12px;
+    transform: translateX(-50%);
+    padding: 4px 10px;
+    border-radius: 4px;
+    background: rgba(0, 0, 0, 0.75);
+    color: white;
+    font-size: 13px;
+    white-space: nowrap;
+  `;
+  const dividerColor = currentConfig.darkMode ? 'rgba(255,255,255,0.5)' : 'rgba(0,0,0,0.4)';
+  
+  labels.innerHTML = `
+    <div style="position: absolute; top: 0; bottom: 0; left: 50%; border-left: 2px solid ${dividerColor};"></div>
+    <div style="${labelStyle} left: 25%;">A · ${escapeHTML(currentDataset?.title || '')}</div>
+    <div style="${labelStyle} left: 75%;">B · ${escapeHTML(compareData.dataset.title)}</div>
+  `;
+  document.getElementById('app').appendChild(labels);
+}
+
+// Dataset B según la URL (o un preset): archivos explícitos o id del catálogo
+function resolveCompareDataset(source = urlConfig) {
+  if (source.compareFlowsFile) {
+    return {
+      id: 'compare-custom',
+      title: t('dataset.compareCustom'),
+      description: '',
+      threshold: null,
+      locationsFile: source.compareLocationsFile || currentDataset.locationsFile,
+      flowsFile: source.compareFlowsFile,
+    };
+  }
+  return catalog.find((d) => d.id === source.compareId) || null;
+}
+
+// Carga B. Si falla, el estado anterior queda intacto.
+async function loadCompareDataset(dataset) {
+  console.log(`🆚 Cargando dataset de comparación: ${dataset.title}`);
+  
+  const { locations: compareLocations, flows, rejected, distances } = await readDataset(dataset, datasetLocations);
+  if (rejected.length) {
+    console.warn(`⚠️ ${rejected.length} filas rechazadas en ${dataset.title}:`);
+    console.table(rejected);
+  }
+  
+  locations = mergeLocations(datasetLocations, compareLocations);
+  compareData = {
+    dataset,
+    locations: compareLocations,
+    allFlows: flows,
+    distances,
+    flows: [],
+  };
+  setFlowFilters(flowFilters);
+  
+  console.log(`🆚 Comparando con ${dataset.title}: ${compareData.flows.length} de ${flows.length} flujos`);
+}
+
+function clearCompareDataset() {
+  compareData = null;
+  locations = datasetLocations;
+  setFlowFilters(flowFilters);
+}
+
+// Cambia B (null = sin comparación) y actualiza el mapa
+async function setCompareDataset(dataset) {
+  if (dataset) await loadCompareDataset(dataset);
+  else clearCompareDataset();
+  
+  // Una comuna que solo existe en B deja de ser válida sin comparación
+  if (!isValidSelection(selectedLocationId)) {
+    selectedLocationId = null;
+  }
+  
+  updateFlowmapLayer();
+  updateLocationPanel();
+  renderCompareControl();
+  renderMetricControl();
+  renderFilterControl();
+}
+
+function renderCompareControl() {
+  const container = document.getElementById('compareControl');
+  if (!container) return;
+  
+  const current = compareData?.dataset.id || '';
+  const options = catalog.filter((d) => d.id !== currentDataset?.id);
+  // B personalizado (por URL) no está en el catálogo
+  if (compareData && !options.some((d) => d.id === current)) {
+    options.unshift(compareData.dataset);
+  }
+  
+  if (!options.length) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  container.innerHTML = `
+    <label style="display: block; margin-bottom: 5px; font-weight: bold;">${t('controls.compare')}:</label>
+    <select id="compareSelect" style="width: 100%; padding: 5px;">
+      <option value="">${t('compare.none')}</option>
+      ${options.map((d) => `
+        <option value="${escapeHTML(d.id)}" ${d.id === current ? 'selected' : ''}>${escapeHTML(d.title)}</option>
+      `).join('')}
+    </select>
+    ${compareData ? `
+    <div style="display: flex; gap: 6px; margin-top: 6px;">
+      <select id="compareViewSelect" style="flex: 1; padding: 5px;">
+        <option value="diff" ${currentConfig.compareView === 'diff' ? 'selected' : ''}>${t('compare.diff')}</option>
+        <option value="side" ${currentConfig.compareView === 'side' ? 'selected' : ''}>${t('compare.side')}</option>
+      </select>
+      <select id="diffMetricSelect" style="flex: 1; padding: 5px;" ${currentConfig.compareView === 'diff' ? '' : 'disabled'}>
+        <option value="absolute" ${currentConfig.diffMetric === 'absolute' ? 'selected' : ''}>${t('compare.absolute')}</option>
+        <option value="percent" ${currentConfig.diffMetric === 'percent' ? 'selected' : ''}>${t('compare.percent')}</option>
+      </select>
+    </div>
+    ` : ''}
+  `;
+  
+  const compareSelect = document.getElementById('compareSelect');
+  compareSelect.addEventListener('change', async (e) => {
+    const dataset = options.find((d) => d.id === e.target.value) || null;
+    compareSelect.disabled = true;
+    updateStatus(dataset ? t('status.loading', { title: dataset.title }) : t('compare.none'));
+    
+    try {
+      await setCompareDataset(dataset);
+      if (dataset) updateStatus(t('status.compareReady'), true);
+    } catch (error) {
+      console.error("❌ Error cargando comparación:", error);
+      compareSelect.value = current;
+      updateStatus(t('status.error', { message: error.message }));
+    } finally {
+      compareSelect.disabled = false;
+    }
+  });
+  
+  document.getElementById('compareViewSelect')?.addEventListener('change', (e) => {
+    currentConfig.compareView = e.target.value;
+    renderCompareControl();
+    updateFlowmapLayer();
+    updateStatus(e.target.value === 'side' ? t('status.sideView') : t('status.diffView'));
+  });
+  
+  document.getElementById('diffMetricSelect')?.addEventListener('change', (e) => {
+    currentConfig.diffMetric = e.target.value;
+    updateFlowmapLayer();
+  });
+}
+
+// ------------------------------
+// 🔥 CONTROLES QUE SÍ FUNCIONAN
+// ------------------------------
+function createControls() {
+  if (!urlConfig.showControls) {
+    console.log("ℹ️ Controles deshabilitados por URL");
+    return;
+  }
+  
+  const controls = document.createElement('div');
+  controls.id = 'flowmap-controls';
+  controls.style.cssText = `
+    position: absolute;
+    top: 10px;
+    left: 10px;
+    background: rgba(255, 255, 255, 0.95);
+    padding: 15px;
+    border-radius: 8px;
+    z-index: 1000;
+    font-family: Arial, sans-serif;
+    box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+    min-width: 280px;
+    max-height: 80vh;
+    overflow-y: auto;
+  `;
+  
+  controls.innerHTML = `
+    <h3 style="margin-top: 0; margin-bottom: 15px; color: #333; font-size: 16px;">
+      🎛️ ${escapeHTML(getTitle())}
+    </h3>
+    
+    <div id="statusBox" style="margin-bottom: 15px; padding: 10px; background: #e3f2fd; border-radius: 5px;">
+      <h4 style="margin-top: 0; margin-bottom: 5px; color: #1565c0;">${t('controls.heading')}</h4>
+      <div style="font-size: 12px;">
+        <div><b>${t('controls.status')}:</b> <span id="statusText" style="color: #4CAF50;">${t('status.ready')}</span></div>
+      </div>
+      <div id="rejectedReport" style="margin-top: 8px; font-size: 12px;"></div>
+      <div id="diagnosticsReport" style="margin-top: 8px; font-size: 12px;"></div>
+    </div>
+    
+    <!-- IDIOMA (si hay más de un catálogo) -->
+    <div id="languageControl" style="margin-bottom: 15px;"></div>
+    
+    <!-- BÚSQUEDA (tecla /) -->
+    <div id="searchControl" style="margin-bottom: 15px;"></div>
+    
+    <!-- DATASET -->
+    ${catalog.length ? `
+    <div style="margin-bottom: 15px;">
+      <label style="display: block; margin-bottom: 5px; font-weight: bold;">${t('controls.dataset')}:</label>
+      <select id="datasetSelect" style="width: 100%; padding: 5px;">
+        ${renderDatasetOptions()}
+      </select>
+      <div id="datasetDescription" style="margin-top: 5px; font-size: 11px; color: #666;">
+        ${escapeHTML(currentDataset?.description)}
+      </div>
+    </div>
+    ` : ''}
+    
+    <!-- ARCHIVOS LOCALES (también se pueden soltar sobre el mapa) -->
+    <div style="margin-bottom: 15px;">
+      <button id="openFilesBtn" style="width: 100%; padding: 5px; cursor: pointer;">📂 ${t('local.open')}</button>
+      <input id="localFilesInput" type="file" multiple hidden
+             accept="${['zip', ...getLoaderExtensions()].map((ext) => `.${ext}`).join(',')}">
+      <div style="margin-top: 5px; font-size: 11px; color: #666;">${t('local.hint')}</div>
+    </div>
+    
+    <!-- COMPARACIÓN (solo si hay otros datasets en el catálogo) -->
+    <div id="compareControl" style="margin-bottom: 15px;"></div>
+    
+    <!-- MAPA BASE -->
+    <div id="basemapControl" style="margin-bottom: 15px;"></div>
+    
+    <!-- MODO DE VISTA -->
+    <div style="margin-bottom: 15px;">
+      <label style="display: block; margin-bottom: 5px; font-weight: bold;">${t('controls.mode')}:</label>
+      <select id="viewModeSelect" style="width: 100%; padding: 5px;">
+        <option value="gross" ${currentConfig.viewMode === 'gross' ? 'selected' : ''}>${t('mode.gross')}</option>
+        <option value="net" ${currentConfig.viewMode === 'net' ? 'selected' : ''}>${t('mode.net')}</option>
+      </select>
+    </div>
+    
+    <!-- DIBUJO DE LOS FLUJOS (FlowmapLayer, arcos 3D o haces) -->
+    <div id="rendererControl" style="margin-bottom: 15px;"></div>
+    
+    <!-- MÉTRICA DE LOS FLUJOS -->
+    <div id="metricControl" style="margin-bottom: 15px;"></div>
+    
+    <!-- FILTROS -->
+    <div id="filterControl" style="margin-bottom: 15px;"></div>
+    
+    <!-- NIVEL DE AGRUPACIÓN (solo si hay archivo de grupos) -->
+    <div id="levelControl" style="margin-bottom: 15px;"></div>
+    
+    <!-- COROPLETA (solo si hay límites comunales) -->
+    <div id="choroplethControl" style="margin-bottom: 15px;"></div>
+    
+    <!-- OPCIÓN DE OPACIDAD -->
+    <div style="margin-bottom: 15px;">
+      <div style="margin-bottom: 10px;">
+        <label style="display: block; margin-bottom: 5px; font-weight: bold;">
+          ${t('controls.opacity')}: <span id="opacityValue">${formatDecimal(currentConfig.opacity, 1)}</span>
+        </label>
+        <input type="range" id="opacitySlider" min="0.1" max="1" step="0.1" 
+               value="${currentConfig.opacity}" style="width: 100%;">
+      </div>
+    </div>
+    
+    <!-- FLUJOS DIBUJADOS (los mayores dentro de la vista) -->
+    <div style="margin-bottom: 15px;">
+      <div style="margin-bottom: 10px;">
+        <label style="display: block; margin-bottom: 5px; font-weight: bold;">
+          ${t('controls.maxFlows')}: <span id="maxFlowsValue">${formatNumber(currentConfig.maxFlows)}</span>
+        </label>
+        <input type="range" id="maxFlowsSlider" min="100" max="10000" step="100" 
+               value="${currentConfig.maxFlows}" style="width: 100%;">
+      </div>
+    </div>
     
     <!-- TOGGLES -->
     <div style="margin-bottom: 15px;">
       <div style="margin-bottom: 10px;">
         <label style="display: block; margin-bottom: 5px; font-weight: bold;">
           <input type="checkbox" id="animationToggle" ${currentConfig.animationEnabled ? 'checked' : ''}>
-          Animación
+          ${t('controls.animation')}
         </label>
       </div>
       
       <div style="margin-bottom: 10px;">
         <label style="display: block; margin-bottom: 5px; font-weight: bold;">
           <input type="checkbox" id="pointsToggle" ${currentConfig.drawPoints ? 'checked' : ''}>
-          Mostrar Puntos
+          ${t('controls.points')}
         </label>
       </div>
     </div>
     
+    <!-- PRESETS Y LINK -->
+    <details style="margin-bottom: 15px;">
+      <summary style="cursor: pointer; font-weight: bold;">⭐ ${t('controls.presets')}</summary>
+      <div id="presetControl" style="margin-top: 8px; font-size: 12px;"></div>
+    </details>
+    
+    <!-- EXPORTAR -->
+    <details style="margin-bottom: 15px;">
+      <summary style="cursor: pointer; font-weight: bold;">📤 ${t('controls.export')}</summary>
+      <div style="margin-top: 8px; font-size: 12px;">
+        <label style="display: block; margin-bottom: 3px;">${t('export.resolution')}:</label>
+        <div style="display: flex; gap: 5px; margin-bottom: 8px;">
+          <select id="exportScale" style="flex: 1; padding: 4px;">
+            ${[1, 2, 3, 4].map((n) => `
+              <option value="${n}" ${n === 2 ? 'selected' : ''}>
+                ${n}x (${formatNumber(window.innerWidth * n)} × ${formatNumber(window.innerHeight * n)} px)
+              </option>
+            `).join('')}
+          </select>
+          <button id="exportPngBtn" style="padding: 4px 8px; cursor: pointer;">🖼️ PNG</button>
+        </div>
+        <label style="display: block; margin-bottom: 3px;">${t('export.visibleData')}:</label>
+        <div style="display: flex; gap: 5px;">
+          <button id="exportFlowsCsvBtn" style="flex: 1; padding: 4px; cursor: pointer;">${t('export.flowsCsv')}</button>
+          <button id="exportLocationsCsvBtn" style="flex: 1; padding: 4px; cursor: pointer;">${t('export.locationsCsv')}</button>
+          <button id="exportGeoJsonBtn" style="flex: 1; padding: 4px; cursor: pointer;">GeoJSON</button>
+        </div>
+        <label style="display: block; margin: 8px 0 3px;">${t('export.video')}:</label>
+        ${canRecordVideo() ? `
+        <div style="display: flex; gap: 5px;">
+          <select id="videoDuration" aria-label="${t('export.duration')}" style="flex: 1; padding: 4px;">
+            ${VIDEO_DURATIONS.map((seconds) => `
+              <option value="${seconds}" ${seconds === DEFAULT_VIDEO_DURATION ? 'selected' : ''}>${formatNumber(seconds)} s</option>
+            `).join('')}
+          </select>
+          <select id="videoFps" aria-label="${t('export.fps')}" style="flex: 1; padding: 4px;">
+            ${VIDEO_FPS.map((fps) => `
+              <option value="${fps}" ${fps === DEFAULT_VIDEO_FPS ? 'selected' : ''}>${formatNumber(fps)} fps</option>
+            `).join('')}
+          </select>
+          <button id="recordVideoBtn" style="flex: 1; padding: 4px; cursor: pointer;">🎥 ${t('export.record')}</button>
+        </div>
+        ` : `<div style="color: #666;">${t('export.videoUnsupported')}</div>`}
+      </div>
+    </details>
+    
     <!-- BOTONES -->
     <div style="display: flex; gap: 10px; margin-top: 20px;">
       <button id="applyBtn" style="flex: 1; padding: 10px; background: #4CAF50; color: white; 
              border: none; border-radius: 4px; cursor: pointer; font-weight: bold;">
-        🔄 Aplicar Cambios
+        🔄 ${t('controls.apply')}
       </button>
       <button id="resetBtn" style="padding: 10px; background: #FF9800; color: white; 
              border: none; border-radius: 4px; cursor: pointer;">
-        🔁 Reiniciar
+        🔁 ${t('controls.reset')}
       </button>
     </div>
     
-    <!-- INFO -->
-    <div style="margin-top: 15px; font-size: 11px; color: #666; 
-         border-top: 1px solid #ddd; padding-top: 10px;">
-      <div>📍 Locations: <span>${locations.length}</span></div>
-      <div>🔄 Flows: <span>${filteredFlows.length}</span></div>
-      <div>🎯 Opacidad actual: <span id="currentOpacity">${currentConfig.opacity}</span></div>
-    </div>
-  `;
+    <!-- INFO -->
+    <div style="margin-top: 15px; font-size: 11px; color: #666; 
+         border-top: 1px solid #ddd; padding-top: 10px;">
+      <div>📍 ${t('info.locations')}: <span id="locationsCount">${formatNumber(locations.length)}</span></div>
+      <div>🔄 ${t('info.flows')}: <span id="flowsCount">${formatFlowsCount()}</span></div>
+      <div>🎯 ${t('info.opacity')}: <span id="currentOpacity">${formatDecimal(currentConfig.opacity, 1)}</span></div>
+    </div>
+  `;
+  
+  document.getElementById('app').appendChild(controls);
+  
+  updateRejectedReport();
+  updateDiagnosticsReport();
+  renderLanguageControl();
+  renderRendererControl();
+  renderChoroplethControl();
+  renderLevelControl();
+  renderMetricControl();
+  renderFilterControl();
+  renderPresetControl();
+  renderBasemapControl();
+  renderCompareControl();
+  
+  searchBox = createSearchBox(document.getElementById('searchControl'), {
+    search: (query) => searchLocations(locations, query),
+    onPick: (location) => {
+      flyToLocation(location);
+      updateStatus(`📍 ${location.name || location.id}`, true);
+    },
+  });
+  
+  // 🔥 CONFIGURAR EVENT LISTENERS QUE SÍ FUNCIONAN
+  
+  // Selector de dataset - Cambia los datos sin recargar la página
+  const datasetSelect = document.getElementById('datasetSelect');
+  
+  datasetSelect?.addEventListener('change', async (e) => {
+    const dataset = catalog.find((d) => d.id === e.target.value);
+    if (!dataset) return;
+    
+    const previousId = currentDataset?.id;
+    datasetSelect.disabled = true;
+    updateStatus(t('status.loading', { title: dataset.title }));
+    
+    try {
+      await switchDataset(dataset);
+      updateStatus(t('status.datasetLoaded'), true);
+    } catch (error) {
+      console.error("❌ Error cambiando dataset:", error);
+      datasetSelect.value = previousId;
+      updateStatus(t('status.error', { message: error.message }));
+    } finally {
+      datasetSelect.disabled = false;
+    }
+  });
+  
+  // Archivos locales
+  const localFilesInput = document.getElementById('localFilesInput');
+  
+  document.getElementById('openFilesBtn').addEventListener('click', () => localFilesInput.click());
+  localFilesInput.addEventListener('change', () => {
+    openLocalFiles([...localFilesInput.files]);
+    localFilesInput.value = '';
+  });
+  
+  // Exportar
+  const exportPngBtn = document.getElementById('exportPngBtn');
+  
+  exportPngBtn.addEventListener('click', async () => {
+    exportPngBtn.disabled = true;
+    updateStatus(t('status.exportingPng'));
+    try {
+      await exportPNG(parseInt(document.getElementById('exportScale').value));
+      updateStatus(t('status.pngExported'), true);
+    } catch (error) {
+      console.error("❌ Error exportando PNG:", error);
+      updateStatus(t('status.error', { message: error.message }));
+    } finally {
+      exportPngBtn.disabled = false;
+    }
+  });
+  
+  // Grabar video (el mismo botón cancela)
+  const recordVideoBtn = document.getElementById('recordVideoBtn');
+  
+  recordVideoBtn?.addEventListener('click', async () => {
+    if (videoRecording) {
+      videoRecording.abort();
+      return;
+    }
+    videoRecording = new AbortController();
+    recordVideoBtn.textContent = `⏹ ${t('export.cancel')}`;
+    try {
+      await exportVideo({
+        duration: parseFloat(document.getElementById('videoDuration').value),
+        fps: parseInt(document.getElementById('videoFps').value),
+        signal: videoRecording.signal,
+        onProgress: (progress) => updateStatus(t('status.recording', { percent: formatPercent(progress * 100, 0) })),
+      });
+      updateStatus(t('status.videoExported'), true);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        updateStatus(t('status.recordingCancelled'));
+      } else {
+        console.error("❌ Error grabando video:", error);
+        updateStatus(t('status.error', { message: error.message }));
+      }
+    } finally {
+      videoRecording = null;
+      recordVideoBtn.textContent = `🎥 ${t('export.record')}`;
+    }
+  });
+  
+  document.getElementById('exportFlowsCsvBtn').addEventListener('click', () => {
+    exportFlowsCSV();
+    updateStatus(t('status.flowsCsvExported'), true);
+  });
+  document.getElementById('exportLocationsCsvBtn').addEventListener('click', () => {
+    exportLocationsCSV();
+    updateStatus(t('status.locationsCsvExported'), true);
+  });
+  document.getElementById('exportGeoJsonBtn').addEventListener('click', () => {
+    exportGeoJSON();
+    updateStatus(t('status.geojsonExported'), true);
+  });
+  
+  // Selector de modo (bruto / neto)
+  const viewModeSelect = document.getElementById('viewModeSelect');
+  
+  viewModeSelect.addEventListener('change', (e) => {
+    currentConfig.viewMode = e.target.value;
+    renderMetricControl();
+    updateFlowmapLayer();
+    updateStatus(e.target.value === 'net' ? t('status.netMode') : t('status.grossMode'));
+  });
+  
+  // Slider de opacidad - Actualización en tiempo real
+  const opacitySlider = document.getElementById('opacitySlider');
+  const opacityValue = document.getElementById('opacityValue');
+  const currentOpacity = document.getElementById('currentOpacity');
+  
+  opacitySlider.addEventListener('input', (e) => {
+    const value = parseFloat(e.target.value);
+    opacityValue.textContent = formatDecimal(value, 1);
+    currentOpacity.textContent = formatDecimal(value, 1);
+    
+    // Actualizar configuración
+    currentConfig.opacity = value;
+    
+    // 🔥 ACTUALIZAR LA CAPA INMEDIATAMENTE
+    updateFlowmapLayer();
+    
+    // Actualizar estado
+    updateStatus(t('status.opacity'));
+  });
+  
+  // Slider de flujos dibujados
+  const maxFlowsSlider = document.getElementById('maxFlowsSlider');
+  const maxFlowsValue = document.getElementById('maxFlowsValue');
+  
+  maxFlowsSlider.addEventListener('input', (e) => {
+    const value = parseInt(e.target.value);
+    maxFlowsValue.textContent = formatNumber(value);
+    currentConfig.maxFlows = value;
+    
+    // 🔥 ACTUALIZAR LA CAPA INMEDIATAMENTE
+    updateFlowmapLayer();
+    
+    updateStatus(t('status.maxFlows'));
+  });
+  
+  // Toggle de animación
+  const animationToggle = document.getElementById('animationToggle');
+  animationToggle.addEventListener('change', (e) => {
+    currentConfig.animationEnabled = e.target.checked;
+    updateFlowmapLayer();
+    updateStatus(e.target.checked ? t('status.animationOn') : t('status.animationOff'));
+  });
+  
+  // Toggle de puntos
+  const pointsToggle = document.getElementById('pointsToggle');
+  pointsToggle.addEventListener('change', (e) => {
+    currentConfig.drawPoints = e.target.checked;
+    
+    // 🔥 ACTUALIZAR LA CAPA INMEDIATAMENTE
+    updateFlowmapLayer();
+    
+    updateStatus(e.target.checked ? t('status.pointsOn') : t('status.pointsOff'));
+  });
+  
+  // Botón Aplicar - Para aplicar TODOS los cambios
+  document.getElementById('applyBtn').addEventListener('click', () => {
+    console.log("🔄 Aplicando todos los cambios:", currentConfig);
+    
+    // Reiniciar animación con nueva configuración
+    if (animationId) {
+      cancelAnimationFrame(animationId);
+    }
+    
+    // Actualizar capa
+    updateFlowmapLayer();
+    
+    // Reiniciar animación
+    startAnimation();
+    
+    updateStatus(t('status.applied'), true);
+  });
+  
+  // Botón Reiniciar
+  document.getElementById('resetBtn').addEventListener('click', async () => {
+    // Restaurar sliders y toggles por defecto (el resto, según la URL inicial)
+    currentConfig = { ...createConfig(), ...DEFAULT_SETTINGS };
+    await applyBasemap();
+    
+    // Actualizar controles UI
+    syncControls();
+    
+    // Actualizar capa
+    updateFlowmapLayer();
+    
+    updateStatus(t('status.reset'), true);
+  });
+}
+
+// Función para actualizar estado
+function updateStatus(message, isSuccess = false) {
+  const statusText = document.getElementById('statusText');
+  if (!statusText) return;
+  statusText.textContent = message;
+  statusText.style.color = isSuccess ? '#4CAF50' : '#2196F3';
+  
+  // Resetear después de 2 segundos
+  setTimeout(() => {
+    statusText.textContent = t('status.ready');
+    statusText.style.color = '#4CAF50';
+  }, 2000);
+}
+
+// Lleva los controles del panel a los valores actuales
+function syncControls() {
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  };
+  const setText = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = value;
+  };
+  const setChecked = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.checked = value;
+  };
+  
+  if (currentDataset) setValue('datasetSelect', currentDataset.id);
+  setValue('viewModeSelect', currentConfig.viewMode);
+  
+  setValue('opacitySlider', currentConfig.opacity);
+  setText('opacityValue', formatDecimal(currentConfig.opacity, 1));
+  setText('currentOpacity', formatDecimal(currentConfig.opacity, 1));
+  
+  setValue('maxFlowsSlider', currentConfig.maxFlows);
+  setText('maxFlowsValue', formatNumber(currentConfig.maxFlows));
+  
+  setChecked('animationToggle', currentConfig.animationEnabled);
+  setChecked('pointsToggle', currentConfig.drawPoints);
+  
+  renderRendererControl();
+  renderChoroplethControl();
+  renderLevelControl();
+  renderMetricControl();
+  renderFilterControl();
+  renderBasemapControl();
+  renderCompareControl();
+}
+
+// ------------------------------
+// 🌐 IDIOMA
+// ------------------------------
+// Título de la página: el parámetro title o el del idioma actual
+function getTitle() {
+  return urlConfig.title || t('app.title');
+}
+
+// Nombres visibles de métricas y mapas base en el idioma actual
+function flowMetricLabel(metric) {
+  return t(`metric.${metric}`);
+}
+
+function choroplethLabel(metric) {
+  return getMetricColumn(metric) ?? t(`choropleth.${metric}`);
+}
+
+function basemapLabel(id) {
+  return BASEMAPS[id] ? t(`basemap.${id}`) : t('basemap.custom');
+}
+
+function renderLanguageControl() {
+  const container = document.getElementById('languageControl');
+  if (!container) return;
+  
+  const locales = getLocales();
+  if (locales.length < 2) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  container.innerHTML = `
+    <label style="display: block; margin-bottom: 5px; font-weight: bold;">${t('controls.language')}:</label>
+    <select id="languageSelect" style="width: 100%; padding: 5px;">
+      ${locales.map((l) => `
+        <option value="${escapeHTML(l.id)}" ${l.id === getLocale() ? 'selected' : ''}>${escapeHTML(l.name)}</option>
+      `).join('')}
+    </select>
+  `;
+  
+  document.getElementById('languageSelect').addEventListener('change', (e) => {
+    switchLocale(e.target.value);
+    updateStatus(t('status.language', { name: locales.find((l) => l.id === getLocale()).name }), true);
+  });
+}
+
+// Cambia el idioma en vivo: se vuelven a armar los paneles con textos
+function switchLocale(locale) {
+  chosenLocale = setLocale(locale);
+  document.title = getTitle();
+  
+  if (document.getElementById('flowmap-controls')) {
+    document.getElementById('flowmap-controls').remove();
+    createControls();
+  }
+  if (flowTable) {
+    flowTable.destroy();
+    mountFlowTable();
+  }
+  storyPlayer?.refresh();
+  updateLocationPanel();
+  updateCompareLabels();
+  updateLegend();
+  scheduleURLUpdate();
+}
+
+// ------------------------------
+// 📚 DATASETS
+// ------------------------------
+
+// Dataset inicial: los parámetros locations/flows tienen prioridad,
+// luego el parámetro dataset y por último la primera entrada del catálogo.
+function resolveInitialDataset() {
+  if (urlConfig.locationsFile || urlConfig.flowsFile) {
+    return {
+      id: 'custom',
+      title: t('dataset.custom'),
+      description: '',
+      threshold: null,
+      locationsFile: urlConfig.locationsFile || 'locations.csv',
+      flowsFile: urlConfig.flowsFile || 'flows.csv',
+    };
+  }
+  
+  return findDataset(catalog, urlConfig.datasetId) || {
+    id: 'default',
+    title: t('dataset.default'),
+    description: '',
+    threshold: null,
+    locationsFile: 'locations.csv',
+    flowsFile: 'flows.csv',
+  };
+}
+
+// Opciones del selector: el catálogo más el dataset actual si no está en él
+function getDatasetOptions() {
+  if (!currentDataset || catalog.some((d) => d.id === currentDataset.id)) {
+    return catalog;
+  }
+  return [currentDataset, ...catalog];
+}
+
+function renderDatasetOptions() {
+  return getDatasetOptions().map((d) => `
+    <option value="${escapeHTML(d.id)}" ${d.id === currentDataset?.id ? 'selected' : ''}>${escapeHTML(d.title)}</option>
+  `).join('');
+}
+
+// Carga un dataset y reemplaza locations/filteredFlows.
+// Si falla, el estado anterior queda intacto.
+async function loadDataset(dataset) {
+  console.log(`📚 Cargando dataset: ${dataset.title}`);
+  
+  const { locations: newLocations, flows: newFlows, rejected, diagnostics, distances, totals } = await readDataset(dataset);
+  
+  // Límites comunales y agrupación (opcionales)
+  const [newBoundaries, newGroups] = await Promise.all([
+    loadDatasetBoundaries(dataset, newLocations),
+    loadDatasetGroups(dataset),
+  ]);
+  
+  const populationColumn = getPopulationColumn(newLocations, urlConfig.populationColumn);
+  metricContext = {
+    column: populationColumn,
+    populations: getPopulations(newLocations, populationColumn),
+    totals,
+  };
+  
+  datasetLocations = newLocations;
+  locations = compareData ? mergeLocations(newLocations, compareData.locations) : newLocations;
+  allFlows = newFlows;
+  flowDistances = distances;
+  currentDataset = dataset;
+  rejectedRows = rejected;
+  datasetDiagnostics = diagnostics;
+  boundaryFeatures = newBoundaries;
+  groups = newGroups;
+  
+  setFlowFilters(flowFilters);
+  
+  console.log("📊 Datos cargados:");
+  console.log("- Locations:", locations.length);
+  console.log("- Flows:", `${filteredFlows.length} de ${allFlows.length}`);
+  
+  if (rejectedRows.length) {
+    console.warn(`⚠️ ${rejectedRows.length} filas rechazadas:`);
+    console.table(rejectedRows);
+  }
+}
+
+// Polígonos del dataset asociados a sus locations. Un error aquí no
+// impide cargar los flujos: solo se omite la coropleta.
+async function loadDatasetBoundaries(dataset, datasetLocations) {
+  const url = urlConfig.boundariesFile || dataset.boundariesFile;
+  if (!url) return null;
+  
+  try {
+    const geojson = await loadBoundaries(url);
+    const idProperty = urlConfig.boundaryIdProperty || dataset.boundaryIdProperty;
+    const { features, matched } = matchBoundaries(geojson, datasetLocations, idProperty);
+    console.log(`🗺️ Límites: ${matched}/${features.length} polígonos asociados a locations`);
+    return features;
+  } catch (error) {
+    console.warn("⚠️ Límites no disponibles:", error.message);
+    return null;
+  }
+}
+
+// Agrupación comuna → región. Sin ella solo se ve el nivel comuna.
+async function loadDatasetGroups(dataset) {
+  const url = urlConfig.groupsFile || dataset.groupsFile;
+  if (!url) return null;
+  
+  try {
+    return await loadGroups(url);
+  } catch (error) {
+    console.warn("⚠️ Grupos no disponibles:", error.message);
+    return null;
+  }
+}
+
+// Cambia de dataset en vivo, manteniendo la vista y la configuración
+async function switchDataset(dataset) {
+  await loadDataset(dataset);
+  
+  // B se vuelve a validar contra las locations del nuevo A
+  if (compareData) {
+    await loadCompareDataset(compareData.dataset).catch((error) => {
+      console.warn("⚠️ Comparación descartada:", error.message);
+      clearCompareDataset();
+    });
+  }
+  
+  // Mantener la selección solo si la comuna (o grupo) existe en el nuevo dataset
+  if (!isValidSelection(selectedLocationId)) {
+    selectedLocationId = null;
+  }
+  
+  updateFlowmapLayer();
+  updateLocationPanel();
+  updateDataInfo();
+}
+
+function updateDataInfo() {
+  const locationsCount = document.getElementById('locationsCount');
+  const flowsCount = document.getElementById('flowsCount');
+  const datasetDescription = document.getElementById('datasetDescription');
+  const datasetSelect = document.getElementById('datasetSelect');
+  
+  if (datasetSelect) datasetSelect.innerHTML = renderDatasetOptions();
+  if (locationsCount) locationsCount.textContent = formatNumber(locations.length);
+  if (flowsCount) flowsCount.textContent = formatFlowsCount();
+  if (datasetDescription) datasetDescription.textContent = currentDataset?.description || '';
+  
+  updateRejectedReport();
+  updateDiagnosticsReport();
+  renderChoroplethControl();
+  renderLevelControl();
+  renderMetricControl();
+  renderFilterControl();
+  renderCompareControl();
+}
+
+function formatFlowsCount() {
+  return filteredFlows.length === allFlows.length
+    ? formatNumber(allFlows.length)
+    : t('info.flowsOf', { shown: filteredFlows.length, total: allFlows.length });
+}
+
+function renderLevelControl() {
+  const container = document.getElementById('levelControl');
+  if (!container) return;
+  
+  if (!groups) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const options = [
+    { value: 'auto', label: t('level.auto') },
+    { value: 'group', label: t('level.group') },
+    { value: 'location', label: t('level.location') },
+  ];
+  
+  container.innerHTML = `
+    <label style="display: block; margin-bottom: 5px; font-weight: bold;">${t('controls.level')}:</label>
+    <select id="levelSelect" style="width: 100%; padding: 5px;">
+      ${options.map((o) => `
+        <option value="${o.value}" ${o.value === currentConfig.level ? 'selected' : ''}>${o.label}</option>
+      `).join('')}
+    </select>
+  `;
+  
+  document.getElementById('levelSelect').addEventListener('change', (e) => {
+    currentConfig.level = e.target.value;
+    updateFlowmapLayer();
+  });
+}
+
+// Métrica de los flujos. La tasa requiere una columna de población en locations.csv.
+function renderMetricControl() {
+  const container = document.getElementById('metricControl');
+  if (!container) return;
+  
+  const available = (metric) => metric !== 'rate' || metricContext.populations.size > 0;
+  
+  // Con saldo neto o comparando se dibujan personas
+  let note = '';
+  if (!available(currentConfig.flowMetric)) note = t('metric.noPopulation');
+  else if (currentConfig.flowMetric !== 'count' && !isMetricActive()) note = t('metric.grossOnly');
+  else if (currentConfig.flowMetric === 'rate') note = t('metric.populationColumn', { column: metricContext.column });
+  
+  container.innerHTML = `
+    <label style="display: block; margin-bottom: 5px; font-weight: bold;">${t('controls.metric')}:</label>
+    <select id="metricSelect" style="width: 100%; padding: 5px;">
+      ${FLOW_METRICS.map((value) => `
+        <option value="${value}" ${value === currentConfig.flowMetric ? 'selected' : ''} ${available(value) ? '' : 'disabled'}>
+          ${flowMetricLabel(value)}${available(value) ? '' : ` (${t('metric.unavailable')})`}
+        </option>
+      `).join('')}
+    </select>
+    ${note ? `<div style="margin-top: 5px; font-size: 11px; color: #666;">${escapeHTML(note)}</div>` : ''}
+  `;
+  
+  document.getElementById('metricSelect').addEventListener('change', (e) => {
+    currentConfig.flowMetric = e.target.value;
+    renderMetricControl();
+    updateFlowmapLayer();
+    updateStatus(`${t('controls.metric')}: ${flowMetricLabel(e.target.value)}`);
+  });
+}
+
+// ------------------------------
+// 🔎 FILTROS
+// ------------------------------
+
+// Aplica filtros descartando las comunas que no existen en el dataset actual
+function setFlowFilters(filters) {
+  const validIds = new Set(locations.map((loc) => loc.id));
+  flowFilters = {
+    ...filters,
+    origins: filters.origins.filter((id) => validIds.has(id)),
+    destinations: filters.destinations.filter((id) => validIds.has(id)),
+  };
+  filteredFlows = applyFlowFilters(allFlows, flowFilters, flowDistances);
+  
+  // Los mismos filtros se aplican a B al comparar
+  if (compareData) {
+    compareData.flows = applyFlowFilters(compareData.allFlows, flowFilters, compareData.distances);
+  }
+}
+
+// Vuelve a calcular filteredFlows y actualiza mapa, panel y contadores
+function refilterFlows() {
+  setFlowFilters(flowFilters);
+  
+  updateFlowmapLayer();
+  updateLocationPanel();
+  
+  const flowsCount = document.getElementById('flowsCount');
+  if (flowsCount) flowsCount.textContent = formatFlowsCount();
+  const filterSummary = document.getElementById('filterSummary');
+  if (filterSummary) filterSummary.textContent = t('filters.summary', { flows: formatFlowsCount() });
+}
+
+function renderFilterControl() {
+  const container = document.getElementById('filterControl');
+  if (!container) return;
+  
+  const sortedLocations = [...locations].sort((a, b) => a.name.localeCompare(b.name, getLocale()));
+  const renderOptions = (selected) => sortedLocations.map((loc) => `
+    <option value="${escapeHTML(loc.id)}" ${selected.includes(loc.id) ? 'selected' : ''}>${escapeHTML(loc.name)}</option>
+  `).join('');
+  const inputStyle = 'width: 100%; padding: 4px; box-sizing: border-box;';
+  
+  container.innerHTML = `
+    <details ${hasActiveFilters(flowFilters) ? 'open' : ''}>
+      <summary style="cursor: pointer; font-weight: bold;">🔎 ${t('filters.title')}</summary>
+      <div style="margin-top: 8px; font-size: 12px;">
+        <label style="display: block; margin-bottom: 3px;">${t('filters.minCount')}:</label>
+        <input type="number" id="filterMinCount" min="0" step="1" value="${flowFilters.minCount || ''}"
+               placeholder="0" style="${inputStyle} margin-bottom: 8px;">
+        
+        <label style="display: block; margin-bottom: 3px;">${t('filters.distance')}:</label>
+        <div style="display: flex; gap: 5px; margin-bottom: 8px;">
+          <input type="number" id="filterMinDistance" min="0" step="10" value="${flowFilters.minDistance ?? ''}"
+                 placeholder="${t('filters.min')}" style="${inputStyle}">
+          <input type="number" id="filterMaxDistance" min="0" step="10" value="${flowFilters.maxDistance ?? ''}"
+                 placeholder="${t('filters.max')}" style="${inputStyle}">
+        </div>
+        
+        <label style="display: block; margin-bottom: 3px;">${t('filters.topN')}:</label>
+        <input type="number" id="filterTopN" min="1" step="1" value="${flowFilters.topN ?? ''}"
+               placeholder="${t('filters.all')}" style="${inputStyle} margin-bottom: 8px;">
+        
+        <label style="display: block; margin-bottom: 3px;">${t('filters.origins')}:</label>
+        <select id="filterOrigins" multiple size="5" style="${inputStyle} margin-bottom: 8px;">
+          ${renderOptions(flowFilters.origins)}
+        </select>
+        
+        <label style="display: block; margin-bottom: 3px;">${t('filters.destinations')}:</label>
+        <select id="filterDestinations" multiple size="5" style="${inputStyle} margin-bottom: 8px;">
+          ${renderOptions(flowFilters.destinations)}
+        </select>
+        
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+          <span id="filterSummary" style="color: #666;">${t('filters.summary', { flows: formatFlowsCount() })}</span>
+          <button id="clearFiltersBtn" style="padding: 4px 8px; font-size: 11px; cursor: pointer;">
+            ${t('filters.clear')}
+          </button>
+        </div>
+      </div>
+    </details>
+  `;
+  
+  const readNumber = (id) => {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : Number(value);
+  };
+  const readSelected = (id) => [...document.getElementById(id).selectedOptions].map((o) => o.value);
+  
+  const onChange = () => {
+    flowFilters = {
+      minCount: readNumber('filterMinCount') || 0,
+      minDistance: readNumber('filterMinDistance'),
+      maxDistance: readNumber('filterMaxDistance'),
+      topN: readNumber('filterTopN') || null,
+      origins: readSelected('filterOrigins'),
+      destinations: readSelected('filterDestinations'),
+    };
+    refilterFlows();
+  };
+  
+  container.querySelectorAll('input, select').forEach((el) => el.addEventListener('change', onChange));
+  
+  document.getElementById('clearFiltersBtn').addEventListener('click', () => {
+    flowFilters = createDefaultFilters();
+    refilterFlows();
+    renderFilterControl();
+  });
+}
+
+// ------------------------------
+// 🏷️ LEYENDA
+// ------------------------------
+
+// Escalas de color y tamaños de ejemplo de la vista actual
+function getLegendItems(config = currentConfig) {
+  // Arcos y haces: los flujos dibujados (pueden ser entre regiones)
+  const lines = config.renderer !== 'flowmap' ? getDrawnLines(config) : null;
+  const flows = lines || getVisibleFlows(config);
+  const { totals } = getNetData();
+  
+  // Comparación en un mapa: escala de cambio (bajas ↔ aumentos)
+  if (isDiffView(config)) {
+    const unit = config.diffMetric === 'percent' ? '%' : t('legend.persons');
+    return [
+      createDiffLegend(flows, t('legend.diff', { unit }), config),
+      createThicknessLegend(flows, { ...config, title: t('legend.diffThickness', { unit }) }),
+    ].filter(Boolean);
+  }
+  
+  // Lado a lado: cada mitad tiene su propia escala
+  const suffix = isSideView(config) ? ' · A' : '';
+  const metricLabel = isMetricActive(config) ? flowMetricLabel(config.flowMetric) : null;
+  const items = [
+    { ...createFlowLegend(flows, config), title: metricLabel || `${t('legend.flowPersons')}${suffix}` },
+    createThicknessLegend(flows, {
+      ...config,
+      title: metricLabel ? t('legend.thicknessOf', { label: metricLabel.toLowerCase() }) : t('legend.thickness'),
+    }),
+  ];
+  if (isSideView(config)) {
+    items.push({ ...createFlowLegend(getCompareDisplayFlows(config), config), title: `${t('legend.flowPersons')} · B` });
+  }
+  
+  // Círculos de FlowmapLayer: lo mayor entre llegadas y salidas (más el flujo interno).
+  // Con una métrica normalizada los círculos tienen tamaño fijo.
+  if (config.viewMode !== 'net' && !metricLabel) {
+    const maxTotal = lines
+      ? Math.max(0, ...[...getLineLocationTotals(lines).values()].map((t) => t.value))
+      : Math.max(0, ...[...totals.values()].map((t) => Math.max(t.inflow, t.outflow) + t.internal));
+    items.push(createCircleLegend(t('legend.circles'), maxTotal));
+  }
+  
+  if (config.viewMode === 'net' && config.drawPoints) {
+    const nets = [...totals.values()].map((t) => t.net);
+    const maxAbs = Math.max(0, ...nets.map(Math.abs));
+    items.push(createScaleLegend(t('legend.net'), -maxAbs, maxAbs, createDivergingColorScale(maxAbs), { diverging: true }));
+    items.push(createCircleLegend(t('legend.netCircles'), maxAbs, {
+      radiusFor: (value) => getNetRadius(value, maxAbs),
+    }));
+  }
+  
+  if (boundaryFeatures && config.choroplethMetric !== 'none') {
+    const values = [...computeMetricValues(config.choroplethMetric, locations, totals).values()];
+    if (values.length) {
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      const label = choroplethLabel(config.choroplethMetric);
+      items.push(config.choroplethMetric === 'net'
+        ? createScaleLegend(label, min, max, createDivergingColorScale(Math.max(Math.abs(min), Math.abs(max))), { diverging: true })
+        : createScaleLegend(label, min, max, createSequentialColorScale(min, max)));
+    }
+  }
+  
+  return items.filter(Boolean);
+}
+
+function updateLegend() {
+  if (!urlConfig.showLegend) return;
+  
+  if (!filteredFlows.length) {
+    hideLegendPanel();
+    return;
+  }
+  showLegendPanel(getLegendItems(), { darkMode: currentConfig.darkMode });
+}
+
+// ------------------------------
+// 📋 TABLA DE FLUJOS
+// ------------------------------
+// Filas para el filteredFlows actual y selección con la que se marcaron
+let tableData = { source: null, selected: null, rows: [] };
+
+function getTableRows() {
+  const names = new Map(locations.map((loc) => [loc.id, loc.name || loc.id]));
+  let total = 0;
+  for (const flow of filteredFlows) total += flow.count;
+  
+  return filteredFlows.map((flow) => ({
+    key: `${flow.origin}\u0000${flow.dest}`,
+    origin: flow.origin,
+    dest: flow.dest,
+    originName: names.get(flow.origin) || flow.origin,
+    destName: names.get(flow.dest) || flow.dest,
+    count: flow.count,
+    distance: flowDistances.get(flow),
+    share: total ? flow.count / total : 0,
+  }));
+}
+
+// Filas nuevas solo si cambiaron los flujos; marca las de la comuna en foco
+function updateFlowTable() {
+  if (!flowTable) return;
+  
+  const flowsChanged = tableData.source !== filteredFlows;
+  if (flowsChanged) {
+    tableData = { ...tableData, source: filteredFlows, rows: getTableRows() };
+    flowTable.setRows(tableData.rows);
+    
+    // La fila marcada puede haber quedado fuera de los filtros
+    const keys = new Set([hoveredFlowRow?.key, pickedFlowRow?.key]);
+    const stillThere = tableData.rows.filter((row) => keys.has(row.key));
+    hoveredFlowRow = stillThere.find((row) => row.key === hoveredFlowRow?.key) || null;
+    pickedFlowRow = stillThere.find((row) => row.key === pickedFlowRow?.key) || null;
+  }
   
-  document.getElementById('app').appendChild(controls);
+  if (flowsChanged || tableData.selected !== selectedLocationId) {
+    tableData.selected = selectedLocationId;
+    const ids = selectedLocationId ? getMemberIds(selectedLocationId) : null;
+    flowTable.reveal(ids && ((row) => ids.has(row.origin) || ids.has(row.dest)));
+  }
+}
+
+function mountFlowTable() {
+  flowTable = createFlowTable({
+    onHover: (row) => {
+      hoveredFlowRow = row;
+      refreshHighlight();
+    },
+    onPick: (row) => {
+      pickedFlowRow = row;
+      refreshHighlight();
+    },
+  });
+  tableData = { source: null, selected: null, rows: [] };
+  updateFlowTable();
+  flowTable.setPicked(pickedFlowRow?.key ?? null);
+}
+
+// Flujo clickeado en el mapa (puede ser entre regiones). En modo neto se
+// marcan las filas de ambos sentidos.
+function revealFlowInTable(object, config = currentConfig) {
+  if (!flowTable) return;
+  const origins = getMemberIds(object.origin.id);
+  const dests = getMemberIds(object.dest.id);
+  const both = config.viewMode === 'net';
+  flowTable.reveal((row) => (origins.has(row.origin) && dests.has(row.dest))
+    || (both && dests.has(row.origin) && origins.has(row.dest)));
+}
+
+// Desmarca (null) la fila marcada desde fuera de la tabla (Esc)
+function pickFlowRow(row) {
+  if (!flowTable || pickedFlowRow === row) return;
+  pickedFlowRow = row;
+  flowTable.setPicked(row?.key ?? null);
+  refreshHighlight();
+}
+
+// Línea y extremos del flujo de la tabla: el de la fila bajo el cursor o,
+// si no hay, el de la fila marcada
+const HIGHLIGHT_COLOR = [255, 193, 7];
+
+function createFlowHighlightLayers() {
+  const row = hoveredFlowRow || pickedFlowRow;
+  if (!row) return [];
   
-  // 🔥 CONFIGURAR EVENT LISTENERS QUE SÍ FUNCIONAN
+  const origin = locations.find((loc) => loc.id === row.origin);
+  const dest = locations.find((loc) => loc.id === row.dest);
+  if (!origin || !dest) return [];
   
-  // Slider de opacidad - Actualización en tiempo real
-  const opacitySlider = document.getElementById('opacitySlider');
-  const opacityValue = document.getElementById('opacityValue');
-  const currentOpacity = document.getElementById('currentOpacity');
+  return [
+    new LineLayer({
+      id: 'flow-highlight-layer',
+      data: [{ origin, dest }],
+      getSourcePosition: (d) => [d.origin.lon, d.origin.lat],
+      getTargetPosition: (d) => [d.dest.lon, d.dest.lat],
+      getColor: [...HIGHLIGHT_COLOR, 230],
+      getWidth: 4,
+      widthUnits: 'pixels',
+    }),
+    new ScatterplotLayer({
+      id: 'flow-highlight-ends-layer',
+      data: [origin, dest],
+      getPosition: (d) => [d.lon, d.lat],
+      getFillColor: HIGHLIGHT_COLOR,
+      getLineColor: [0, 0, 0, 200],
+      stroked: true,
+      getRadius: 6,
+      radiusUnits: 'pixels',
+      lineWidthUnits: 'pixels',
+      getLineWidth: 1,
+    }),
+  ];
+}
+
+// Solo vuelve a armar las capas (los datos de FlowmapLayer no cambian)
+function refreshHighlight() {
+  if (deck) deck.setProps({ layers: buildLayers() });
+}
+
+// ------------------------------
+// 🔗 ESTADO EN LA URL
+// ------------------------------
+const URL_UPDATE_DELAY = 300;
+let urlUpdateTimer = null;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Valores de los parámetros que describen la vista actual (cámara,
+// configuración, filtros y selección); null = no va en la URL
+function getStateValues() {
+  const inCatalog = catalog.some((d) => d.id === currentDataset?.id);
+  const compareInCatalog = Boolean(compareData) && catalog.some((d) => d.id === compareData.dataset.id);
+  const compareFiles = compareData && !compareInCatalog ? compareData.dataset : null;
   
-  opacitySlider.addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    opacityValue.textContent = value.toFixed(1);
-    currentOpacity.textContent = value.toFixed(1);
+  return {
+    dataset: inCatalog ? currentDataset.id : null,
+    lon: round(currentViewState.longitude, 4),
+    lat: round(currentViewState.latitude, 4),
+    zoom: round(currentViewState.zoom, 2),
+    pitch: round(currentViewState.pitch, 1),
+    bearing: round(currentViewState.bearing, 1),
     
-    // Actualizar configuración
-    currentConfig.opacity = value;
+    basemap: currentConfig.baseMap,
+    mode: currentConfig.viewMode,
+    renderer: currentConfig.renderer === 'flowmap' ? null : currentConfig.renderer,
+    archeight: currentConfig.renderer === 'arcs' && currentConfig.arcHeight === 'count' ? 'count' : null,
     
-    // 🔥 ACTUALIZAR LA CAPA INMEDIATAMENTE
-    updateFlowmapLayer();
+    compare: compareInCatalog ? compareData.dataset.id : null,
+    compareflows: compareFiles?.flowsFile,
+    comparelocations: compareFiles && compareFiles.locationsFile !== currentDataset.locationsFile
+      ? compareFiles.locationsFile
+      : null,
+    compareview: compareData && currentConfig.compareView === 'side' ? 'side' : null,
+    diff: compareData && currentConfig.diffMetric === 'percent' ? 'pct' : null,
+    metric: currentConfig.flowMetric === 'count' ? null : currentConfig.flowMetric,
+    colors: currentConfig.colorScheme,
+    choropleth: currentConfig.choroplethMetric === 'none' ? null : currentConfig.choroplethMetric,
+    level: currentConfig.level === 'auto' ? null : currentConfig.level,
+    opacity: currentConfig.opacity,
+    maxflows: currentConfig.maxFlows,
+    // Parámetros de versiones anteriores: `particles` pasó a `maxflows`;
+    // `speed` y `thickness` no existen en FlowmapLayer y no hacían nada
+    particles: null,
+    speed: null,
+    thickness: null,
+    anim: currentConfig.animationEnabled,
+    points: currentConfig.drawPoints,
     
-    // Actualizar estado
-    updateStatus("Opacidad actualizada");
+    min: flowFilters.minCount || null,
+    mindist: flowFilters.minDistance,
+    maxdist: flowFilters.maxDistance,
+    top: flowFilters.topN,
+    origins: flowFilters.origins,
+    dests: flowFilters.destinations,
+    
+    selected: selectedLocationId,
+    lang: chosenLocale,
+  };
+}
+
+function getStateParams() {
+  const params = buildStateParams(window.location.search, getStateValues());
+  
+  // Un dataset del catálogo (o archivos locales) reemplaza a los archivos explícitos
+  if (currentDataset?.local || catalog.some((d) => d.id === currentDataset?.id)) {
+    params.delete('locations');
+    params.delete('flows');
+  }
+  
+  return params;
+}
+
+// Escribe el estado en la URL, agrupando cambios seguidos (sliders, pan/zoom)
+function scheduleURLUpdate() {
+  clearTimeout(urlUpdateTimer);
+  urlUpdateTimer = setTimeout(() => writeURL(getStateParams()), URL_UPDATE_DELAY);
+}
+
+function getShareURL() {
+  return `${window.location.origin}${window.location.pathname}?${getStateParams()}`;
+}
+
+// Aplica un estado guardado (query string) sin recargar la página.
+// `transitionDuration`: duración del vuelo de la cámara en ms.
+async function applyState(search, { transitionDuration = 1000 } = {}) {
+  const state = getConfigFromURL(search);
+  const dataset = state.datasetId && catalog.find((d) => d.id === state.datasetId);
+  
+  const datasetChanged = Boolean(dataset) && dataset.id !== currentDataset?.id;
+  if (datasetChanged) {
+    await loadDataset(dataset);
+  }
+  
+  // Comparación del estado (o ninguna)
+  const compareDataset = resolveCompareDataset(state);
+  if (!compareDataset) {
+    if (compareData) clearCompareDataset();
+  } else if (datasetChanged || compareDataset.flowsFile !== compareData?.dataset.flowsFile) {
+    await loadCompareDataset(compareDataset);
+  }
+  
+  setFlowFilters(getInitialFilters(state));
+  currentConfig = createConfig(state);
+  await applyBasemap();
+  selectedLocationId = isValidSelection(state.selected) ? state.selected : null;
+  
+  currentViewState = getInitialViewState(state);
+  deck.setProps({
+    viewState: {
+      ...currentViewState,
+      transitionDuration,
+      transitionInterpolator: new FlyToInterpolator(),
+    },
   });
   
-  // Slider de velocidad
-  const speedSlider = document.getElementById('speedSlider');
-  const speedValue = document.getElementById('speedValue');
+  updateFlowmapLayer();
+  updateLocationPanel();
+  updateDataInfo();
+  syncControls();
+}
+
+// ------------------------------
+// ⭐ PRESETS
+// ------------------------------
+function renderPresetControl() {
+  const container = document.getElementById('presetControl');
+  if (!container) return;
   
-  speedSlider.addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    speedValue.textContent = value.toFixed(1);
-    currentConfig.animationSpeed = value;
-    updateStatus("Velocidad actualizada");
+  const names = Object.keys(loadPresets()).sort((a, b) => a.localeCompare(b, getLocale()));
+  
+  container.innerHTML = `
+    <div style="display: flex; gap: 5px; margin-bottom: 8px;">
+      <select id="presetSelect" style="flex: 1; padding: 4px;" ${names.length ? '' : 'disabled'}>
+        ${names.length
+          ? names.map((n) => `<option value="${escapeHTML(n)}">${escapeHTML(n)}</option>`).join('')
+          : `<option>${t('presets.empty')}</option>`}
+      </select>
+      <button id="applyPresetBtn" style="padding: 4px 8px; cursor: pointer;" ${names.length ? '' : 'disabled'}>${t('presets.apply')}</button>
+      <button id="deletePresetBtn" title="${t('presets.delete')}" style="padding: 4px 8px; cursor: pointer;" ${names.length ? '' : 'disabled'}>🗑️</button>
+    </div>
+    <div style="display: flex; gap: 5px; margin-bottom: 8px;">
+      <input type="text" id="presetName" placeholder="${t('presets.name')}" style="flex: 1; padding: 4px;">
+      <button id="savePresetBtn" style="padding: 4px 8px; cursor: pointer;">💾 ${t('presets.save')}</button>
+    </div>
+    <button id="shareLinkBtn" style="width: 100%; padding: 6px; cursor: pointer;">🔗 ${t('presets.share')}</button>
+  `;
+  
+  const presetSelect = document.getElementById('presetSelect');
+  
+  document.getElementById('applyPresetBtn').addEventListener('click', async () => {
+    const name = presetSelect.value;
+    updateStatus(t('status.applyingPreset', { name }));
+    try {
+      await applyState(loadPresets()[name]);
+      updateStatus(t('status.presetApplied', { name }), true);
+    } catch (error) {
+      console.error("❌ Error aplicando preset:", error);
+      updateStatus(t('status.error', { message: error.message }));
+    }
   });
   
-  // Slider de partículas
-  const particlesSlider = document.getElementById('particlesSlider');
-  const particlesValue = document.getElementById('particlesValue');
+  document.getElementById('deletePresetBtn').addEventListener('click', () => {
+    const name = presetSelect.value;
+    if (!window.confirm(t('presets.confirmDelete', { name }))) return;
+    deletePreset(name);
+    renderPresetControl();
+    updateStatus(t('status.presetDeleted', { name }));
+  });
   
-  particlesSlider.addEventListener('input', (e) => {
-    const value = parseInt(e.target.value);
-    particlesValue.textContent = value;
-    currentConfig.maxParticles = value;
-    updateStatus("Partículas actualizadas");
+  document.getElementById('savePresetBtn').addEventListener('click', () => {
+    const name = document.getElementById('presetName').value.trim();
+    if (!name) {
+      updateStatus(t('status.presetNameMissing'));
+      return;
+    }
+    try {
+      savePreset(name, getStateParams().toString());
+      renderPresetControl();
+      updateStatus(t('status.presetSaved', { name }), true);
+    } catch (error) {
+      console.error("❌ Error guardando preset:", error);
+      updateStatus(t('status.error', { message: error.message }));
+    }
   });
   
-  // Slider de grosor
-  const thicknessSlider = document.getElementById('thicknessSlider');
-  const thicknessValue = document.getElementById('thicknessValue');
+  document.getElementById('shareLinkBtn').addEventListener('click', async () => {
+    const url = getShareURL();
+    try {
+      await navigator.clipboard.writeText(url);
+      updateStatus(t('status.linkCopied'), true);
+    } catch {
+      // Sin permiso de portapapeles: mostrar el link para copiarlo a mano
+      window.prompt(t('presets.copyPrompt'), url);
+    }
+  });
+}
+
+// ------------------------------
+// 📖 HISTORIAS
+// ------------------------------
+// Con el parámetro story se carga un recorrido guiado (story.js) y cada
+// paso se aplica como un preset: los parámetros de estado que el paso no
+// indica vuelven a su valor por defecto.
+
+// Query string de un paso: los parámetros actuales sin los de estado, más los del paso
+function getStoryStepSearch(params) {
+  const cleared = Object.fromEntries(Object.keys(getStateValues()).map((key) => [key, null]));
+  return buildStateParams(window.location.search, { ...cleared, ...params }).toString();
+}
+
+async function startStory(storyFile) {
+  const story = await loadStory(storyFile);
   
-  thicknessSlider.addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    thicknessValue.textContent = value.toFixed(1);
-    currentConfig.flowThickness = value;
-    
-    // 🔥 ACTUALIZAR LA CAPA INMEDIATAMENTE
-    updateFlowmapLayer();
-    
-    updateStatus("Grosor actualizado");
+  storyPlayer = createStoryPlayer(story, {
+    onStep: async (step, index) => {
+      console.log(`📖 Paso ${index + 1}/${story.steps.length}: ${step.title}`);
+      await applyState(getStoryStepSearch(step.params), { transitionDuration: step.transition });
+    },
+    onClose: closeStory,
   });
+  storyPlayer.start();
+}
+
+function closeStory() {
+  storyPlayer?.destroy();
+  storyPlayer = null;
+}
+
+// ------------------------------
+// 📤 EXPORTAR
+// ------------------------------
+
+// Flujos visibles: filtros, modo de vista y, en modo foco, solo los de la selección
+function getVisibleFlows(config = currentConfig) {
+  const flows = getDisplayFlows(config);
+  if (!selectedLocationId) return flows;
   
-  // Toggle de animación
-  const animationToggle = document.getElementById('animationToggle');
-  animationToggle.addEventListener('change', (e) => {
-    currentConfig.animationEnabled = e.target.checked;
-    updateStatus(`Animación ${e.target.checked ? 'activada' : 'desactivada'}`);
+  const ids = getMemberIds(selectedLocationId);
+  return flows.filter((f) => ids.has(f.origin) || ids.has(f.dest));
+}
+
+// Comunas de un id: las del grupo (región) o solo la comuna
+function getMemberIds(id) {
+  return isGroupId(id)
+    ? new Set(getGroupData()?.groupInfo.get(id)?.members.map((m) => m.id))
+    : new Set([id]);
+}
+
+// Locations que participan en los flujos visibles
+function getVisibleLocations(flows) {
+  const ids = new Set(flows.flatMap((f) => [f.origin, f.dest]));
+  return locations.filter((loc) => ids.has(loc.id));
+}
+
+function getSourceNote() {
+  const source = urlConfig.sourceNote || currentDataset?.source;
+  const dataset = compareData
+    ? `${currentDataset?.title || ''} vs ${compareData.dataset.title}`
+    : currentDataset?.title || '';
+  return source ? t('export.sourceNote', { source, dataset }) : dataset;
+}
+
+// Nombre base de los archivos exportados
+function getExportName() {
+  const selection = selectedLocationId ? `_${selectedLocationId.replace(/[^\w-]+/g, '_')}` : '';
+  let mode = currentConfig.viewMode;
+  if (isDiffView()) mode = `vs_${compareData.dataset.id}_${currentConfig.diffMetric}`;
+  else if (isMetricActive()) mode = currentConfig.flowMetric;
+  return `flujos_${currentDataset?.id || 'dataset'}_${mode}${selection}`;
+}
+
+// Opciones del video: duración (s) y cuadros por segundo
+const VIDEO_DURATIONS = [5, 10, 20, 30];
+const VIDEO_FPS = [24, 30, 60];
+const DEFAULT_VIDEO_DURATION = 10;
+const DEFAULT_VIDEO_FPS = 30;
+
+let videoRecording = null; // AbortController de la grabación en curso
+
+// WebM de la animación cuadro a cuadro, con título, leyenda y nota (ver recorder.js)
+async function exportVideo({ duration, fps, signal, onProgress }) {
+  const blob = await recordMapVideo(deck, {
+    duration,
+    fps,
+    signal,
+    onProgress,
+    overlay: { title: getTitle(), legend: getLegendItems(), note: getSourceNote() },
+  });
+  downloadFile(`${getExportName()}.webm`, blob);
+}
+
+async function exportPNG(scale) {
+  const blob = await renderMapImage(deck, {
+    scale,
+    title: getTitle(),
+    legend: getLegendItems(),
+    note: getSourceNote(),
   });
+  downloadFile(`${getExportName()}.png`, blob);
+}
+
+function exportFlowsCSV() {
+  const names = new Map(locations.map((loc) => [loc.id, loc.name]));
+  downloadFile(`${getExportName()}.csv`, flowsToCSV(getVisibleFlows(), (id) => names.get(id) || id), 'text/csv');
+}
+
+function exportLocationsCSV() {
+  const visible = getVisibleLocations(getVisibleFlows());
+  downloadFile(`${getExportName()}_comunas.csv`, locationsToCSV(visible, getNetData().totals), 'text/csv');
+}
+
+function exportGeoJSON() {
+  const flows = getVisibleFlows();
+  downloadFile(
+    `${getExportName()}.geojson`,
+    toGeoJSON(flows, getVisibleLocations(flows), getNetData().totals),
+    'application/geo+json'
+  );
+}
+
+// ------------------------------
+// ⚠️ REPORTE DE FILAS RECHAZADAS
+// ------------------------------
+const MAX_REJECTED_SHOWN = 200;
+
+function updateRejectedReport() {
+  const container = document.getElementById('rejectedReport');
+  if (!container) return;
   
-  // Toggle de puntos
-  const pointsToggle = document.getElementById('pointsToggle');
-  pointsToggle.addEventListener('change', (e) => {
-    currentConfig.drawPoints = e.target.checked;
-    
-    // 🔥 ACTUALIZAR LA CAPA INMEDIATAMENTE
-    updateFlowmapLayer();
-    
-    updateStatus(`Puntos ${e.target.checked ? 'mostrados' : 'ocultos'}`);
+  if (!rejectedRows.length) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const shown = rejectedRows.slice(0, MAX_REJECTED_SHOWN);
+  container.innerHTML = `
+    <details>
+      <summary style="cursor: pointer; color: #e65100;">
+        ⚠️ ${t('rejected.summary', { count: rejectedRows.length })}
+      </summary>
+      <div style="max-height: 150px; overflow-y: auto; margin-top: 5px; font-size: 11px; color: #555;">
+        ${shown.map((r) => `
+          <div style="margin-bottom: 3px;">
+            <b>${escapeHTML(r.file)}${r.line ? `:${r.line}` : ''}</b> ${escapeHTML(r.reason)}
+          </div>
+        `).join('')}
+        ${rejectedRows.length > shown.length ? `<div>… ${t('tooltip.andMore', { count: rejectedRows.length - shown.length })}</div>` : ''}
+      </div>
+      <button id="downloadRejectedBtn" style="margin-top: 5px; padding: 4px 8px; font-size: 11px; cursor: pointer;">
+        ⬇️ ${t('rejected.download')}
+      </button>
+    </details>
+  `;
+  
+  document.getElementById('downloadRejectedBtn').addEventListener('click', () => {
+    downloadFile(
+      `rechazados_${currentDataset?.id || 'dataset'}.csv`,
+      formatCSV(['file', 'line', 'reason', 'raw'], rejectedRows),
+      'text/csv'
+    );
   });
+}
+
+// ------------------------------
+// 📂 ARCHIVOS LOCALES
+// ------------------------------
+// Archivos soltados sobre el mapa o elegidos con el botón del panel (ver
+// local-files.js). Se leen en el navegador y reemplazan el dataset actual
+// como si fuera otro del catálogo; no se suben a ningún lado.
+
+async function openLocalFiles(files) {
+  if (!files.length) return;
+  updateStatus(t('status.readingFiles'));
   
-  // Botón Aplicar - Para aplicar TODOS los cambios
-  document.getElementById('applyBtn').addEventListener('click', () => {
-    console.log("🔄 Aplicando todos los cambios:", currentConfig);
+  try {
+    const tables = await findDatasetFiles(files);
     
-    // Reiniciar animación con nueva configuración
-    if (animationId) {
-      cancelAnimationFrame(animationId);
+    // Encabezados que no se reconocen: preguntar las columnas
+    let columns = {};
+    if (tables.locations.missing.length || tables.flows.missing.length) {
+      columns = await showColumnDialog(tables, LOCAL_SCHEMAS);
+      if (!columns) {
+        updateStatus(t('status.localCancelled'));
+        return;
+      }
     }
     
-    // Actualizar capa
-    updateFlowmapLayer();
-    
-    // Reiniciar animación
-    startAnimation();
-    
-    updateStatus("Todos los cambios aplicados ✓", true);
-  });
+    const dataset = createLocalDataset(tables, columns);
+    updateStatus(t('status.loading', { title: dataset.title }));
+    await switchDataset(dataset);
+    updateStatus(t('status.datasetLoaded'), true);
+  } catch (error) {
+    console.error("❌ Error leyendo archivos locales:", error);
+    updateStatus(t('status.error', { message: error.message }));
+  }
+}
+
+// Soltar archivos sobre el mapa, con un aviso mientras se arrastran
+function setupFileDrop() {
+  const app = document.getElementById('app');
+  const overlay = document.createElement('div');
+  overlay.style.cssText = `
+    position: absolute;
+    inset: 10px;
+    border: 3px dashed #2196F3;
+    border-radius: 10px;
+    background: rgba(33, 150, 243, 0.15);
+    color: #0d47a1;
+    display: none;
+    align-items: center;
+    justify-content: center;
+    text-align: center;
+    font-family: Arial, sans-serif;
+    font-size: 18px;
+    z-index: 1500;
+    pointer-events: none;
+  `;
+  overlay.innerHTML = `<div style="background: rgba(255,255,255,0.9); padding: 14px 20px; border-radius: 8px;">📂 ${t('local.drop')}</div>`;
+  app.appendChild(overlay);
   
-  // Botón Reiniciar
-  document.getElementById('resetBtn').addEventListener('click', () => {
-    // Restaurar configuración por defecto
-    currentConfig = {
-      opacity: 1.0,
-      animationEnabled: true,
-      animationSpeed: 0.5,
-      maxParticles: 5000,
-      particleSpeed: 5.0,
-      flowThickness: 5.0,
-      drawPoints: true,
-      locationRadius: 15,
-      colorScheme: urlConfig.colorScheme,
-      darkMode: urlConfig.baseMap.includes('dark'),
-    };
-    
-    // Actualizar controles UI
-    opacitySlider.value = currentConfig.opacity;
-    opacityValue.textContent = currentConfig.opacity;
-    currentOpacity.textContent = currentConfig.opacity;
-    
-    speedSlider.value = currentConfig.animationSpeed;
-    speedValue.textContent = currentConfig.animationSpeed;
-    
-    particlesSlider.value = currentConfig.maxParticles;
-    particlesValue.textContent = currentConfig.maxParticles;
-    
-    thicknessSlider.value = currentConfig.flowThickness;
-    thicknessValue.textContent = currentConfig.flowThickness;
-    
-    animationToggle.checked = currentConfig.animationEnabled;
-    pointsToggle.checked = currentConfig.drawPoints;
-    
-    // Actualizar capa
-    updateFlowmapLayer();
-    
-    updateStatus("Configuración reiniciada ✓", true);
+  const hasFiles = (e) => e.dataTransfer?.types.includes('Files');
+  let depth = 0; // dragenter/dragleave también llegan de los elementos hijos
+  
+  app.addEventListener('dragenter', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    depth++;
+    overlay.firstElementChild.textContent = `📂 ${t('local.drop')}`;
+    overlay.style.display = 'flex';
   });
+  app.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+  app.addEventListener('dragleave', () => {
+    depth = Math.max(0, depth - 1);
+    if (!depth) overlay.style.display = 'none';
+  });
+  app.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    depth = 0;
+    overlay.style.display = 'none';
+    openLocalFiles([...e.dataTransfer.files]);
+  });
+}
+
+// ------------------------------
+// 🩺 DIAGNÓSTICO DE DATOS
+// ------------------------------
+// Los problemas de los archivos (ver diagnostics.js), con un CSV por
+// revisión. Si hay alguno, el recuadro de estado se marca en naranjo.
+
+function updateDiagnosticsReport() {
+  const container = document.getElementById('diagnosticsReport');
+  const statusBox = document.getElementById('statusBox');
+  if (!container) return;
   
-  // Función para actualizar estado
-  function updateStatus(message, isSuccess = false) {
-    const statusText = document.getElementById('statusText');
-    statusText.textContent = message;
-    statusText.style.color = isSuccess ? '#4CAF50' : '#2196F3';
-    
-    // Resetear después de 2 segundos
-    setTimeout(() => {
-      statusText.textContent = 'Listo';
-      statusText.style.color = '#4CAF50';
-    }, 2000);
+  const total = datasetDiagnostics.reduce((acc, check) => acc + check.count, 0);
+  statusBox.style.background = total ? '#fff3e0' : '#e3f2fd';
+  statusBox.style.boxShadow = total ? 'inset 3px 0 0 #e65100' : 'none';
+  
+  if (!total) {
+    container.innerHTML = '';
+    return;
   }
+  
+  container.innerHTML = `
+    <details>
+      <summary style="cursor: pointer; color: #e65100;">
+        🩺 ${t('diagnostics.summary', { count: total })}
+      </summary>
+      <div style="margin-top: 5px; font-size: 11px; color: #555;">
+        ${datasetDiagnostics.map(({ id, count }) => `
+          <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 3px;">
+            <span>${t(`diagnostics.${id}`)}: <b>${formatNumber(count)}</b></span>
+            <button data-check="${id}" title="${t('diagnostics.download')}" aria-label="${t('diagnostics.download')}"
+                    style="padding: 1px 6px; font-size: 11px; cursor: pointer;">⬇️ CSV</button>
+          </div>
+        `).join('')}
+        <div style="margin-top: 5px; color: #888;">${t('diagnostics.note')}</div>
+      </div>
+    </details>
+  `;
+  
+  container.querySelectorAll('[data-check]').forEach((button) => {
+    button.addEventListener('click', () => downloadDiagnostic(button.dataset.check));
+  });
+}
+
+function downloadDiagnostic(id) {
+  const check = datasetDiagnostics.find((c) => c.id === id);
+  const { columns } = DIAGNOSTIC_CHECKS.find((c) => c.id === id);
+  downloadFile(
+    `diagnostico_${id}_${currentDataset?.id || 'dataset'}.csv`,
+    formatCSV(columns, check.rows),
+    'text/csv'
+  );
 }
 
 // ------------------------------
@@ -602,53 +2929,108 @@ async function init() {
   console.log("⚡ Iniciando aplicación");
   console.log("Configuración desde URL:", urlConfig);
   
-  document.title = urlConfig.title;
+  // Idioma: parámetro lang o el del navegador
+  const locale = setLocale(urlConfig.lang || navigator.languages);
+  if (urlConfig.lang) chosenLocale = locale;
+  document.title = getTitle();
   
   try {
-    // Cargar datos
-    const locCSV = await loadCSV(urlConfig.locationsFile);
-    const flowCSV = await loadCSV(urlConfig.flowsFile);
-    
-    locations = parseLocations(locCSV);
-    const flows = parseFlows(flowCSV);
+    // Cargar catálogo (opcional)
+    catalog = await loadCatalog(urlConfig.catalogFile).catch((error) => {
+      console.warn("⚠️ Catálogo no disponible:", error.message);
+      return [];
+    });
     
-    // Filtrar flujos
-    const validIds = new Set(locations.map((l) => l.id));
-    filteredFlows = flows.filter(
-      (f) => validIds.has(f.origin) && validIds.has(f.dest)
-    );
+    // Cargar datos
+    await loadDataset(resolveInitialDataset());
     
-    // Aplicar filtro de distancia
-    if (urlConfig.maxDistance) {
-      filteredFlows = filterByDistance(filteredFlows, locations, urlConfig.maxDistance);
+    // Selección inicial (parámetro selected)
+    if (isValidSelection(urlConfig.selected)) {
+      selectedLocationId = urlConfig.selected;
     }
     
-    console.log("📊 Datos cargados:");
-    console.log("- Locations:", locations.length);
-    console.log("- Flows:", filteredFlows.length);
-    
     // Crear controles
     if (urlConfig.showControls) {
       createControls();
     }
     
     // Crear Deck
+    // Mapa base (sin conexión, directamente el offline)
+    if (!navigator.onLine && resolveBasemap(currentConfig.baseMap).type === 'tiles') {
+      currentConfig.baseMap = 'offline';
+    }
+    await applyBasemap();
+    renderBasemapControl();
+    
+    // Comparación inicial (parámetros compare / compareflows)
+    const compareDataset = resolveCompareDataset();
+    if (compareDataset) {
+      await loadCompareDataset(compareDataset).catch((error) => {
+        console.warn("⚠️ Comparación no disponible:", error.message);
+      });
+      renderCompareControl();
+    }
+    
+    // Cámara controlada: la misma viewState para todas las vistas
+    // (en la vista lado a lado, ambas mitades se mueven juntas)
     deck = new Deck({
       parent: document.getElementById("app"),
-      initialViewState: {
-        longitude: urlConfig.centerLon,
-        latitude: urlConfig.centerLat,
-        zoom: urlConfig.zoom,
-        pitch: 15,
-        bearing: 0,
-      },
-      controller: true,
+      views: getViews(),
+      viewState: currentViewState,
+      layerFilter,
       useDevicePixels: window.devicePixelRatio || 1,
       
-      layers: [
-        createBaseLayer(),
-        createFlowmapLayer()
-      ],
+      // Guardar la cámara en la URL
+      onViewStateChange: ({ viewState }) => {
+        const wasGroupLevel = isLineGroupLevel();
+        currentViewState = viewState;
+        deck.setProps({ viewState });
+        
+        // Arcos y haces en nivel automático: comunas o regiones según el zoom
+        if (currentConfig.renderer !== 'flowmap' && isLineGroupLevel() !== wasGroupLevel) {
+          updateFlowmapLayer();
+        }
+        scheduleURLUpdate();
+      },
+      
+      // Click en el mapa vacío: limpiar selección
+      onClick: (info) => {
+        if (!info.layer) clearSelection();
+      },
+      
+      layers: buildLayers(),
+    });
+    
+    updateLocationPanel();
+    updateCompareLabels();
+    updateLegend();
+    
+    // Tabla de flujos (se oculta con table=false)
+    if (urlConfig.showTable) {
+      mountFlowTable();
+    }
+    
+    // Archivos locales soltados sobre el mapa
+    setupFileDrop();
+    
+    // Historia (parámetro story). Si no carga, queda el mapa normal.
+    if (urlConfig.storyFile) {
+      await startStory(urlConfig.storyFile).catch((error) => {
+        console.warn("⚠️ Historia no disponible:", error.message);
+        updateStatus(t('status.error', { message: error.message }));
+      });
+    }
+    
+    // Esc: limpiar selección; /: ir a la búsqueda
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        clearSelection();
+        pickFlowRow(null);
+      }
+      if (e.key === '/' && searchBox && !e.target.closest('input, textarea, select')) {
+        e.preventDefault();
+        searchBox.focus();
+      }
     });
     
     // Iniciar animación
@@ -660,48 +3042,16 @@ async function init() {
     console.error("❌ Error:", error);
     document.getElementById('app').innerHTML = `
       <div style="padding: 20px; text-align: center;">
-        <h2 style="color: #e74c3c;">Error cargando datos</h2>
-        <p>${error.message}</p>
+        <h2 style="color: #e74c3c;">${t('error.title')}</h2>
+        <p>${escapeHTML(error.message)}</p>
         <button onclick="location.reload()" style="padding: 10px 20px; background: #3498db; color: white; border: none; border-radius: 4px; cursor: pointer;">
-          Reintentar
+          ${t('error.retry')}
         </button>
       </div>
     `;
   }
 }
 
-// ------------------------------
-// Función auxiliar: filtrar por distancia
-// ------------------------------
-function filterByDistance(flows, locations, maxDistanceKm) {
-  const locationMap = {};
-  locations.forEach(loc => {
-    locationMap[loc.id] = loc;
-  });
-  
-  function calculateDistance(loc1, loc2) {
-    const R = 6371;
-    const dLat = (loc2.lat - loc1.lat) * Math.PI / 180;
-    const dLon = (loc2.lon - loc1.lon) * Math.PI / 180;
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(loc1.lat * Math.PI / 180) * Math.cos(loc2.lat * Math.PI / 180) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
-  }
-  
-  return flows.filter(flow => {
-    const origin = locationMap[flow.origin];
-    const dest = locationMap[flow.dest];
-    
-    if (!origin || !dest) return false;
-    
-    const distance = calculateDistance(origin, dest);
-    return distance <= maxDistanceKm;
-  });
-}
-
 // Iniciar
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,131 @@
+import { TileLayer } from '@deck.gl/geo-layers';
+import { BitmapLayer, GeoJsonLayer } from '@deck.gl/layers';
+import { loadBoundaries } from './boundaries.js';
+
+// ------------------------------
+// 🗺️ MAPAS BASE
+// ------------------------------
+// Registro de mapas base. El parámetro `basemap` acepta un id del registro
+// o una plantilla de teselas propia (https://.../{z}/{x}/{y}.png).
+// `darkMode` indica si los flujos deben usar la paleta para fondo oscuro.
+// Los nombres visibles están en los catálogos de idioma (basemap.<id>).
+
+export const BASEMAPS = {
+  dark: {
+    type: 'tiles',
+    url: 'https://cartodb-basemaps-a.global.ssl.fastly.net/dark_all/{z}/{x}/{y}@2x.png',
+    darkMode: true,
+  },
+  light: {
+    type: 'tiles',
+    url: 'https://cartodb-basemaps-a.global.ssl.fastly.net/light_all/{z}/{x}/{y}@2x.png',
+    darkMode: false,
+  },
+  // Sin internet: contornos desde GeoJSON locales. comunas.geojson se genera
+  // con `npm run build-basemap` (si no existe, solo se dibujan los países).
+  offline: {
+    type: 'geojson',
+    files: ['basemap/chile.geojson', 'basemap/comunas.geojson'],
+    darkMode: true,
+  },
+  none: {
+    type: 'none',
+    darkMode: false,
+  },
+};
+
+// Nombres antiguos del parámetro basemap
+const ALIASES = {
+  dark_all: 'dark',
+  light_all: 'light',
+};
+
+export const DEFAULT_BASEMAP = 'dark';
+
+// Color de fondo del mapa cuando no hay teselas
+const BACKGROUND = {
+  dark: '#101418',
+  light: '#f2f2ef',
+};
+
+export function isTileTemplate(value) {
+  return typeof value === 'string' && /^https?:\/\//.test(value) && value.includes('{z}');
+}
+
+// id o plantilla -> { id, type, url?, files?, darkMode }
+// Para plantillas propias el modo oscuro se deduce del nombre,
+// salvo que se indique con `dark`.
+export function resolveBasemap(value, { dark } = {}) {
+  if (isTileTemplate(value)) {
+    return {
+      id: value,
+      type: 'tiles',
+      url: value,
+      darkMode: dark ?? value.includes('dark'),
+    };
+  }
+
+  const id = ALIASES[value] || (BASEMAPS[value] ? value : DEFAULT_BASEMAP);
+  return { id, ...BASEMAPS[id] };
+}
+
+export function getBackgroundColor(basemap) {
+  return basemap.darkMode ? BACKGROUND.dark : BACKGROUND.light;
+}
+
+// Carga los GeoJSON del mapa offline. Los archivos que faltan se omiten.
+export async function loadOfflineData(basemap) {
+  const results = await Promise.all(basemap.files.map(async (file) => {
+    try {
+      return await loadBoundaries(file);
+    } catch {
+      console.log(`ℹ️ Mapa offline: ${file} no disponible`);
+      return null;
+    }
+  }));
+  return results.filter(Boolean);
+}
+
+// Capas del mapa base. `offlineData` son los GeoJSON de loadOfflineData().
+// `idPrefix` permite tener más de una copia del mapa base (una por vista)
+export function createBasemapLayers(basemap, { offlineData = [], idPrefix = '', onTileLoad, onTileError } = {}) {
+  if (basemap.type === 'tiles') {
+    return [new TileLayer({
+      id: `${idPrefix}base-map`,
+      data: basemap.url,
+      minZoom: 0,
+      maxZoom: 19,
+      tileSize: 256,
+      onTileLoad,
+      onTileError,
+      renderSubLayers: (props) => {
+        const { bbox: { west, south, east, north } } = props.tile;
+        return new BitmapLayer(props, {
+          data: null,
+          image: props.data,
+          bounds: [west, south, east, north],
+          opacity: 1,
+        });
+      },
+    })];
+  }
+
+  if (basemap.type === 'geojson') {
+    const dark = basemap.darkMode;
+    return offlineData.map((data, i) => new GeoJsonLayer({
+      id: `${idPrefix}base-map-offline-${i}`,
+      data,
+      stroked: true,
+      filled: i === 0,
+      lineWidthUnits: 'pixels',
+      getLineWidth: i === 0 ? 1 : 0.5,
+      // Chile más claro que los países vecinos
+      getFillColor: (f) => (f.properties?.name === 'Chile'
+        ? (dark ? [38, 44, 52, 255] : [255, 255, 255, 255])
+        : (dark ? [26, 30, 36, 255] : [228, 228, 224, 255])),
+      getLineColor: dark ? [90, 100, 115, 255] : [160, 160, 155, 255],
+    }));
+  }
+
+  return [];
+}
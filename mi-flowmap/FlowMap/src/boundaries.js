@@ -0,0 +1,48 @@
+import { normalizeId } from './text.js';
+
+// ------------------------------
+// 🗺️ LÍMITES COMUNALES (GeoJSON)
+// ------------------------------
+
+// Propiedades donde se busca el identificador de comuna si no se indica otra
+const DEFAULT_ID_PROPERTIES = ['id', 'COMUNA', 'comuna', 'NOM_COMUNA', 'name', 'nombre'];
+
+const cache = new Map();
+
+// Carga un GeoJSON de límites (con caché por URL)
+export async function loadBoundaries(url) {
+  if (!cache.has(url)) {
+    console.log(`🗺️ Cargando límites: ${url}`);
+    const promise = fetch(url).then((r) => {
+      if (!r.ok) throw new Error(`No se pudo cargar ${url}`);
+      return r.json();
+    });
+    cache.set(url, promise);
+    promise.catch(() => cache.delete(url));
+  }
+  return cache.get(url);
+}
+
+// Asocia cada polígono con una location comparando IDs normalizados
+// (mayúsculas, sin tildes). Devuelve features con `properties.locationId`
+// (null si no hay coincidencia) y la cantidad de coincidencias.
+export function matchBoundaries(geojson, locations, idProperty) {
+  const locationIds = new Map(locations.map((loc) => [normalizeId(loc.id), loc.id]));
+  const properties = idProperty ? [idProperty] : DEFAULT_ID_PROPERTIES;
+
+  let matched = 0;
+  const features = (geojson.features || []).map((feature) => {
+    const candidates = [
+      ...properties.map((p) => feature.properties?.[p]),
+      feature.id,
+    ].filter((v) => v !== undefined && v !== null);
+
+    const key = candidates.map(normalizeId).find((c) => locationIds.has(c));
+    const locationId = key ? locationIds.get(key) : null;
+    if (locationId) matched++;
+
+    return { ...feature, properties: { ...feature.properties, locationId } };
+  });
+
+  return { features, matched };
+}
@@ -0,0 +1,222 @@
+// ------------------------------
+// 🪢 HACES DE FLUJOS (EDGE BUNDLING)
+// ------------------------------
+// Force-directed edge bundling (Holten y van Wijk, 2009): cada flujo se
+// divide en puntos que se atraen con los de los flujos compatibles
+// (parecidos en dirección, largo y posición), así los flujos paralelos
+// (p. ej. RM → norte) se juntan en corredores. Parámetros por defecto
+// como en d3.ForceEdgeBundling. No usa el DOM: corre en data-worker.js.
+//
+// edges: [{ source: [lon, lat], target: [lon, lat] }]
+// Devuelve un path [[lon, lat], ...] por arista, de source a target.
+
+const DEFAULT_OPTIONS = {
+  compatibilityThreshold: 0.6,
+  stiffness: 0.1, // K: rigidez de los resortes entre puntos de una arista
+  stepSize: 0.1, // S0: desplazamiento por iteración (en el espacio normalizado)
+  cycles: 6,
+  iterations: 90, // I0: iteraciones del primer ciclo
+  iterationRate: 2 / 3,
+  subdivisionRate: 2,
+};
+
+// Los cálculos se hacen en un plano de diagonal NORMALIZED_SIZE, para que
+// stepSize no dependa de la extensión de los datos
+const NORMALIZED_SIZE = 1000;
+const EPSILON = 1e-6;
+
+const length = ([x0, y0], [x1, y1]) => Math.hypot(x1 - x0, y1 - y0);
+
+// Proyección local (equirectangular centrada) escalada al plano normalizado
+function createProjection(edges) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const { source, target } of edges) {
+    for (const [lon, lat] of [source, target]) {
+      minX = Math.min(minX, lon);
+      maxX = Math.max(maxX, lon);
+      minY = Math.min(minY, lat);
+      maxY = Math.max(maxY, lat);
+    }
+  }
+  const cos = Math.cos((((minY + maxY) / 2) * Math.PI) / 180);
+  const scale = NORMALIZED_SIZE / (Math.hypot((maxX - minX) * cos, maxY - minY) || 1);
+
+  return {
+    project: ([lon, lat]) => [(lon - minX) * cos * scale, (lat - minY) * scale],
+    unproject: ([x, y]) => [x / (cos * scale) + minX, y / scale + minY],
+  };
+}
+
+// Proyección del punto p sobre la recta (a, b)
+function projectOnLine(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const t = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (dx * dx + dy * dy);
+  return [a[0] + t * dx, a[1] + t * dy];
+}
+
+// Qué tanto se "ve" q desde p (0 si la proyección de q cae lejos de p)
+function visibility(p, q) {
+  const i0 = projectOnLine(q[0], p[0], p[1]);
+  const i1 = projectOnLine(q[1], p[0], p[1]);
+  const span = length(i0, i1);
+  if (span < EPSILON) return 0;
+  const midI = [(i0[0] + i1[0]) / 2, (i0[1] + i1[1]) / 2];
+  const midP = [(p[0][0] + p[1][0]) / 2, (p[0][1] + p[1][1]) / 2];
+  return Math.max(0, 1 - (2 * length(midP, midI)) / span);
+}
+
+// Compatibilidad entre dos aristas [a, b] (ángulo, escala, posición y visibilidad)
+function compatibility(p, q) {
+  const vp = [p[1][0] - p[0][0], p[1][1] - p[0][1]];
+  const vq = [q[1][0] - q[0][0], q[1][1] - q[0][1]];
+  const lp = Math.hypot(...vp);
+  const lq = Math.hypot(...vq);
+  const average = (lp + lq) / 2;
+
+  const angle = Math.abs((vp[0] * vq[0] + vp[1] * vq[1]) / (lp * lq));
+  const scale = 2 / (average / Math.min(lp, lq) + Math.max(lp, lq) / average);
+  const midP = [(p[0][0] + p[1][0]) / 2, (p[0][1] + p[1][1]) / 2];
+  const midQ = [(q[0][0] + q[1][0]) / 2, (q[0][1] + q[1][1]) / 2];
+  const position = average / (average + length(midP, midQ));
+  if (angle * scale * position < EPSILON) return 0;
+
+  return angle * scale * position * Math.min(visibility(p, q), visibility(q, p));
+}
+
+// Vuelve a repartir la polilínea en `divisions` tramos iguales
+function subdivide(points, divisions) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) total += length(points[i - 1], points[i]);
+  const segment = total / divisions;
+
+  const result = [points[0]];
+  let segmentIndex = 1;
+  let remaining = segment;
+  let current = points[0];
+  while (result.length < divisions && segmentIndex < points.length) {
+    const next = points[segmentIndex];
+    const distance = length(current, next);
+    if (distance >= remaining && distance > 0) {
+      const t = remaining / distance;
+      current = [current[0] + (next[0] - current[0]) * t, current[1] + (next[1] - current[1]) * t];
+      result.push(current);
+      remaining = segment;
+    } else {
+      remaining -= distance;
+      current = next;
+      segmentIndex++;
+    }
+  }
+  while (result.length < divisions) result.push(points[points.length - 1]);
+  result.push(points[points.length - 1]);
+  return result;
+}
+
+// [[x, y], ...] por arista <-> arreglo plano
+function toFlat(edgesPoints, divisions) {
+  const count = divisions + 2;
+  const flat = new Float64Array(edgesPoints.length * count * 2);
+  edgesPoints.forEach((edge, e) => edge.forEach(([x, y], i) => {
+    flat[(e * count + i) * 2] = x;
+    flat[(e * count + i) * 2 + 1] = y;
+  }));
+  return flat;
+}
+
+function fromFlat(flat, edgeCount, divisions) {
+  const count = divisions + 2;
+  return Array.from({ length: edgeCount }, (_, e) => Array.from({ length: count }, (_, i) => [
+    flat[(e * count + i) * 2],
+    flat[(e * count + i) * 2 + 1],
+  ]));
+}
+
+export function bundleEdges(edges, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  if (!edges.length) return [];
+
+  const { project, unproject } = createProjection(edges);
+  const lines = edges.map(({ source, target }) => [project(source), project(target)]);
+  const lengths = lines.map(([a, b]) => length(a, b));
+
+  // Aristas compatibles con cada una. `reversed`: van en sentido contrario,
+  // así que el punto i de una se corresponde con el punto n - i de la otra.
+  const compatible = lines.map(() => []);
+  for (let i = 0; i < lines.length; i++) {
+    if (lengths[i] < EPSILON) continue;
+    for (let j = i + 1; j < lines.length; j++) {
+      if (lengths[j] < EPSILON) continue;
+      if (compatibility(lines[i], lines[j]) < settings.compatibilityThreshold) continue;
+      const [p0, p1] = lines[i];
+      const [q0, q1] = lines[j];
+      const reversed = (p1[0] - p0[0]) * (q1[0] - q0[0]) + (p1[1] - p0[1]) * (q1[1] - q0[1]) < 0;
+      compatible[i].push({ index: j, reversed });
+      compatible[j].push({ index: i, reversed });
+    }
+  }
+
+  // Puntos de todas las aristas en un solo arreglo plano: la arista e
+  // ocupa (divisions + 2) puntos x, y desde e * (divisions + 2) * 2
+  let divisions = 1;
+  let step = settings.stepSize;
+  let iterations = settings.iterations;
+  let points = toFlat(lines.map((line) => subdivide(line, 2)), divisions);
+
+  for (let cycle = 0; cycle < settings.cycles; cycle++) {
+    const count = divisions + 2;
+    const last = divisions + 1; // índice del extremo final
+    let next = new Float64Array(points);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      for (let e = 0; e < lines.length; e++) {
+        if (lengths[e] < EPSILON) continue;
+        const spring = settings.stiffness / (lengths[e] * (divisions + 1));
+        const base = e * count * 2;
+
+        for (let i = 1; i < last; i++) {
+          const at = base + i * 2;
+          const x = points[at];
+          const y = points[at + 1];
+
+          // Resorte con los vecinos de la misma arista
+          let fx = spring * (points[at - 2] - x + points[at + 2] - x);
+          let fy = spring * (points[at - 1] - y + points[at + 3] - y);
+
+          // Atracción (vector unitario) hacia el punto correspondiente de cada arista compatible
+          for (const { index, reversed } of compatible[e]) {
+            const other = index * count * 2 + (reversed ? last - i : i) * 2;
+            const dx = points[other] - x;
+            const dy = points[other + 1] - y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > EPSILON) {
+              fx += dx / distance;
+              fy += dy / distance;
+            }
+          }
+
+          next[at] = x + step * fx;
+          next[at + 1] = y + step * fy;
+        }
+      }
+      [points, next] = [next, points];
+    }
+
+    if (cycle < settings.cycles - 1) {
+      const edgesPoints = fromFlat(points, lines.length, divisions);
+      divisions *= settings.subdivisionRate;
+      step /= 2;
+      iterations = Math.max(1, Math.round(iterations * settings.iterationRate));
+      points = toFlat(edgesPoints.map((edge) => subdivide(edge, divisions + 1)), divisions);
+    }
+  }
+
+  return fromFlat(points, lines.length, divisions).map((edge, e) => [
+    edges[e].source,
+    ...edge.slice(1, -1).map(unproject),
+    edges[e].target,
+  ]);
+}
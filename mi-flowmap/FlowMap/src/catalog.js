@@ -0,0 +1,49 @@
+// ------------------------------
+// 📚 CATÁLOGO DE DATASETS
+// ------------------------------
+// El catálogo es un JSON con la forma:
+// { "datasets": [ { id, title, description, threshold, locations, flows,
+//                   source?, columns?, formats?, boundaries?, boundaryId?, groups? } ] }
+// Las rutas de archivos son relativas a la ubicación del catálogo.
+
+export async function loadCatalog(catalogFile) {
+  console.log(`📚 Cargando catálogo: ${catalogFile}`);
+  const response = await fetch(catalogFile);
+  if (!response.ok) throw new Error(`No se pudo cargar ${catalogFile}`);
+
+  const json = await response.json();
+  const baseUrl = new URL(catalogFile, window.location.href);
+
+  return (json.datasets || []).map((entry) => normalizeEntry(entry, baseUrl));
+}
+
+function normalizeEntry(entry, baseUrl) {
+  if (!entry.id || !entry.locations || !entry.flows) {
+    throw new Error(`Entrada de catálogo inválida: ${JSON.stringify(entry)}`);
+  }
+
+  return {
+    id: entry.id,
+    title: entry.title || entry.id,
+    description: entry.description || '',
+    threshold: entry.threshold ?? null,
+    // Fuente de los datos (nota en el PNG exportado)
+    source: entry.source || '',
+    locationsFile: new URL(entry.locations, baseUrl).href,
+    flowsFile: new URL(entry.flows, baseUrl).href,
+    // Alias de columnas por archivo: { locations: {...}, flows: { count: 'n' } }
+    columns: entry.columns || {},
+    // Formato por archivo si no se deduce de la extensión: { flows: 'parquet' }
+    formats: entry.formats || {},
+    // Límites comunales opcionales (GeoJSON) y propiedad con el ID de comuna
+    boundariesFile: entry.boundaries ? new URL(entry.boundaries, baseUrl).href : null,
+    boundaryIdProperty: entry.boundaryId || null,
+    // Agrupación comuna → región opcional (CSV id,group,group_name)
+    groupsFile: entry.groups ? new URL(entry.groups, baseUrl).href : null,
+  };
+}
+
+export function findDataset(catalog, id) {
+  if (!catalog.length) return null;
+  return catalog.find((d) => d.id === id) || catalog[0];
+}
@@ -0,0 +1,109 @@
+import { GeoJsonLayer } from '@deck.gl/layers';
+import { createDivergingColorScale, createSequentialColorScale } from './colors.js';
+
+// ------------------------------
+// 🟩 COROPLETA COMUNAL
+// ------------------------------
+// Métricas: 'inflow', 'outflow', 'net' o 'col:<nombre>' para cualquier
+// columna numérica adicional de locations.csv. Los nombres visibles están
+// en los catálogos de idioma (choropleth.<id>).
+
+export const CHOROPLETH_METRICS = ['inflow', 'outflow', 'net'];
+
+const HIGHLIGHT_COLOR = [255, 193, 7, 255];
+const EMPTY_FILL = [128, 128, 128, 40];
+
+// Columnas adicionales de locations con valores numéricos
+export function getNumericColumns(locations) {
+  const columns = new Set();
+  const invalid = new Set();
+
+  for (const loc of locations) {
+    for (const [key, value] of Object.entries(loc.properties || {})) {
+      if (typeof value === 'number') columns.add(key);
+      else if (value !== '') invalid.add(key);
+    }
+  }
+
+  return [...columns].filter((c) => !invalid.has(c));
+}
+
+// 'col:<nombre>' -> nombre de la columna (null para las demás métricas)
+export function getMetricColumn(metric) {
+  return metric?.startsWith('col:') ? metric.slice(4) : null;
+}
+
+// Map locationId -> valor de la métrica
+// totals: resultado de computeLocationTotals()
+export function computeMetricValues(metric, locations, totals) {
+  const values = new Map();
+
+  const column = getMetricColumn(metric);
+  if (column) {
+    for (const loc of locations) {
+      const value = loc.properties?.[column];
+      if (typeof value === 'number') values.set(loc.id, value);
+    }
+  } else if (CHOROPLETH_METRICS.includes(metric)) {
+    for (const [id, total] of totals) {
+      values.set(id, total[metric]);
+    }
+  }
+
+  return values;
+}
+
+export function createChoroplethLayer({
+  features,
+  values,
+  metric,
+  selectedId,
+  hoveredId,
+  darkMode,
+  opacity = 1,
+  onHover,
+  onClick,
+}) {
+  const numbers = [...values.values()];
+  const getColor = metric === 'net'
+    ? createDivergingColorScale(Math.max(0, ...numbers.map(Math.abs)), 180)
+    : createSequentialColorScale(Math.min(...numbers), Math.max(...numbers), 180);
+
+  const baseLineColor = darkMode ? [200, 200, 200, 120] : [80, 80, 80, 120];
+
+  return new GeoJsonLayer({
+    id: 'choropleth-layer',
+    data: features,
+    opacity,
+    pickable: true,
+    stroked: true,
+    filled: true,
+    lineWidthUnits: 'pixels',
+
+    getFillColor: (f) => {
+      const value = values.get(f.properties.locationId);
+      return value === undefined ? EMPTY_FILL : getColor(value);
+    },
+    getLineColor: (f) => {
+      const id = f.properties.locationId;
+      if (id && id === selectedId) return HIGHLIGHT_COLOR;
+      if (id && id === hoveredId) return [255, 255, 255, 255];
+      return baseLineColor;
+    },
+    getLineWidth: (f) => {
+      const id = f.properties.locationId;
+      if (id && id === selectedId) return 3;
+      if (id && id === hoveredId) return 2;
+      return 0.5;
+    },
+
+    updateTriggers: {
+      getFillColor: [values, metric],
+      getLineColor: [selectedId, hoveredId, darkMode],
+      getLineWidth: [selectedId, hoveredId],
+    },
+
+    onHover,
+    onClick,
+  });
+}
@@ -0,0 +1,32 @@
+import { scaleDiverging, scaleSequential } from 'd3-scale';
+import { interpolateRdBu, interpolateYlGnBu } from 'd3-scale-chromatic';
+import { rgb } from 'd3-color';
+
+// ------------------------------
+// 🎨 ESCALAS DE COLOR
+// ------------------------------
+
+// Escala divergente simétrica en torno a 0: rojo = pérdida, azul = ganancia.
+// Devuelve colores [r, g, b, a] para deck.gl.
+export function createDivergingColorScale(maxAbs, alpha = 220) {
+  const scale = scaleDiverging(interpolateRdBu)
+    .domain([-maxAbs || -1, 0, maxAbs || 1])
+    .clamp(true);
+
+  return (value) => {
+    const { r, g, b } = rgb(scale(value));
+    return [r, g, b, alpha];
+  };
+}
+
+// Escala secuencial [min, max] -> [r, g, b, a]
+export function createSequentialColorScale(min, max, alpha = 200) {
+  const scale = scaleSequential(interpolateYlGnBu)
+    .domain([min, max === min ? min + 1 : max])
+    .clamp(true);
+
+  return (value) => {
+    const { r, g, b } = rgb(scale(value));
+    return [r, g, b, alpha];
+  };
+}
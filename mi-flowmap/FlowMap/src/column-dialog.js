@@ -0,0 +1,106 @@
+import { escapeHTML } from './html.js';
+import { t } from './i18n.js';
+
+// ------------------------------
+// 🧩 DIÁLOGO DE COLUMNAS
+// ------------------------------
+// Para archivos locales cuyos encabezados no son los esperados
+// (id,lat,lon,name / origin,dest,count): una lista de selección por campo
+// con las columnas del archivo, ya elegidas las que se reconocieron.
+//
+// tables: { locations, flows } de findDatasetFiles() (local-files.js)
+// schemas: { locations: LOCATION_SCHEMA, flows: FLOW_SCHEMA }
+// Devuelve una promesa con { locations: { campo: columna }, flows: {...} }
+// (alias para readDataset) o null si se cancela.
+
+const DIALOG_ID = 'column-dialog';
+
+export function showColumnDialog(tables, schemas) {
+  document.getElementById(DIALOG_ID)?.remove();
+
+  const backdrop = document.createElement('div');
+  backdrop.id = DIALOG_ID;
+  backdrop.style.cssText = `
+    position: fixed;
+    inset: 0;
+    background: rgba(0, 0, 0, 0.4);
+    z-index: 2000;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-family: Arial, sans-serif;
+    font-size: 13px;
+  `;
+
+  const renderField = (kind, field, spec) => {
+    const { header, columns } = tables[kind];
+    return `
+      <label style="display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 5px;">
+        <span><code>${field}</code>${spec.required ? ' *' : ''} <span style="color: #666;">${t(`columns.${field}`)}</span></span>
+        <select data-kind="${kind}" data-field="${field}" style="width: 50%; padding: 3px;">
+          <option value="">${spec.required ? '—' : t('columns.none')}</option>
+          ${header.map((column) => `
+            <option value="${escapeHTML(column)}" ${column === columns[field] ? 'selected' : ''}>${escapeHTML(column)}</option>
+          `).join('')}
+        </select>
+      </label>
+    `;
+  };
+
+  backdrop.innerHTML = `
+    <div role="dialog" aria-modal="true" aria-labelledby="${DIALOG_ID}-title"
+         style="background: white; color: #333; padding: 16px 18px; border-radius: 8px; width: min(440px, 90vw); max-height: 85vh; overflow-y: auto; box-shadow: 0 4px 20px rgba(0,0,0,0.3);">
+      <h3 id="${DIALOG_ID}-title" style="margin: 0 0 6px; font-size: 16px;">🧩 ${t('columns.title')}</h3>
+      <p style="margin: 0 0 12px; color: #555;">${t('columns.intro')}</p>
+      ${Object.entries(schemas).map(([kind, schema]) => `
+        <fieldset style="border: 1px solid #ddd; border-radius: 5px; margin: 0 0 10px; padding: 8px 10px;">
+          <legend style="padding: 0 4px;">${t(`columns.${kind}`)}: <b>${escapeHTML(tables[kind].file.name)}</b></legend>
+          ${Object.entries(schema).map(([field, spec]) => renderField(kind, field, spec)).join('')}
+        </fieldset>
+      `).join('')}
+      <div style="display: flex; gap: 6px; justify-content: flex-end;">
+        <button type="button" data-action="cancel" style="padding: 5px 12px; cursor: pointer;">${t('columns.cancel')}</button>
+        <button type="button" data-action="load" style="padding: 5px 12px; cursor: pointer; background: #2196F3; color: white; border: none; border-radius: 4px;">${t('columns.load')}</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(backdrop);
+
+  const selects = [...backdrop.querySelectorAll('select')];
+  const loadButton = backdrop.querySelector('[data-action="load"]');
+
+  // Cargar solo con todos los campos obligatorios elegidos
+  const updateLoadButton = () => {
+    loadButton.disabled = selects.some((select) => schemas[select.dataset.kind][select.dataset.field].required && !select.value);
+    loadButton.style.opacity = loadButton.disabled ? 0.5 : 1;
+  };
+  backdrop.addEventListener('change', updateLoadButton);
+  updateLoadButton();
+
+  return new Promise((resolve) => {
+    const close = (result) => {
+      document.removeEventListener('keydown', onKeyDown);
+      backdrop.remove();
+      resolve(result);
+    };
+
+    function onKeyDown(e) {
+      if (e.key === 'Escape') close(null);
+    }
+    document.addEventListener('keydown', onKeyDown);
+
+    backdrop.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'cancel') close(null);
+      if (action === 'load' && !loadButton.disabled) {
+        const columns = Object.fromEntries(Object.keys(schemas).map((kind) => [kind, {}]));
+        for (const select of selects) {
+          if (select.value) columns[select.dataset.kind][select.dataset.field] = select.value;
+        }
+        close(columns);
+      }
+    });
+
+    (selects.find((select) => !select.value) || selects[0]).focus();
+  });
+}
@@ -0,0 +1,56 @@
+// ------------------------------
+// 🆚 COMPARACIÓN DE DOS DATASETS
+// ------------------------------
+// Une los flujos de dos datasets (A = base, B = comparación) por par
+// origen→destino. Un par que falta en un dataset cuenta como 0 (ojo: con
+// umbrales, "falta" puede significar "bajo el umbral", no "cero").
+
+// Tope del cambio porcentual al dibujar (los flujos nuevos, sin base, lo usan)
+export const MAX_PERCENT_CHANGE = 300;
+
+// Map id -> location con las locations de ambos datasets (A tiene prioridad)
+export function mergeLocations(baseLocations, compareLocations) {
+  const merged = new Map(baseLocations.map((loc) => [loc.id, loc]));
+  for (const loc of compareLocations) {
+    if (!merged.has(loc.id)) merged.set(loc.id, loc);
+  }
+  return [...merged.values()];
+}
+
+// [{ origin, dest, base, compare, delta, pct }] con pct = null si base = 0
+export function computeFlowDiff(baseFlows, compareFlows) {
+  const pairs = new Map();
+  const get = (flow) => {
+    const key = `${flow.origin}\u0000${flow.dest}`;
+    let pair = pairs.get(key);
+    if (!pair) {
+      pair = { origin: flow.origin, dest: flow.dest, base: 0, compare: 0 };
+      pairs.set(key, pair);
+    }
+    return pair;
+  };
+
+  for (const flow of baseFlows) get(flow).base += flow.count;
+  for (const flow of compareFlows) get(flow).compare += flow.count;
+
+  return [...pairs.values()].map((pair) => ({
+    ...pair,
+    delta: pair.compare - pair.base,
+    pct: pair.base ? ((pair.compare - pair.base) / pair.base) * 100 : null,
+  }));
+}
+
+// Magnitud a dibujar: diferencia absoluta o porcentual (acotada)
+export function getDiffMagnitude(diff, metric) {
+  if (metric !== 'percent') return diff.delta;
+  if (diff.pct === null) return diff.compare ? MAX_PERCENT_CHANGE : 0;
+  return Math.max(-100, Math.min(MAX_PERCENT_CHANGE, diff.pct));
+}
+
+// Flujos para FlowmapLayer: count = magnitud (negativa si disminuye).
+// FlowmapLayer pasa a su paleta divergente cuando hay magnitudes negativas.
+export function toDiffFlows(diffs, metric) {
+  return diffs
+    .map((diff) => ({ ...diff, count: getDiffMagnitude(diff, metric) }))
+    .filter((flow) => flow.count !== 0);
+}
@@ -0,0 +1,238 @@
+import { stripAccents } from './text.js';
+
+// ------------------------------
+// 📄 LECTOR CSV
+// ------------------------------
+// Lector RFC 4180: soporta campos entre comillas (con comas, saltos de
+// línea y comillas escapadas ""), finales de línea CRLF, BOM UTF-8 y
+// líneas en blanco. No depende del DOM, así que también se usa desde Node.
+
+export function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Quitar BOM
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+
+  const pushRow = () => {
+    row.push(field);
+    // Ignorar líneas en blanco
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push({ line: rowLine, values: row });
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r') {
+      // CRLF: el \n siguiente cierra la fila
+      if (text[i + 1] !== '\n') {
+        pushRow();
+        rowLine = ++line;
+      }
+    } else if (char === '\n') {
+      pushRow();
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) pushRow();
+
+  return rows;
+}
+
+// ------------------------------
+// Mapeo de columnas por encabezado
+// ------------------------------
+
+// Normaliza nombres para comparar: sin tildes, minúsculas, sin espacios extremos
+export function normalizeKey(value) {
+  return stripAccents(value).trim().toLowerCase();
+}
+
+// Busca el índice de cada campo del esquema en el encabezado.
+// `aliases` permite agregar nombres alternativos por campo: { origin: ['desde'] }
+// y tiene prioridad sobre los nombres del esquema (así una columna elegida
+// en el catálogo o en el diálogo de columnas gana a otra llamada "id").
+// Devuelve { columns: { campo: índice }, missing: [campos obligatorios sin columna] }.
+export function resolveColumns(header, schema, aliases = {}) {
+  const normalizedHeader = header.map(normalizeKey);
+  const columns = {};
+  const missing = [];
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const custom = [].concat(aliases[field] || []).map(normalizeKey);
+    const candidates = [field, ...(spec.aliases || [])].map(normalizeKey);
+    let index = normalizedHeader.findIndex((h) => custom.includes(h));
+    if (index === -1) index = normalizedHeader.findIndex((h) => candidates.includes(h));
+
+    if (index !== -1) {
+      columns[field] = index;
+    } else if (spec.required) {
+      missing.push(field);
+    }
+  }
+
+  return { columns, missing };
+}
+
+// Los valores pueden ser texto (CSV) o ya tipados (JSON, Arrow, Parquet).
+// Los números tipados se usan tal cual, sin pasar por texto; los enteros
+// de 64 bits (bigint) solo si caben exactos en un número de JS.
+function coerce(value, spec) {
+  const raw = typeof value === 'string' ? value.trim() : value ?? '';
+
+  if (raw === '') {
+    return spec.required ? { error: 'valor vacío' } : { value: spec.default };
+  }
+
+  if (spec.type === 'number') {
+    const number = Number(raw);
+    if (typeof raw === 'bigint' && !Number.isSafeInteger(number)) {
+      return { error: `${raw} no cabe exacto en un número` };
+    }
+    if (typeof raw === 'boolean' || !Number.isFinite(number)) return { error: `"${raw}" no es un número` };
+    if (spec.min !== undefined && number < spec.min) return { error: `${number} < ${spec.min}` };
+    if (spec.max !== undefined && number > spec.max) return { error: `${number} > ${spec.max}` };
+    return { value: number };
+  }
+
+  return { value: String(raw) };
+}
+
+// Valor de una columna fuera del esquema: el texto numérico se convierte
+// a número y los valores tipados se conservan (bigint, si cabe exacto)
+function toPropertyValue(value) {
+  if (typeof value === 'string') {
+    const raw = value.trim();
+    const number = Number(raw);
+    return raw !== '' && Number.isFinite(number) ? number : raw;
+  }
+  if (typeof value === 'bigint') {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+  }
+  return value ?? '';
+}
+
+// Lee una tabla usando el encabezado para ubicar las columnas.
+// Devuelve los registros válidos y las filas rechazadas con su motivo.
+// Las columnas que no están en el esquema se conservan en `properties`
+// (convertidas a número cuando corresponde).
+export function readTable(text, schema, options = {}) {
+  const [headerRow, ...rows] = parseCSV(text);
+  if (!headerRow) throw new Error(`${options.file || 'CSV'}: archivo vacío`);
+
+  return readRows(headerRow.values, rows, schema, options);
+}
+
+// Igual que readTable, para tablas ya separadas en columnas (ver loaders.js):
+// header: nombres de columna; rows: [{ line, values }] con un valor por columna
+export function readRows(headerValues, rows, schema, { aliases = {}, file = '' } = {}) {
+  const header = headerValues.map((h) => String(h).trim());
+  const { columns, missing } = resolveColumns(header, schema, aliases);
+
+  if (missing.length) {
+    throw new Error(
+      `${file || 'CSV'}: faltan columnas ${missing.join(', ')} (encabezado: ${header.join(', ')})`
+    );
+  }
+
+  const usedIndexes = new Set(Object.values(columns));
+  const extraIndexes = header.map((_, i) => i).filter((i) => !usedIndexes.has(i));
+
+  const records = [];
+  const rejected = [];
+
+  for (const { line, values } of rows) {
+    const record = {};
+    const errors = [];
+
+    for (const [field, spec] of Object.entries(schema)) {
+      if (columns[field] === undefined) {
+        record[field] = spec.default;
+        continue;
+      }
+      const { value, error } = coerce(values[columns[field]], spec);
+      if (error) errors.push(`${field}: ${error}`);
+      else record[field] = value;
+    }
+
+    if (errors.length) {
+      rejected.push({ file, line, reason: errors.join('; '), raw: values.join(',') });
+      continue;
+    }
+
+    if (extraIndexes.length) {
+      record.properties = {};
+      for (const i of extraIndexes) {
+        record.properties[header[i]] = toPropertyValue(values[i]);
+      }
+    }
+
+    records.push(record);
+  }
+
+  return { header, records, rejected };
+}
+
+// ------------------------------
+// Esquemas de la app
+// ------------------------------
+// Incluyen los nombres de columnas que produce el notebook (origen/destino/n).
+
+export const LOCATION_SCHEMA = {
+  id: { type: 'string', required: true, aliases: ['comuna', 'codigo', 'code'] },
+  lat: { type: 'number', required: true, min: -90, max: 90, aliases: ['latitude', 'latitud', 'y'] },
+  lon: { type: 'number', required: true, min: -180, max: 180, aliases: ['lng', 'longitude', 'longitud', 'x'] },
+  name: { type: 'string', aliases: ['nombre', 'label'] },
+};
+
+export const FLOW_SCHEMA = {
+  origin: { type: 'string', required: true, aliases: ['origen', 'source', 'from'] },
+  dest: { type: 'string', required: true, aliases: ['destino', 'destination', 'target', 'to'] },
+  count: { type: 'number', required: true, aliases: ['n', 'value', 'flujo', 'personas'] },
+};
+
+// ------------------------------
+// Escritura CSV
+// ------------------------------
+
+function escapeField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Genera un CSV a partir de una lista de columnas y registros (objetos)
+export function formatCSV(columns, records) {
+  const lines = [columns.map(escapeField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map((c) => escapeField(record[c])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
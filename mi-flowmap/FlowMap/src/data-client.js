@@ -0,0 +1,112 @@
+import { readDatasetFiles } from './dataset-reader.js';
+import { bundleEdges } from './bundling.js';
+
+// ------------------------------
+// 🧵 CARGA DE DATASETS EN UN WORKER
+// ------------------------------
+// readDataset() manda la lectura a data-worker.js y devuelve los datos
+// listos para app.js; bundleFlows() hace lo mismo con los haces de flujos.
+// Si el navegador no puede crear el worker (o este falla al iniciar) se
+// calcula en el hilo principal, con el mismo resultado.
+
+let worker = null;
+let workerDisabled = typeof Worker === 'undefined';
+let nextRequestId = 1;
+const pending = new Map(); // id -> { type, request, resolve, reject }
+
+// Los mismos trabajos que data-worker.js, para cuando no hay worker
+const JOBS = {
+  dataset: (request) => readDatasetFiles(request),
+  bundle: ({ edges, options }) => bundleEdges(edges, options),
+};
+
+function runInPage({ type, request, resolve, reject }) {
+  Promise.resolve().then(() => JOBS[type](request)).then(resolve, reject);
+}
+
+function disableWorker(reason) {
+  console.warn("⚠️ Worker de datos no disponible, se calcula en la página:", reason);
+  workerDisabled = true;
+  worker?.terminate();
+  worker = null;
+  pending.forEach(runInPage);
+  pending.clear();
+}
+
+function getWorker() {
+  if (worker || workerDisabled) return worker;
+
+  try {
+    worker = new Worker(new URL('./data-worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    disableWorker(error.message);
+    return null;
+  }
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+    if (data.error) request.reject(new Error(data.error));
+    else request.resolve(data.result);
+  };
+  // Error del script del worker (no de los datos: esos llegan como mensaje)
+  worker.onerror = (event) => {
+    event.preventDefault();
+    disableWorker(event.message || 'error al cargar data-worker.js');
+  };
+
+  return worker;
+}
+
+function runJob(type, request) {
+  return new Promise((resolve, reject) => {
+    const entry = { type, request, resolve, reject };
+    const target = getWorker();
+    if (!target) {
+      runInPage(entry);
+      return;
+    }
+    const id = nextRequestId++;
+    pending.set(id, entry);
+    target.postMessage({ id, type, request });
+  });
+}
+
+// Map flujo -> km, como espera applyFlowFilters
+function toDistanceMap(flows, distances) {
+  const map = new Map();
+  flows.forEach((flow, i) => map.set(flow, distances[i]));
+  return map;
+}
+
+// Lee y valida los archivos de un dataset. `knownLocations` son locations
+// adicionales que los flujos pueden usar (las de A al cargar B).
+// Devuelve { locations, flows, rejected, diagnostics, distances: Map, totals }.
+export async function readDataset(dataset, knownLocations = []) {
+  // El worker resuelve las rutas relativas respecto de su propio script.
+  // Los archivos locales (File) se mandan tal cual: el worker los lee sin red.
+  const absolute = (file) => (typeof file === 'string' ? new URL(file, document.baseURI).href : file);
+  const request = {
+    locationsFile: absolute(dataset.locationsFile),
+    flowsFile: absolute(dataset.flowsFile),
+    columns: dataset.columns,
+    formats: dataset.formats,
+    knownLocations: knownLocations.map(({ id, lat, lon }) => ({ id, lat, lon })),
+  };
+
+  const startTime = performance.now();
+  const result = await runJob('dataset', request);
+  console.log(`⏱️ ${dataset.title || dataset.flowsFile}: ${result.flows.length} flujos leídos en ${Math.round(performance.now() - startTime)} ms`);
+
+  return { ...result, distances: toDistanceMap(result.flows, result.distances) };
+}
+
+// Haces de flujos (ver bundling.js). edges: [{ source: [lon, lat], target: [lon, lat] }]
+// Devuelve un path [[lon, lat], ...] por arista, en el mismo orden.
+export async function bundleFlows(edges, options = {}) {
+  const startTime = performance.now();
+  const paths = await runJob('bundle', { edges, options });
+  console.log(`🪢 ${edges.length} flujos agrupados en haces en ${Math.round(performance.now() - startTime)} ms`);
+  return paths;
+}
@@ -0,0 +1,24 @@
+import { readDatasetFiles } from './dataset-reader.js';
+import { bundleEdges } from './bundling.js';
+
+// ------------------------------
+// 🧵 WORKER DE DATOS
+// ------------------------------
+// Lee los CSV fuera del hilo principal: con la matriz OD nacional (~120k
+// pares) el parseo congelaría el mapa. También calcula los haces de flujos
+// (bundling.js), que toman unos segundos. Mensajes: { id, type, request } ->
+// { id, result } o { id, error }. Ver data-client.js.
+
+const JOBS = {
+  dataset: (request) => readDatasetFiles(request),
+  bundle: ({ edges, options }) => bundleEdges(edges, options),
+};
+
+self.onmessage = async ({ data: { id, type, request } }) => {
+  try {
+    const result = await JOBS[type](request);
+    self.postMessage({ id, result }, result.distances ? [result.distances.buffer] : []);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
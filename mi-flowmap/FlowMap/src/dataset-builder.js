@@ -0,0 +1,183 @@
+import { readTable, parseCSV, LOCATION_SCHEMA } from './csv.js';
+import { normalizeId } from './text.js';
+import { polygonCentroid } from './geo.js';
+import { GROUP_SCHEMA } from './groups.js';
+
+// ------------------------------
+// 🏗️ CONSTRUCCIÓN DE DATASETS (tabla OD → flows.csv + locations.csv)
+// ------------------------------
+// Lo mismo que hacen las celdas del notebook, sin dependencias de
+// navegador (lo usa scripts/build-dataset.js desde Node):
+// 1. traducir códigos territoriales a nombres y normalizarlos (mayúsculas, sin tildes)
+// 2. agrupar pares origen-destino
+// 3. descartar comunas que no están en la cartografía y flujos internos
+// 4. quedarse con Chile continental, filtrar por región y por umbral (n > umbral)
+
+// Tabla OD en formato largo. Sin columna de conteo, cada fila es una
+// persona (microdatos del censo). En el censo, `comuna` es la comuna de
+// residencia actual (destino) y `p24_lug_resid5_esp` la de hace 5 años (origen).
+export const OD_SCHEMA = {
+  origin: { type: 'string', required: true, aliases: ['origen', 'p24_lug_resid5_esp', 'source', 'from'] },
+  dest: { type: 'string', required: true, aliases: ['destino', 'comuna', 'destination', 'target', 'to'] },
+  count: { type: 'number', min: 0, default: 1, aliases: ['n', 'value', 'flujo', 'personas'] },
+};
+
+// Columnas de región en la cartografía y en CSV de centroides
+const REGION_PROPERTIES = ['COD_REG', 'cod_reg', 'codregion', 'region', 'group'];
+const ID_PROPERTIES = ['COMUNA', 'comuna', 'NOM_COMUNA', 'id', 'name', 'nombre'];
+
+// Chile continental (el mismo recuadro del notebook)
+export const CONTINENTAL_BBOX = { minLon: -78, maxLon: -66, minLat: -56, maxLat: -17 };
+
+// Tablas de códigos (código,nombre con encabezado) -> Map código -> nombre.
+// Las tablas posteriores sobrescriben a las anteriores.
+export function readCodeTables(texts) {
+  const codes = new Map();
+  for (const text of texts) {
+    const [, ...rows] = parseCSV(text);
+    for (const { values } of rows) {
+      const [code, name] = values.map((v) => v.trim());
+      if (code && name) codes.set(code, name);
+    }
+  }
+  return codes;
+}
+
+// Código o nombre -> ID normalizado ("13101" -> "SANTIAGO")
+export function resolveName(value, codes = new Map()) {
+  const raw = String(value).trim();
+  return normalizeId(codes.get(raw) ?? raw);
+}
+
+// Lugares { id, name, lat, lon, region } desde un GeoJSON de comunas
+export function placesFromGeoJSON(geojson, { idProperty, regionProperty } = {}) {
+  const pick = (properties, keys) => keys
+    .map((k) => properties?.[k])
+    .find((v) => v !== undefined && v !== null && v !== '');
+
+  const places = [];
+  for (const feature of geojson.features || []) {
+    const name = pick(feature.properties, idProperty ? [idProperty] : ID_PROPERTIES) ?? feature.id;
+    const centroid = polygonCentroid(feature.geometry);
+    if (name === undefined || !centroid) continue;
+
+    const region = pick(feature.properties, regionProperty ? [regionProperty] : REGION_PROPERTIES);
+    places.push({
+      id: normalizeId(name),
+      name: normalizeId(name),
+      lon: centroid[0],
+      lat: centroid[1],
+      region: region === undefined ? null : String(region).trim(),
+    });
+  }
+  return places;
+}
+
+// Lugares desde un CSV de centroides (id,lat,lon[,name][,region])
+export function placesFromCSV(text, { regionProperty, file = '' } = {}) {
+  const { records, rejected } = readTable(text, LOCATION_SCHEMA, { file });
+  const places = records.map((loc) => {
+    const properties = loc.properties || {};
+    const key = (regionProperty ? [regionProperty] : REGION_PROPERTIES).find((k) => properties[k] !== undefined);
+    return {
+      id: normalizeId(loc.id),
+      name: normalizeId(loc.name || loc.id),
+      lat: loc.lat,
+      lon: loc.lon,
+      region: key ? String(properties[key]).trim() : null,
+    };
+  });
+  return { places, rejected };
+}
+
+// Asigna la región de cada lugar desde un CSV id,group,group_name
+// (p. ej. public/regiones.csv). Tiene prioridad sobre la cartografía.
+export function assignRegions(places, regionsText, { file = '' } = {}) {
+  const { records } = readTable(regionsText, GROUP_SCHEMA, { file });
+  const regions = new Map(records.map((r) => [normalizeId(r.id), r]));
+  return places.map((place) => {
+    const region = regions.get(place.id);
+    return region ? { ...place, region: String(region.group), regionName: region.group_name || null } : place;
+  });
+}
+
+// Una región coincide por código o por nombre ("13" o "Metropolitana de Santiago")
+function inRegions(place, regions) {
+  if (!regions?.length) return true;
+  const wanted = new Set(regions.map(normalizeId));
+  return [place.region, place.regionName]
+    .filter(Boolean)
+    .some((value) => wanted.has(normalizeId(value)));
+}
+
+// Punto { lat, lon } estrictamente dentro del recuadro (dentro_chile_continental del notebook)
+export function inBBox(place, bbox) {
+  return place.lon > bbox.minLon && place.lon < bbox.maxLon && place.lat > bbox.minLat && place.lat < bbox.maxLat;
+}
+
+// Pipeline completo.
+// odRecords: registros de OD_SCHEMA; places: resultado de placesFrom*().
+// Opciones: codes (Map), threshold (n > threshold), originRegions,
+// destRegions, continentalOnly, keepSelfFlows.
+// Devuelve { flows, locations, stats } con flujos ordenados de mayor a menor.
+export function buildDataset(odRecords, places, {
+  codes = new Map(),
+  threshold = 0,
+  originRegions = [],
+  destRegions = [],
+  continentalOnly = true,
+  keepSelfFlows = false,
+} = {}) {
+  const placesById = new Map(places.map((p) => [p.id, p]));
+  const stats = {
+    rows: odRecords.length,
+    people: 0,
+    unmatched: new Map(), // nombre -> personas sin comuna en la cartografía
+    selfFlows: 0,
+    outsideBBox: 0,
+    outsideRegion: 0,
+    belowThreshold: 0,
+    pairs: 0,
+  };
+
+  // Agrupar por par origen-destino (después de traducir y normalizar)
+  const pairs = new Map();
+  for (const record of odRecords) {
+    const origin = resolveName(record.origin, codes);
+    const dest = resolveName(record.dest, codes);
+    stats.people += record.count;
+
+    const missing = [origin, dest].filter((id) => !placesById.has(id));
+    if (missing.length) {
+      for (const id of missing) stats.unmatched.set(id, (stats.unmatched.get(id) || 0) + record.count);
+      continue;
+    }
+
+    const key = `${origin}\u0000${dest}`;
+    const pair = pairs.get(key);
+    if (pair) pair.count += record.count;
+    else pairs.set(key, { origin, dest, count: record.count });
+  }
+  stats.pairs = pairs.size;
+
+  const flows = [];
+  for (const flow of pairs.values()) {
+    const origin = placesById.get(flow.origin);
+    const dest = placesById.get(flow.dest);
+
+    if (!keepSelfFlows && flow.origin === flow.dest) stats.selfFlows++;
+    else if (continentalOnly && !(inBBox(origin, CONTINENTAL_BBOX) && inBBox(dest, CONTINENTAL_BBOX))) stats.outsideBBox++;
+    else if (!inRegions(origin, originRegions) || !inRegions(dest, destRegions)) stats.outsideRegion++;
+    else if (!(flow.count > threshold)) stats.belowThreshold++;
+    else flows.push(flow);
+  }
+  flows.sort((a, b) => b.count - a.count);
+
+  // Solo las comunas que aparecen en algún flujo
+  const usedIds = new Set(flows.flatMap((f) => [f.origin, f.dest]));
+  const locations = [...placesById.values()]
+    .filter((p) => usedIds.has(p.id))
+    .map(({ id, name, lat, lon }) => ({ id, name, lat, lon }));
+
+  return { flows, locations, stats };
+}
@@ -0,0 +1,62 @@
+import { LOCATION_SCHEMA, FLOW_SCHEMA } from './csv.js';
+import { loadTable, fileNameOf } from './loaders.js';
+import { haversineKm } from './geo.js';
+import { computeFlowTotals } from './metrics.js';
+import { diagnoseDataset } from './diagnostics.js';
+
+// ------------------------------
+// 📥 LECTURA DE DATASETS
+// ------------------------------
+// Descarga, parseo y validación de los archivos de un dataset (CSV, JSON,
+// GeoJSON, Arrow o Parquet; ver loaders.js) y los cálculos que dependen
+// solo de los datos (distancias y totales por comuna). No usa el DOM:
+// corre dentro de data-worker.js y, si no hay worker, en la página.
+
+// Columnas por nombre: id,lat,lon,name
+// (acepta alias como comuna/latitud/longitud/nombre)
+async function loadLocations(url, { format, aliases }) {
+  const table = await loadTable(url, LOCATION_SCHEMA, { format, aliases });
+  return { ...table, records: table.records.map((loc) => ({ ...loc, name: loc.name || loc.id })) };
+}
+
+// request: { locationsFile, flowsFile, columns, formats, knownLocations }
+// Los archivos son URLs o File locales (ver local-files.js).
+// `knownLocations` son locations adicionales que los flujos pueden usar
+// (las de A al cargar B); si un id está en ambas, manda la conocida.
+// Devuelve { locations, flows, rejected, diagnostics, distances, totals }:
+// diagnostics, los problemas de los archivos (ver diagnostics.js);
+// distances[i] es la distancia en km de flows[i] (Float64Array, se puede
+// transferir sin copiar) y totals, las salidas y llegadas de cada comuna.
+export async function readDatasetFiles({ locationsFile, flowsFile, columns, formats, knownLocations = [] }) {
+  const [parsedLocations, parsedFlows] = await Promise.all([
+    loadLocations(locationsFile, { format: formats?.locations, aliases: columns?.locations }),
+    // Columnas por nombre: origin,dest,count (acepta alias como origen/destino/n)
+    loadTable(flowsFile, FLOW_SCHEMA, { format: formats?.flows, aliases: columns?.flows }),
+  ]);
+  const locations = parsedLocations.records;
+  const rejected = [...parsedLocations.rejected, ...parsedFlows.rejected];
+  const diagnostics = diagnoseDataset(locations, parsedFlows.records, knownLocations.map((loc) => loc.id));
+
+  // Filtrar flujos con IDs desconocidos (quedan en el reporte)
+  const locationMap = new Map([...locations, ...knownLocations].map((loc) => [loc.id, loc]));
+  const flows = parsedFlows.records.filter((f) => {
+    const unknown = [f.origin, f.dest].filter((id) => !locationMap.has(id));
+    if (unknown.length) {
+      rejected.push({
+        file: fileNameOf(flowsFile),
+        line: null,
+        reason: `ID desconocido: ${unknown.join(', ')}`,
+        raw: `${f.origin},${f.dest},${f.count}`,
+      });
+      return false;
+    }
+    return true;
+  });
+
+  const distances = new Float64Array(flows.length);
+  flows.forEach((flow, i) => {
+    distances[i] = haversineKm(locationMap.get(flow.origin), locationMap.get(flow.dest));
+  });
+
+  return { locations, flows, rejected, diagnostics, distances, totals: computeFlowTotals(flows) };
+}
@@ -0,0 +1,81 @@
+import { CONTINENTAL_BBOX, inBBox } from './dataset-builder.js';
+
+// ------------------------------
+// 🩺 DIAGNÓSTICO DE DATOS
+// ------------------------------
+// Revisa locations y flujos tal como vienen en los archivos, antes de que
+// readDatasetFiles descarte nada, para que los problemas no pasen en
+// silencio. Cada revisión devuelve sus filas con las columnas del CSV que
+// se descarga desde el panel. No usa el DOM (corre en data-worker.js).
+
+// Revisiones en el orden del panel, con las columnas de sus filas
+export const DIAGNOSTIC_CHECKS = [
+  { id: 'unknownIds', columns: ['origin', 'dest', 'count', 'unknown'] },
+  { id: 'duplicatePairs', columns: ['origin', 'dest', 'rows', 'counts', 'total'] },
+  { id: 'selfFlows', columns: ['origin', 'dest', 'count'] },
+  { id: 'nonPositiveCounts', columns: ['origin', 'dest', 'count'] },
+  { id: 'unusedLocations', columns: ['id', 'name', 'lat', 'lon'] },
+  { id: 'duplicateLocations', columns: ['id', 'rows', 'names'] },
+  { id: 'outsideChile', columns: ['id', 'name', 'lat', 'lon'] },
+];
+
+// Agrupa `items` por `keyOf` y devuelve solo los grupos con más de uno
+function findDuplicates(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    const group = groups.get(key);
+    if (group) group.push(item);
+    else groups.set(key, [item]);
+  }
+  return [...groups.values()].filter((group) => group.length > 1);
+}
+
+// locations y flows: registros leídos (LOCATION_SCHEMA y FLOW_SCHEMA).
+// knownIds: IDs de otras locations que los flujos pueden usar (las de A al
+// cargar B). Devuelve [{ id, count, rows }] solo con las revisiones que
+// encontraron algo, en el orden de DIAGNOSTIC_CHECKS.
+export function diagnoseDataset(locations, flows, knownIds = []) {
+  const ids = new Set([...locations.map((loc) => loc.id), ...knownIds]);
+  const flowRow = ({ origin, dest, count }) => ({ origin, dest, count });
+
+  const unknownIds = [];
+  const usedIds = new Set();
+  for (const flow of flows) {
+    const unknown = [flow.origin, flow.dest].filter((id) => !ids.has(id));
+    if (unknown.length) {
+      unknownIds.push({ ...flowRow(flow), unknown: unknown.join(' ') });
+      continue;
+    }
+    usedIds.add(flow.origin);
+    usedIds.add(flow.dest);
+  }
+
+  const results = {
+    unknownIds,
+    duplicatePairs: findDuplicates(flows, (f) => `${f.origin}\u0000${f.dest}`).map((group) => ({
+      origin: group[0].origin,
+      dest: group[0].dest,
+      rows: group.length,
+      counts: group.map((f) => f.count).join(' '),
+      total: group.reduce((acc, f) => acc + f.count, 0),
+    })),
+    selfFlows: flows.filter((f) => f.origin === f.dest).map(flowRow),
+    nonPositiveCounts: flows.filter((f) => f.count <= 0).map(flowRow),
+    unusedLocations: locations
+      .filter((loc) => !usedIds.has(loc.id))
+      .map(({ id, name, lat, lon }) => ({ id, name, lat, lon })),
+    duplicateLocations: findDuplicates(locations, (loc) => loc.id).map((group) => ({
+      id: group[0].id,
+      rows: group.length,
+      names: group.map((loc) => loc.name).join(' | '),
+    })),
+    outsideChile: locations
+      .filter((loc) => !inBBox(loc, CONTINENTAL_BBOX))
+      .map(({ id, name, lat, lon }) => ({ id, name, lat, lon })),
+  };
+
+  return DIAGNOSTIC_CHECKS
+    .map(({ id }) => ({ id, count: results[id].length, rows: results[id] }))
+    .filter((check) => check.count > 0);
+}
@@ -0,0 +1,18 @@
+// ------------------------------
+// ⬇️ DESCARGA DE ARCHIVOS
+// ------------------------------
+
+// Descarga contenido generado en el navegador (texto o Blob) como archivo
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
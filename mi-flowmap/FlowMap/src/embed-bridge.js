@@ -0,0 +1,87 @@
+import { FLOWMAP_EVENTS } from './flowmap.js';
+
+// ------------------------------
+// 📨 PUENTE postMessage (mapa dentro de un iframe)
+// ------------------------------
+// La página padre controla el mapa con mensajes { type, ... }:
+//   flowmap:setData       { data: { locations, flows } }
+//   flowmap:setConfig     { config: { baseMap, colorScheme, viewMode, minCount, ... } }
+//   flowmap:setViewState  { viewState: { longitude, latitude, zoom, ... }, transitionDuration? }
+//   flowmap:select        { id }  (null limpia la selección)
+//   flowmap:getState      responde con flowmap:state
+// y recibe:
+//   flowmap:ready, flowmap:state { state }, flowmap:error { message, request },
+//   flowmap:hover / flowmap:click { object }, flowmap:select { id },
+//   flowmap:viewstatechange { viewState }
+// Todos los mensajes del mapa llevan `mapId`, para distinguir varios
+// iframes en la misma página. Si un mensaje del padre trae `mapId`, solo
+// lo atiende el mapa con ese id.
+
+const PREFIX = 'flowmap:';
+
+// Los cambios de cámara se agrupan para no enviar un mensaje por cuadro
+const VIEW_STATE_MESSAGE_DELAY = 150;
+
+// target: ventana que controla el mapa (por defecto el padre del iframe)
+// targetOrigin: origen de esa ventana (obligatorio; los mensajes de otros
+// orígenes se ignoran y los del mapa solo se envían a ese origen)
+export function connectBridge(instance, { target = window.parent, targetOrigin, mapId = null } = {}) {
+  if (!targetOrigin || targetOrigin === '*') {
+    throw new Error('connectBridge: falta el origen de la ventana que controla el mapa (targetOrigin)');
+  }
+
+  const post = (type, payload = {}) => {
+    target.postMessage({ type: `${PREFIX}${type}`, mapId, ...payload }, targetOrigin);
+  };
+
+  const handlers = {
+    setData: (message) => instance.setData(message.data),
+    setConfig: (message) => instance.setConfig(message.config),
+    setViewState: (message) => instance.setViewState(message.viewState, {
+      transitionDuration: message.transitionDuration,
+    }),
+    select: (message) => instance.select(message.id ?? null),
+    getState: () => post('state', { state: instance.getState() }),
+  };
+
+  const onMessage = async (event) => {
+    // Solo mensajes de la ventana que controla el mapa y de su origen
+    if (event.source !== target || event.origin !== targetOrigin) return;
+
+    const message = event.data;
+    if (typeof message?.type !== 'string' || !message.type.startsWith(PREFIX)) return;
+    if (message.mapId != null && message.mapId !== mapId) return;
+
+    const handler = handlers[message.type.slice(PREFIX.length)];
+    if (!handler) return;
+
+    try {
+      await handler(message);
+    } catch (error) {
+      console.error("❌ Error en mensaje del padre:", error);
+      post('error', { message: error.message, request: message.type });
+    }
+  };
+
+  window.addEventListener('message', onMessage);
+
+  // Eventos del mapa hacia el padre
+  let viewStateTimer = null;
+  const unsubscribe = FLOWMAP_EVENTS.map((event) => instance.on(event, (payload) => {
+    if (event !== 'viewstatechange') {
+      post(event, payload);
+      return;
+    }
+    clearTimeout(viewStateTimer);
+    viewStateTimer = setTimeout(() => post(event, payload), VIEW_STATE_MESSAGE_DELAY);
+  }));
+
+  instance.ready.then(() => post('ready'));
+
+  // Desconecta el puente (no destruye el mapa)
+  return () => {
+    window.removeEventListener('message', onMessage);
+    clearTimeout(viewStateTimer);
+    unsubscribe.forEach((fn) => fn());
+  };
+}
@@ -0,0 +1,96 @@
+import { createFlowmap } from './flowmap.js';
+import { connectBridge } from './embed-bridge.js';
+import { loadCatalog, findDataset } from './catalog.js';
+import { readDataset } from './data-client.js';
+import { setLocale } from './i18n.js';
+
+// ------------------------------
+// 🖼️ PÁGINA EMBEBIBLE (embed.html)
+// ------------------------------
+// Mapa sin panel para usar en un iframe. Parámetros de la URL:
+//   dataset=<id> (catálogo) o locations=...&flows=... para cargar datos;
+//   sin ellos, el mapa espera flowmap:setData del padre.
+//   basemap, colors, mode, min, anim, points, lon, lat, zoom: estado inicial
+//   parentOrigin: origen de la página padre; si falta, el de document.referrer
+//   lang: idioma del tooltip (es-CL por defecto)
+//   id: identificador del mapa en los mensajes (varios iframes por página)
+
+// Origen de la página padre: el de la URL o el de la página que abrió el
+// iframe. null si no se conoce (sin origen no hay puente con el padre).
+function getParentOrigin(params) {
+  if (params.get('parentOrigin')) return params.get('parentOrigin');
+  try {
+    const { origin } = new URL(document.referrer);
+    return origin === 'null' ? null : origin;
+  } catch {
+    return null;
+  }
+}
+
+function getEmbedOptions(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const number = (key) => {
+    const value = parseFloat(params.get(key));
+    return Number.isFinite(value) ? value : undefined;
+  };
+  const config = {
+    baseMap: params.get('basemap') || undefined,
+    colorScheme: params.get('colors') || undefined,
+    viewMode: params.get('mode') === 'net' ? 'net' : undefined,
+    minCount: number('min'),
+    animationEnabled: params.has('anim') ? params.get('anim') !== 'false' : undefined,
+    locationsEnabled: params.has('points') ? params.get('points') !== 'false' : undefined,
+  };
+  const viewState = { longitude: number('lon'), latitude: number('lat'), zoom: number('zoom') };
+  const defined = (object) => Object.fromEntries(Object.entries(object).filter(([, v]) => v !== undefined));
+
+  return {
+    config: defined(config),
+    viewState: defined(viewState),
+    catalogFile: params.get('catalog') || 'datasets.json',
+    datasetId: params.get('dataset'),
+    locationsFile: params.get('locations'),
+    flowsFile: params.get('flows'),
+    parentOrigin: getParentOrigin(params),
+    lang: params.get('lang'),
+    mapId: params.get('id'),
+  };
+}
+
+// Archivos indicados en la URL o dataset del catálogo (null si no hay ninguno)
+async function resolveFiles(options) {
+  if (options.locationsFile && options.flowsFile) {
+    return { locationsFile: options.locationsFile, flowsFile: options.flowsFile };
+  }
+  if (!options.datasetId) return null;
+  return findDataset(await loadCatalog(options.catalogFile), options.datasetId);
+}
+
+async function init() {
+  const options = getEmbedOptions();
+  if (options.lang) setLocale(options.lang);
+  const map = createFlowmap(document.getElementById('map'), options);
+
+  if (window.parent !== window) {
+    if (options.parentOrigin) {
+      connectBridge(map, { targetOrigin: options.parentOrigin, mapId: options.mapId });
+    } else {
+      console.warn("⚠️ Sin parentOrigin ni document.referrer: el mapa no se comunica con la página padre");
+    }
+  }
+
+  try {
+    const files = await resolveFiles(options);
+    if (!files) return;
+    // Parseo en el worker de datos (ver data-client.js)
+    const { locations, flows, rejected } = await readDataset(files);
+    if (rejected.length) console.warn(`⚠️ ${rejected.length} filas rechazadas`);
+    await map.ready;
+    map.setData({ locations, flows });
+    console.log(`✅ Mapa embebido: ${locations.length} locations, ${flows.length} flujos`);
+  } catch (error) {
+    console.error("❌ Error cargando datos:", error);
+  }
+}
+
+init();
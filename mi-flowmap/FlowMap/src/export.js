@@ -0,0 +1,242 @@
+import { formatCSV } from './csv.js';
+import { formatNumber, formatSigned } from './format.js';
+
+// ------------------------------
+// 📤 EXPORTACIÓN
+// ------------------------------
+// PNG del mapa a mayor resolución con título, leyenda y nota de fuente,
+// y los datos visibles como CSV o GeoJSON. El video está en recorder.js.
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+// Renderiza el deck con `scale` píxeles por píxel CSS y compone título,
+// leyenda y nota encima. Devuelve un Blob PNG.
+export async function renderMapImage(deck, { scale = 2, title, legend = [], note }) {
+  const originalPixels = deck.props.useDevicePixels;
+
+  let image;
+  try {
+    // El canvas cambia de tamaño en el siguiente frame
+    deck.setProps({ useDevicePixels: scale });
+    await nextFrame();
+    await nextFrame();
+
+    // Dibujar y copiar en el mismo frame, antes de que el navegador limpie el buffer
+    deck.redraw(true);
+    image = document.createElement('canvas');
+    image.width = deck.canvas.width;
+    image.height = deck.canvas.height;
+    image.getContext('2d').drawImage(deck.canvas, 0, 0);
+  } finally {
+    deck.setProps({ useDevicePixels: originalPixels });
+  }
+
+  drawMapOverlay(image.getContext('2d'), { title, legend, note }, image.width / deck.canvas.clientWidth);
+
+  return new Promise((resolve, reject) => {
+    image.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('No se pudo generar el PNG'))), 'image/png');
+  });
+}
+
+// Título, leyenda y nota sobre una imagen del mapa (PNG y cuadros del
+// video). `unit`: píxeles de la imagen por píxel CSS del mapa.
+export function drawMapOverlay(ctx, { title, legend = [], note }, unit) {
+  const { width, height } = ctx.canvas;
+  if (title) drawTitle(ctx, title, unit);
+  if (legend.length) drawLegend(ctx, legend, unit, height);
+  if (note) drawNote(ctx, note, unit, width, height);
+}
+
+// Recuadro semitransparente para que el texto se lea sobre cualquier mapa base
+function drawBox(ctx, x, y, width, height, unit) {
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.beginPath();
+  ctx.roundRect(x, y, width, height, 6 * unit);
+  ctx.fill();
+}
+
+function drawTitle(ctx, title, unit) {
+  ctx.font = `bold ${20 * unit}px Arial, sans-serif`;
+  const padding = 10 * unit;
+  const width = ctx.measureText(title).width + padding * 2;
+
+  drawBox(ctx, 10 * unit, 10 * unit, width, 40 * unit, unit);
+  ctx.fillStyle = '#333';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(title, 10 * unit + padding, 30 * unit);
+}
+
+const SCALE_HEIGHT = 50;
+const SAMPLE_ROW_GAP = 4;
+
+// Alto (en px CSS) de cada elemento de la leyenda
+function legendItemHeight(item) {
+  if (item.type !== 'sizes') return SCALE_HEIGHT;
+  const rows = item.samples.reduce((acc, s) => acc + sampleHeight(item, s) + SAMPLE_ROW_GAP, 0);
+  return 20 + rows + 6;
+}
+
+const sampleHeight = (item, sample) => (item.shape === 'circle' ? sample.size * 2 : Math.max(sample.size, 12));
+
+function drawLegend(ctx, legend, unit, canvasHeight) {
+  const padding = 10 * unit;
+  const barWidth = 180 * unit;
+  const barHeight = 10 * unit;
+  const width = barWidth + padding * 2;
+  const height = legend.reduce((acc, item) => acc + legendItemHeight(item), 0) * unit + padding;
+  const x = 10 * unit;
+  const y = canvasHeight - height - 10 * unit;
+
+  drawBox(ctx, x, y, width, height, unit);
+
+  let top = y + padding;
+  for (const item of legend) {
+    ctx.fillStyle = '#333';
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.font = `bold ${12 * unit}px Arial, sans-serif`;
+    ctx.fillText(item.title, x + padding, top);
+
+    if (item.type === 'sizes') drawSizes(ctx, item, x + padding, top + 20 * unit, unit);
+    else drawScale(ctx, item, x + padding, top + 17 * unit, barWidth, barHeight, unit);
+
+    top += legendItemHeight(item) * unit;
+  }
+}
+
+function drawScale(ctx, item, x, y, barWidth, barHeight, unit) {
+  const gradient = ctx.createLinearGradient(x, 0, x + barWidth, 0);
+  item.colors.forEach((color, j) => gradient.addColorStop(j / (item.colors.length - 1), color));
+  ctx.fillStyle = gradient;
+  ctx.fillRect(x, y, barWidth, barHeight);
+
+  ctx.fillStyle = '#555';
+  ctx.font = `${11 * unit}px Arial, sans-serif`;
+  const labelTop = y + 13 * unit;
+  ctx.fillText(formatNumber(item.min), x, labelTop);
+  ctx.textAlign = 'right';
+  ctx.fillText(item.diverging ? formatSigned(item.max) : formatNumber(item.max), x + barWidth, labelTop);
+  if (item.diverging) {
+    ctx.textAlign = 'center';
+    ctx.fillText('0', x + barWidth / 2, labelTop);
+  }
+  ctx.textAlign = 'left';
+}
+
+// Líneas o círculos de ejemplo con su valor a la derecha
+function drawSizes(ctx, item, x, y, unit) {
+  const shapeWidth = 50 * unit;
+  let top = y;
+
+  for (const sample of item.samples) {
+    const rowHeight = sampleHeight(item, sample) * unit;
+    const middle = top + rowHeight / 2;
+
+    if (item.shape === 'line') {
+      ctx.strokeStyle = sample.color;
+      ctx.lineWidth = Math.max(sample.size, 1) * unit;
+      ctx.lineCap = 'round';
+      ctx.beginPath();
+      ctx.moveTo(x + 2 * unit, middle);
+      ctx.lineTo(x + shapeWidth - 2 * unit, middle);
+      ctx.stroke();
+    } else {
+      ctx.beginPath();
+      ctx.arc(x + shapeWidth / 2, middle, sample.size * unit, 0, Math.PI * 2);
+      if (sample.color !== 'none') {
+        ctx.fillStyle = sample.color;
+        ctx.fill();
+      }
+      ctx.strokeStyle = '#555';
+      ctx.lineWidth = unit;
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = '#555';
+    ctx.font = `${11 * unit}px Arial, sans-serif`;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(formatNumber(sample.value), x + shapeWidth + 8 * unit, middle);
+    ctx.textBaseline = 'top';
+
+    top += rowHeight + SAMPLE_ROW_GAP * unit;
+  }
+}
+
+function drawNote(ctx, note, unit, canvasWidth, canvasHeight) {
+  ctx.font = `${11 * unit}px Arial, sans-serif`;
+  const padding = 6 * unit;
+  const width = ctx.measureText(note).width + padding * 2;
+  const height = 22 * unit;
+
+  drawBox(ctx, canvasWidth - width - 10 * unit, canvasHeight - height - 10 * unit, width, height, unit);
+  ctx.fillStyle = '#555';
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'left';
+  ctx.fillText(note, canvasWidth - width - 10 * unit + padding, canvasHeight - height / 2 - 10 * unit);
+}
+
+// ------------------------------
+// Datos
+// ------------------------------
+
+// Flujos con nombres de origen/destino. En modo neto incluye ambos sentidos.
+export function flowsToCSV(flows, getName) {
+  const isNet = flows.some((f) => f.forward !== undefined);
+  const isDiff = flows.some((f) => f.delta !== undefined);
+  // Métrica normalizada: count vuelve a ser personas y la métrica va en su columna
+  const metric = flows.find((f) => f.metric)?.metric;
+  const columns = [
+    'origin', 'origin_name', 'dest', 'dest_name', 'count',
+    ...(isNet ? ['forward', 'backward'] : []),
+    ...(isDiff ? ['base', 'compare', 'delta', 'pct'] : []),
+    ...(metric ? [metric] : []),
+  ];
+  const records = flows.map((f) => ({
+    ...f,
+    origin_name: getName(f.origin),
+    dest_name: getName(f.dest),
+    ...(metric ? { count: f.persons, [metric]: f.count } : {}),
+  }));
+  return formatCSV(columns, records);
+}
+
+// Locations con sus totales: totals es un Map id -> { inflow, outflow, internal, net }
+export function locationsToCSV(locations, totals) {
+  const records = locations.map((loc) => ({ ...loc, ...totals.get(loc.id) }));
+  return formatCSV(['id', 'name', 'lat', 'lon', 'inflow', 'outflow', 'internal', 'net'], records);
+}
+
+// FeatureCollection con un Point por location y un LineString por flujo
+export function toGeoJSON(flows, locations, totals) {
+  const locationMap = new Map(locations.map((loc) => [loc.id, loc]));
+
+  const points = locations.map((loc) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [loc.lon, loc.lat] },
+    properties: { kind: 'location', id: loc.id, name: loc.name, ...totals.get(loc.id) },
+  }));
+
+  const lines = flows
+    .filter((f) => locationMap.has(f.origin) && locationMap.has(f.dest))
+    .map((f) => {
+      const origin = locationMap.get(f.origin);
+      const dest = locationMap.get(f.dest);
+      return {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [[origin.lon, origin.lat], [dest.lon, dest.lat]] },
+        properties: {
+          kind: 'flow',
+          origin: f.origin,
+          origin_name: origin.name,
+          dest: f.dest,
+          dest_name: dest.name,
+          count: f.count,
+          ...(f.forward !== undefined ? { forward: f.forward, backward: f.backward } : {}),
+          ...(f.delta !== undefined ? { base: f.base, compare: f.compare, delta: f.delta, pct: f.pct } : {}),
+          ...(f.metric ? { count: f.persons, [f.metric]: f.count } : {}),
+        },
+      };
+    });
+
+  return JSON.stringify({ type: 'FeatureCollection', features: [...points, ...lines] });
+}
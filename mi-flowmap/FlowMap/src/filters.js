@@ -0,0 +1,63 @@
+// ------------------------------
+// 🔎 FILTROS DE FLUJOS
+// ------------------------------
+// filters: {
+//   minCount,      // personas mínimas por flujo
+//   minDistance,   // km (null = sin límite)
+//   maxDistance,   // km (null = sin límite)
+//   origins,       // IDs de comunas de origen ([] = todas)
+//   destinations,  // IDs de comunas de destino ([] = todas)
+//   topN,          // solo los N flujos mayores (null = todos)
+// }
+
+export function createDefaultFilters() {
+  return {
+    minCount: 0,
+    minDistance: null,
+    maxDistance: null,
+    origins: [],
+    destinations: [],
+    topN: null,
+  };
+}
+
+export function hasActiveFilters(filters) {
+  return Boolean(
+    filters.minCount > 0 ||
+    filters.minDistance !== null ||
+    filters.maxDistance !== null ||
+    filters.origins.length ||
+    filters.destinations.length ||
+    filters.topN
+  );
+}
+
+// Aplica los filtros. El top N se aplica al final, sobre los flujos que
+// pasan los demás filtros. `distances` es un Map flujo -> km, calculado una
+// vez por dataset al leerlo (ver dataset-reader.js).
+export function applyFlowFilters(flows, filters, distances) {
+  const origins = filters.origins.length ? new Set(filters.origins) : null;
+  const destinations = filters.destinations.length ? new Set(filters.destinations) : null;
+  const checkDistance = filters.minDistance !== null || filters.maxDistance !== null;
+
+  let result = flows.filter((flow) => {
+    if (flow.count < filters.minCount) return false;
+    if (origins && !origins.has(flow.origin)) return false;
+    if (destinations && !destinations.has(flow.dest)) return false;
+
+    if (checkDistance) {
+      const distance = distances.get(flow);
+      if (distance === undefined) return false;
+      if (filters.minDistance !== null && distance < filters.minDistance) return false;
+      if (filters.maxDistance !== null && distance > filters.maxDistance) return false;
+    }
+
+    return true;
+  });
+
+  if (filters.topN && result.length > filters.topN) {
+    result = [...result].sort((a, b) => b.count - a.count).slice(0, filters.topN);
+  }
+
+  return result;
+}
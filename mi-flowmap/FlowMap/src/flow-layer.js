@@ -0,0 +1,35 @@
+// ------------------------------
+// 🌊 CAPAS DE FLUJOS (comunes)
+// ------------------------------
+// Piezas de FlowmapLayer que comparten el mapa principal (app.js) y el
+// componente embebible (flowmap.js).
+
+// Opacidad relativa de los flujos no relacionados en modo foco
+export const DIMMED_OPACITY = 0.15;
+
+// Accessors de FlowmapLayer (no dependen de la configuración)
+export const LAYER_ACCESSORS = {
+  getLocationId: (loc) => loc.id,
+  getLocationLat: (loc) => loc.lat,
+  getLocationLon: (loc) => loc.lon,
+  getLocationName: (loc) => loc.name || loc.id,
+  getFlowOriginId: (flow) => flow.origin,
+  getFlowDestId: (flow) => flow.dest,
+  getFlowMagnitude: (flow) => flow.count,
+};
+
+// Capas de FlowmapLayer con o sin comuna seleccionada. En modo foco se
+// dibujan todos los flujos atenuados y encima solo los que entran o salen
+// de la seleccionada.
+// createLayer(id, { filter, opacity, animationEnabled }) arma una capa con
+// la configuración de cada mapa; opacity y animationEnabled solo vienen
+// en la capa atenuada.
+export function createFocusLayers(createLayer, selectedId, { prefix = '', opacity = 1 } = {}) {
+  if (!selectedId) return [createLayer(`${prefix}flowmap-layer`, {})];
+  return [
+    createLayer(`${prefix}flowmap-context-layer`, { opacity: opacity * DIMMED_OPACITY, animationEnabled: false }),
+    createLayer(`${prefix}flowmap-layer`, {
+      filter: { selectedLocations: [selectedId], locationFilterMode: 'ALL' },
+    }),
+  ];
+}
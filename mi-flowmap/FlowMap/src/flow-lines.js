@@ -0,0 +1,155 @@
+import { ArcLayer, PathLayer, ScatterplotLayer } from '@deck.gl/layers';
+import { createFlowColorScale, flowLineWidth, locationCircleRadius } from './legend.js';
+
+// ------------------------------
+// 🌈 ARCOS 3D Y HACES DE FLUJOS
+// ------------------------------
+// Alternativas a FlowmapLayer para dibujar los flujos:
+// - 'arcs': arcos 3D (ArcLayer), con altura según la distancia o según el flujo
+// - 'bundled': haces de flujos (PathLayer con los paths de bundling.js)
+// Usan la misma escala de color y de grosor que FlowmapLayer (ver legend.js),
+// y objetos como los que FlowmapLayer entrega al hover/click, así el tooltip,
+// el modo foco y la tabla funcionan igual con cualquier renderer.
+
+export const FLOW_RENDERERS = ['flowmap', 'arcs', 'bundled'];
+export const ARC_HEIGHTS = ['distance', 'count'];
+
+export function isFlowRenderer(value) {
+  return FLOW_RENDERERS.includes(value);
+}
+
+// Altura de los arcos con arcHeight 'count': de 0.1 a 2 veces la altura por distancia
+const MIN_COUNT_HEIGHT = 0.1;
+const MAX_COUNT_HEIGHT = 2;
+
+// Radio de los círculos con una métrica normalizada (no se suman por comuna)
+const FIXED_LOCATION_RADIUS = 4;
+
+// Flujos -> [{ type: 'flow', origin, dest, count, flow }], de mayor a menor
+// |count| y a lo más `limit`. `nodes`: Map id -> { id, name, lat, lon }
+// (comunas o regiones). Se omiten los flujos internos y los sin coordenadas.
+export function toLineFlows(flows, nodes, limit = Infinity) {
+  const lines = [];
+  for (const flow of flows) {
+    if (flow.origin === flow.dest || !flow.count) continue;
+    const origin = nodes.get(flow.origin);
+    const dest = nodes.get(flow.dest);
+    if (!origin || !dest) continue;
+    lines.push({ type: 'flow', origin, dest, count: flow.count, flow });
+  }
+  return lines.sort((a, b) => Math.abs(b.count) - Math.abs(a.count)).slice(0, limit);
+}
+
+// Personas por comuna para los círculos: lo mayor entre llegadas y salidas
+export function getLineLocationTotals(lines) {
+  const totals = new Map();
+  const add = (node, key, value) => {
+    let total = totals.get(node.id);
+    if (!total) {
+      total = { node, inflow: 0, outflow: 0 };
+      totals.set(node.id, total);
+    }
+    total[key] += Math.abs(value);
+  };
+  for (const line of lines) {
+    add(line.origin, 'outflow', line.count);
+    add(line.dest, 'inflow', line.count);
+  }
+  return new Map([...totals].map(([id, t]) => [id, { node: t.node, value: Math.max(t.inflow, t.outflow) }]));
+}
+
+// Color y grosor según |count| (con valores negativos, paleta de diferencias)
+function getLineStyle(lines, config) {
+  let min = 0;
+  let max = 0;
+  for (const { count } of lines) {
+    min = Math.min(min, count);
+    max = Math.max(max, count);
+  }
+  const maxAbs = Math.max(-min, max) || 1;
+  const colorScale = createFlowColorScale([min, max], config);
+  return {
+    getColor: (d) => colorScale(d.count),
+    getWidth: (d) => flowLineWidth(d.count, maxAbs),
+    maxAbs,
+  };
+}
+
+const position = (node) => [node.lon, node.lat];
+
+// Arcos 3D. `props` agrega o reemplaza props de ArcLayer (id, opacity, handlers).
+// `scaleLines`: flujos que definen las escalas (p. ej. todos, al dibujar
+// solo los de la comuna en foco).
+export function createArcLayer(lines, config, { scaleLines = lines, ...props } = {}) {
+  const { getColor, getWidth, maxAbs } = getLineStyle(scaleLines, config);
+  const getHeight = config.arcHeight === 'count'
+    ? (d) => MIN_COUNT_HEIGHT + (MAX_COUNT_HEIGHT - MIN_COUNT_HEIGHT) * Math.sqrt(Math.abs(d.count) / maxAbs)
+    : 1;
+
+  return new ArcLayer({
+    data: lines,
+    getSourcePosition: (d) => position(d.origin),
+    getTargetPosition: (d) => position(d.dest),
+    getSourceColor: getColor,
+    getTargetColor: getColor,
+    getWidth,
+    getHeight,
+    widthUnits: 'pixels',
+    opacity: config.opacity,
+    pickable: true,
+    updateTriggers: {
+      getSourceColor: [config.colorScheme, config.darkMode],
+      getTargetColor: [config.colorScheme, config.darkMode],
+      getHeight: config.arcHeight,
+    },
+    ...props,
+  });
+}
+
+// Haces: `lines` con su `path` ([[lon, lat], ...]) de bundleFlows()
+export function createBundleLayer(lines, config, { scaleLines = lines, ...props } = {}) {
+  const { getColor, getWidth } = getLineStyle(scaleLines, config);
+
+  return new PathLayer({
+    data: lines,
+    getPath: (d) => d.path,
+    getColor,
+    getWidth,
+    widthUnits: 'pixels',
+    capRounded: true,
+    jointRounded: true,
+    opacity: config.opacity,
+    pickable: true,
+    updateTriggers: {
+      getColor: [config.colorScheme, config.darkMode],
+    },
+    ...props,
+  });
+}
+
+// Círculos de las comunas (o regiones) con flujos dibujados, con la escala
+// de FlowmapLayer. `fixedSize`: todos iguales (métricas normalizadas).
+export function createLineLocationsLayer(lines, config, { fixedSize = false, ...props } = {}) {
+  const totals = [...getLineLocationTotals(lines).values()];
+  const max = Math.max(0, ...totals.map((t) => t.value)) || 1;
+
+  return new ScatterplotLayer({
+    data: totals.map(({ node, value }) => ({ type: 'location', id: node.id, name: node.name, lat: node.lat, lon: node.lon, value })),
+    getPosition: position,
+    getRadius: (d) => (fixedSize ? FIXED_LOCATION_RADIUS : Math.max(2, locationCircleRadius(d.value, max))),
+    radiusUnits: 'pixels',
+    getFillColor: config.darkMode ? [255, 255, 255, 90] : [40, 40, 40, 70],
+    getLineColor: config.darkMode ? [255, 255, 255, 200] : [40, 40, 40, 200],
+    stroked: true,
+    lineWidthUnits: 'pixels',
+    getLineWidth: 1,
+    opacity: config.opacity,
+    pickable: true,
+    updateTriggers: {
+      getRadius: fixedSize,
+      getFillColor: config.darkMode,
+      getLineColor: config.darkMode,
+    },
+    ...props,
+  });
+}
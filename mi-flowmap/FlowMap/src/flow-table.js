@@ -0,0 +1,271 @@
+import { escapeHTML } from './html.js';
+import { formatNumber, formatDistance, formatPercent } from './format.js';
+import { normalizeSearchText } from './search.js';
+import { t, getLocale } from './i18n.js';
+
+// ------------------------------
+// 📋 TABLA DE FLUJOS
+// ------------------------------
+// Panel abajo al centro con los flujos filtrados: orden por columna,
+// páginas y filtro de texto por comuna. Es también el acceso a los datos
+// con teclado y lector de pantalla (el mapa es solo un canvas):
+// ↑/↓ recorren las filas, Enter la marca en el mapa, Re Pág/Av Pág cambian
+// de página.
+//
+// rows: [{ key, origin, dest, originName, destName, count, distance, share }]
+// Los textos se toman del idioma actual al crear la tabla.
+
+const PANEL_ID = 'flow-table-panel';
+const PAGE_SIZE = 50;
+
+const COLUMNS = [
+  { id: 'originName', label: 'table.origin', numeric: false },
+  { id: 'destName', label: 'table.destination', numeric: false },
+  { id: 'count', label: 'table.count', numeric: true },
+  { id: 'distance', label: 'table.distance', numeric: true },
+  { id: 'share', label: 'table.share', numeric: true },
+];
+
+const compareValues = (a, b, numeric) => (numeric
+  ? (a ?? -Infinity) - (b ?? -Infinity)
+  : String(a).localeCompare(String(b), getLocale()));
+
+// onHover(row | null): fila bajo el cursor o con el foco
+// onPick(row | null): fila marcada con click o Enter (otra vez la desmarca)
+export function createFlowTable({ onHover, onPick }) {
+  const panel = document.createElement('div');
+  panel.id = PANEL_ID;
+  panel.style.cssText = `
+    position: absolute;
+    bottom: 10px;
+    left: 50%;
+    transform: translateX(-50%);
+    width: min(720px, 50vw);
+    background: rgba(255, 255, 255, 0.95);
+    color: #333;
+    padding: 10px 12px;
+    border-radius: 8px;
+    z-index: 900;
+    font-family: Arial, sans-serif;
+    font-size: 12px;
+    box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+  `;
+  panel.innerHTML = `
+    <details>
+      <summary style="cursor: pointer; font-weight: bold;">📋 ${t('table.title')} <span data-role="total"></span></summary>
+      <div style="display: flex; gap: 8px; align-items: center; margin: 8px 0;">
+        <input type="search" data-role="filter" placeholder="${t('table.filter')}" aria-label="${t('table.filterLabel')}"
+               style="flex: 1; padding: 4px 6px;">
+        <span data-role="status" role="status" aria-live="polite" style="color: #666;"></span>
+      </div>
+      <div style="max-height: 30vh; overflow-y: auto;">
+        <table style="width: 100%; border-collapse: collapse;">
+          <caption style="position: absolute; left: -9999px;">${t('table.caption')}</caption>
+          <thead style="position: sticky; top: 0; background: #f5f5f5;">
+            <tr>
+              ${COLUMNS.map((column) => `
+                <th scope="col" aria-sort="none" style="padding: 0; text-align: ${column.numeric ? 'right' : 'left'};">
+                  <button type="button" data-sort="${column.id}"
+                          style="width: 100%; padding: 5px 6px; border: none; background: none; font: inherit; font-weight: bold;
+                                 cursor: pointer; text-align: inherit;">${t(column.label)}<span aria-hidden="true"></span></button>
+                </th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 6px;">
+        <button type="button" data-page="prev" aria-label="${t('table.previousPageLabel')}">‹ ${t('table.previousPage')}</button>
+        <span data-role="page"></span>
+        <button type="button" data-page="next" aria-label="${t('table.nextPageLabel')}">${t('table.nextPage')} ›</button>
+      </div>
+    </details>
+  `;
+  document.getElementById('app').appendChild(panel);
+
+  const details = panel.querySelector('details');
+  const filterInput = panel.querySelector('[data-role="filter"]');
+  const tbody = panel.querySelector('tbody');
+
+  let rows = [];
+  let visible = []; // rows filtradas por texto y ordenadas
+  let sort = { column: 'count', descending: true };
+  let query = '';
+  let page = 0;
+  let pickedKey = null;
+  let match = null; // (row) => boolean: filas marcadas desde el mapa
+  let searchIndex = new Map(); // row -> texto normalizado "origen destino"
+  let hoveredRow = null;
+
+  const pageCount = () => Math.max(1, Math.ceil(visible.length / PAGE_SIZE));
+
+  function updateVisible() {
+    const column = COLUMNS.find((c) => c.id === sort.column);
+    const direction = sort.descending ? -1 : 1;
+    visible = query ? rows.filter((row) => searchIndex.get(row).includes(query)) : [...rows];
+    visible.sort((a, b) => direction * compareValues(a[column.id], b[column.id], column.numeric));
+    page = Math.min(page, pageCount() - 1);
+  }
+
+  function render() {
+    const start = page * PAGE_SIZE;
+    const pageRows = visible.slice(start, start + PAGE_SIZE);
+
+    tbody.innerHTML = pageRows.length
+      ? pageRows.map((row, i) => {
+        const picked = row.key === pickedKey;
+        const marked = Boolean(match?.(row));
+        const background = picked ? '#ffe082' : marked ? '#fff8e1' : 'transparent';
+        return `
+          <tr tabindex="-1" data-index="${start + i}" ${picked ? 'aria-current="true"' : ''}
+              style="cursor: pointer; background: ${background}; border-top: 1px solid #eee;">
+            <td style="padding: 3px 6px;">${escapeHTML(row.originName)}</td>
+            <td style="padding: 3px 6px;">${escapeHTML(row.destName)}</td>
+            <td style="padding: 3px 6px; text-align: right;">${formatNumber(row.count)}</td>
+            <td style="padding: 3px 6px; text-align: right;">${row.distance === undefined ? '–' : formatDistance(row.distance)}</td>
+            <td style="padding: 3px 6px; text-align: right;">${formatPercent(row.share * 100)}</td>
+          </tr>
+        `;
+      }).join('')
+      : `<tr><td colspan="${COLUMNS.length}" style="padding: 6px; color: #888;">${t('table.empty')}</td></tr>`;
+
+    // Solo una fila entra al orden de tabulación; las flechas mueven el foco
+    const first = tbody.querySelector('[data-index]');
+    if (first) first.tabIndex = 0;
+
+    panel.querySelectorAll('[data-sort]').forEach((button) => {
+      const active = button.dataset.sort === sort.column;
+      button.parentElement.setAttribute('aria-sort', active ? (sort.descending ? 'descending' : 'ascending') : 'none');
+      button.querySelector('span').textContent = active ? (sort.descending ? ' ▼' : ' ▲') : '';
+    });
+
+    panel.querySelector('[data-role="total"]').textContent = `(${formatNumber(rows.length)})`;
+    panel.querySelector('[data-role="status"]').textContent = query
+      ? t('table.statusFiltered', { shown: visible.length, count: rows.length })
+      : t('table.status', { count: rows.length });
+    panel.querySelector('[data-role="page"]').textContent = t('table.page', { page: page + 1, pages: pageCount() });
+    panel.querySelector('[data-page="prev"]').disabled = page === 0;
+    panel.querySelector('[data-page="next"]').disabled = page >= pageCount() - 1;
+  }
+
+  const rowOf = (element) => visible[parseInt(element?.closest('[data-index]')?.dataset.index)];
+
+  function goToPage(next, { focusIndex } = {}) {
+    page = Math.max(0, Math.min(next, pageCount() - 1));
+    render();
+    if (focusIndex !== undefined) tbody.querySelector(`[data-index="${focusIndex}"]`)?.focus();
+  }
+
+  // Avisa solo cuando cambia la fila (mouseover llega por cada celda)
+  function hover(row) {
+    if (row === hoveredRow) return;
+    hoveredRow = row;
+    onHover(row);
+  }
+
+  function pick(row) {
+    pickedKey = row && row.key !== pickedKey ? row.key : null;
+    render();
+    onPick(pickedKey ? row : null);
+  }
+
+  // Eventos
+  panel.addEventListener('click', (e) => {
+    const sortButton = e.target.closest('[data-sort]');
+    if (sortButton) {
+      const column = sortButton.dataset.sort;
+      const numeric = COLUMNS.find((c) => c.id === column).numeric;
+      // Primer click: números de mayor a menor, textos de A a Z
+      sort = sort.column === column
+        ? { column, descending: !sort.descending }
+        : { column, descending: numeric };
+      updateVisible();
+      goToPage(0);
+      return;
+    }
+    const pageButton = e.target.closest('[data-page]');
+    if (pageButton) {
+      goToPage(page + (pageButton.dataset.page === 'next' ? 1 : -1));
+      return;
+    }
+    const row = rowOf(e.target);
+    if (row) pick(row);
+  });
+
+  filterInput.addEventListener('input', () => {
+    query = normalizeSearchText(filterInput.value);
+    updateVisible();
+    goToPage(0);
+  });
+
+  tbody.addEventListener('mouseover', (e) => hover(rowOf(e.target) || null));
+  tbody.addEventListener('mouseleave', () => hover(null));
+  tbody.addEventListener('focusin', (e) => hover(rowOf(e.target) || null));
+  tbody.addEventListener('focusout', (e) => {
+    if (!tbody.contains(e.relatedTarget)) hover(null);
+  });
+
+  tbody.addEventListener('keydown', (e) => {
+    const index = parseInt(e.target.closest('[data-index]')?.dataset.index);
+    if (Number.isNaN(index)) return;
+
+    const moves = { ArrowDown: 1, ArrowUp: -1, PageDown: PAGE_SIZE, PageUp: -PAGE_SIZE };
+    if (e.key in moves) {
+      e.preventDefault();
+      const next = Math.max(0, Math.min(index + moves[e.key], visible.length - 1));
+      goToPage(Math.floor(next / PAGE_SIZE), { focusIndex: next });
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      pick(visible[index]);
+    }
+  });
+
+  // Va a la página de una fila y, si el panel está abierto, la deja a la vista
+  function scrollToIndex(index) {
+    goToPage(Math.floor(index / PAGE_SIZE));
+    if (details.open) tbody.querySelector(`[data-index="${index}"]`)?.scrollIntoView({ block: 'nearest' });
+  }
+
+  return {
+    // Reemplaza las filas (mantiene orden, filtro y fila marcada si sigue)
+    setRows(nextRows) {
+      rows = nextRows;
+      hoveredRow = null;
+      searchIndex = new Map(rows.map((row) => [row, normalizeSearchText(`${row.originName} ${row.destName}`)]));
+      if (pickedKey && !rows.some((row) => row.key === pickedKey)) pickedKey = null;
+      updateVisible();
+      render();
+    },
+
+    // Marca las filas que cumplen `predicate` y muestra la primera
+    // (null quita las marcas). Si la fila está oculta por el filtro de
+    // texto, se limpia el filtro.
+    reveal(predicate) {
+      match = predicate;
+      if (!predicate) {
+        render();
+        return;
+      }
+      let index = visible.findIndex(predicate);
+      if (index === -1 && query && rows.some(predicate)) {
+        filterInput.value = '';
+        query = '';
+        updateVisible();
+        index = visible.findIndex(predicate);
+      }
+      if (index === -1) render();
+      else scrollToIndex(index);
+    },
+
+    // Fila marcada en el mapa (null la desmarca, sin avisar a onPick)
+    setPicked(key) {
+      pickedKey = key;
+      render();
+    },
+
+    destroy() {
+      panel.remove();
+    },
+  };
+}
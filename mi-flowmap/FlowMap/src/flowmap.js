@@ -0,0 +1,282 @@
+import { Deck, FlyToInterpolator } from '@deck.gl/core';
+import { FlowmapLayer } from '@flowmap.gl/layers';
+import { computeNetFlows } from './net.js';
+import { resolveBasemap, getBackgroundColor, loadOfflineData, createBasemapLayers } from './basemaps.js';
+import { LAYER_ACCESSORS, createFocusLayers } from './flow-layer.js';
+import { createTooltipElement, placeTooltip, locationTooltipHTML, flowTooltipHTML, netFlowTooltipHTML } from './tooltip.js';
+
+// ------------------------------
+// 🧩 COMPONENTE EMBEBIBLE
+// ------------------------------
+// createFlowmap(container, options) crea un mapa de flujos independiente:
+// cada instancia tiene su propio Deck, datos, configuración, selección y
+// tooltip, así que puede haber varios mapas en la misma página. No lee ni
+// escribe la URL y no tiene panel de controles (eso es de app.js).
+//
+//   const map = createFlowmap('#mapa', { config: { baseMap: 'light' } });
+//   map.setData({ locations, flows });
+//   map.on('select', ({ id }) => ...);
+//
+// locations: [{ id, lat, lon, name? }], flows: [{ origin, dest, count }]
+
+export const DEFAULT_FLOWMAP_CONFIG = {
+  baseMap: 'dark', // id de basemaps.js o plantilla de teselas
+  colorScheme: 'Magma',
+  opacity: 1,
+  animationEnabled: true,
+  locationsEnabled: true,
+  viewMode: 'gross', // 'gross' o 'net' (saldo neto)
+  minCount: 0, // Solo flujos con count >= minCount
+  tooltip: true, // true, false o (objeto) => HTML
+};
+
+const DEFAULT_VIEW_STATE = { longitude: -70.65, latitude: -33.45, zoom: 6, pitch: 0, bearing: 0 };
+
+export const FLOWMAP_EVENTS = ['hover', 'click', 'select', 'viewstatechange'];
+
+// Objeto de FlowmapLayer -> objeto plano para los eventos (se puede
+// enviar con postMessage)
+function toEventObject(object) {
+  if (!object) return null;
+  if (object.type === 'location') {
+    return { type: 'location', id: object.id, name: object.name || object.id };
+  }
+  if (object.type === 'flow') {
+    const flow = object.flow || {};
+    return {
+      type: 'flow',
+      origin: object.origin.id,
+      originName: object.origin.name || object.origin.id,
+      dest: object.dest.id,
+      destName: object.dest.name || object.dest.id,
+      count: object.count,
+      ...(flow.forward !== undefined ? { forward: flow.forward, backward: flow.backward } : {}),
+    };
+  }
+  return null;
+}
+
+// Mismo contenido que el tooltip del mapa principal (tooltip.js)
+function defaultTooltip(object) {
+  if (object.type === 'location') return locationTooltipHTML(object);
+  if (object.forward !== undefined) return netFlowTooltipHTML(object);
+  return flowTooltipHTML(object);
+}
+
+export function createFlowmap(container, options = {}) {
+  const element = typeof container === 'string' ? document.querySelector(container) : container;
+  if (!element) throw new Error(`createFlowmap: no se encontró el contenedor ${container}`);
+
+  // Estilos propios del contenedor, para devolverlos en destroy()
+  const originalStyle = element.getAttribute('style');
+
+  // Los hijos (canvas, tooltip) se posicionan respecto del contenedor
+  if (getComputedStyle(element).position === 'static') element.style.position = 'relative';
+
+  let config = { ...DEFAULT_FLOWMAP_CONFIG, ...options.config };
+  let viewState = { ...DEFAULT_VIEW_STATE, ...options.viewState };
+  let data = { locations: [], flows: [] };
+  let displayFlows = { source: null, viewMode: null, minCount: null, flows: [] };
+  let layerData = { locations: [], flows: [] };
+  let selectedId = null;
+  let darkMode = true;
+  let basemapLayers = [];
+  let offlineData = null;
+  let destroyed = false;
+
+  const listeners = new Map(FLOWMAP_EVENTS.map((event) => [event, new Set()]));
+
+  const emit = (event, payload) => {
+    for (const handler of listeners.get(event)) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`❌ Error en el evento ${event}:`, error);
+      }
+    }
+  };
+
+  // Tooltip propio de la instancia (dentro del contenedor)
+  const tooltip = createTooltipElement();
+  element.appendChild(tooltip);
+
+  const deck = new Deck({
+    parent: element,
+    viewState,
+    controller: true,
+    useDevicePixels: window.devicePixelRatio || 1,
+    onViewStateChange: ({ viewState: next }) => {
+      viewState = next;
+      deck.setProps({ viewState });
+      emit('viewstatechange', { viewState: getViewState() });
+    },
+    onClick: (info) => {
+      if (!info.layer) select(null);
+    },
+    layers: [],
+  });
+
+  // Flujos a dibujar: umbral y modo (bruto / neto)
+  function getFlows() {
+    if (displayFlows.source !== data.flows || displayFlows.viewMode !== config.viewMode || displayFlows.minCount !== config.minCount) {
+      const filtered = config.minCount ? data.flows.filter((f) => f.count >= config.minCount) : data.flows;
+      displayFlows = {
+        source: data.flows,
+        viewMode: config.viewMode,
+        minCount: config.minCount,
+        flows: config.viewMode === 'net' ? computeNetFlows(filtered) : filtered,
+      };
+    }
+    return displayFlows.flows;
+  }
+
+  // Mismo objeto `data` mientras no cambien los datos: FlowmapLayer solo
+  // reprocesa los flujos cuando cambia su identidad
+  function getLayerData() {
+    const flows = getFlows();
+    if (layerData.locations !== data.locations || layerData.flows !== flows) {
+      layerData = { locations: data.locations, flows };
+    }
+    return layerData;
+  }
+
+  function showTooltip(object, x, y) {
+    const render = typeof config.tooltip === 'function' ? config.tooltip : defaultTooltip;
+    if (!object || !config.tooltip) {
+      tooltip.style.display = 'none';
+      return;
+    }
+    placeTooltip(tooltip, render(object), x, y);
+  }
+
+  function createLayer(id, { filter, opacity = config.opacity, animationEnabled = config.animationEnabled } = {}) {
+    return new FlowmapLayer({
+      id,
+      filter,
+      data: getLayerData(),
+      opacity,
+      animationEnabled,
+      locationsEnabled: config.locationsEnabled,
+      colorScheme: config.colorScheme,
+      darkMode,
+      pickable: true,
+      ...LAYER_ACCESSORS,
+      onHover: (info) => {
+        const object = toEventObject(info?.object);
+        showTooltip(object, info?.x, info?.y);
+        emit('hover', { object });
+      },
+      onClick: (info) => {
+        const object = toEventObject(info?.object);
+        if (!object) return;
+        emit('click', { object });
+        if (object.type === 'location') select(object.id === selectedId ? null : object.id);
+      },
+    });
+  }
+
+  function render() {
+    if (destroyed) return;
+
+    const flowLayers = createFocusLayers(createLayer, selectedId, { opacity: config.opacity });
+
+    deck.setProps({ layers: [...basemapLayers, ...flowLayers] });
+  }
+
+  async function applyBasemap() {
+    const basemap = resolveBasemap(config.baseMap);
+    if (basemap.type === 'geojson' && !offlineData) {
+      offlineData = await loadOfflineData(basemap);
+    }
+    darkMode = basemap.darkMode;
+    basemapLayers = createBasemapLayers(basemap, { offlineData });
+    element.style.background = getBackgroundColor(basemap);
+  }
+
+  function getViewState() {
+    const { longitude, latitude, zoom, pitch, bearing } = viewState;
+    return { longitude, latitude, zoom, pitch, bearing };
+  }
+
+  // ------------------------------
+  // API pública
+  // ------------------------------
+
+  function setData({ locations = data.locations, flows = data.flows } = {}) {
+    if (!Array.isArray(locations) || !Array.isArray(flows)) {
+      throw new Error('setData: locations y flows deben ser arreglos');
+    }
+    data = { locations, flows };
+    if (selectedId && !locations.some((loc) => loc.id === selectedId)) select(null);
+    render();
+  }
+
+  async function setConfig(partial = {}) {
+    const previousBaseMap = config.baseMap;
+    config = { ...config, ...partial };
+    if (config.baseMap !== previousBaseMap) await applyBasemap();
+    render();
+  }
+
+  // transitionDuration > 0: vuelo animado hasta la nueva cámara
+  function setViewState(next = {}, { transitionDuration = 0 } = {}) {
+    viewState = { ...getViewState(), ...next };
+    deck.setProps({
+      viewState: transitionDuration
+        ? { ...viewState, transitionDuration, transitionInterpolator: new FlyToInterpolator() }
+        : viewState,
+    });
+  }
+
+  // id de una location, o null para limpiar la selección
+  function select(id) {
+    const next = id && data.locations.some((loc) => loc.id === id) ? id : null;
+    if (next === selectedId) return;
+    selectedId = next;
+    render();
+    emit('select', { id: selectedId });
+  }
+
+  // Devuelve una función para quitar el handler
+  function on(event, handler) {
+    if (!listeners.has(event)) throw new Error(`Evento desconocido: ${event} (${FLOWMAP_EVENTS.join(', ')})`);
+    listeners.get(event).add(handler);
+    return () => off(event, handler);
+  }
+
+  function off(event, handler) {
+    listeners.get(event)?.delete(handler);
+  }
+
+  function getState() {
+    const { tooltip: _, ...rest } = config;
+    return { config: rest, viewState: getViewState(), selected: selectedId };
+  }
+
+  function destroy() {
+    destroyed = true;
+    listeners.forEach((handlers) => handlers.clear());
+    deck.finalize();
+    tooltip.remove();
+    if (originalStyle === null) element.removeAttribute('style');
+    else element.setAttribute('style', originalStyle);
+  }
+
+  // Mapa base inicial; `ready` se resuelve cuando está listo
+  const ready = applyBasemap().then(() => {
+    if (options.data) setData(options.data);
+    else render();
+  });
+
+  return {
+    ready,
+    setData,
+    setConfig,
+    setViewState,
+    select,
+    on,
+    off,
+    getState,
+    destroy,
+  };
+}
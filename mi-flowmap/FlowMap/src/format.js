@@ -0,0 +1,57 @@
+// ------------------------------
+// 🔢 FORMATO DE NÚMEROS
+// ------------------------------
+// Según el idioma actual (i18n.js lo cambia con setNumberLocale):
+// separadores de miles y decimales, y unidades (km, %).
+
+let numberLocale = 'es-CL';
+let formats = new Map(); // Intl.NumberFormat por opciones, para el locale actual
+
+function getFormat(options) {
+  const key = JSON.stringify(options);
+  if (!formats.has(key)) formats.set(key, new Intl.NumberFormat(numberLocale, options));
+  return formats.get(key);
+}
+
+export function setNumberLocale(locale) {
+  numberLocale = locale;
+  formats = new Map();
+}
+
+export function getNumberLocale() {
+  return numberLocale;
+}
+
+// 12345.6 -> "12.346"; bajo 10 con un decimal (tasas, porcentajes): 2.5 -> "2,5"
+export function formatNumber(value) {
+  return getFormat({ maximumFractionDigits: Math.abs(value) < 10 ? 1 : 0 }).format(value);
+}
+
+// Con signo explícito para saldos: +1.200 / -350
+export function formatSigned(value) {
+  return `${value > 0 ? '+' : ''}${formatNumber(value)}`;
+}
+
+// Siempre con `digits` decimales: 2.5 -> "2,50"
+export function formatDecimal(value, digits) {
+  return getFormat({ minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+}
+
+// Valor ya en porcentaje: 12.5 -> "12,5 %" (es-CL) / "12.5%" (en)
+export function formatPercent(value, digits = 1) {
+  return getFormat({
+    style: 'unit',
+    unit: 'percent',
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(value);
+}
+
+// Kilómetros con la unidad: 1234.5 -> "1.235 km"
+export function formatDistance(km) {
+  return getFormat({
+    style: 'unit',
+    unit: 'kilometer',
+    maximumFractionDigits: Math.abs(km) < 10 ? 1 : 0,
+  }).format(km);
+}
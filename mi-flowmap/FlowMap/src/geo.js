@@ -0,0 +1,135 @@
+// ------------------------------
+// 🌐 UTILIDADES GEOGRÁFICAS
+// ------------------------------
+
+const EARTH_RADIUS_KM = 6371;
+
+// Distancia en km entre dos puntos { lat, lon } (fórmula de haversine)
+export function haversineKm(a, b) {
+  const dLat = (b.lat - a.lat) * Math.PI / 180;
+  const dLon = (b.lon - a.lon) * Math.PI / 180;
+  const h =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(a.lat * Math.PI / 180) * Math.cos(b.lat * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+// Área (con signo) y momentos de un anillo, para polygonCentroid()
+function ringMoments(ring) {
+  let area = 0;
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x0, y0] = ring[i];
+    const [x1, y1] = ring[i + 1];
+    const cross = x0 * y1 - x1 * y0;
+    area += cross / 2;
+    x += ((x0 + x1) * cross) / 6;
+    y += ((y0 + y1) * cross) / 6;
+  }
+  return { area, x, y };
+}
+
+// Centroide [lon, lat] de una geometría GeoJSON. Para polígonos es el
+// centroide ponderado por área en coordenadas lon/lat (como `centroid`
+// de shapely en el notebook); los huecos restan. null si no hay geometría.
+export function polygonCentroid(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') return geometry.coordinates;
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates
+    : [];
+
+  let area = 0;
+  let x = 0;
+  let y = 0;
+  for (const rings of polygons) {
+    rings.forEach((ring, i) => {
+      const moments = ringMoments(ring);
+      // El anillo exterior suma y los huecos restan, sin importar la orientación
+      const sign = (i === 0 ? 1 : -1) * Math.sign(moments.area);
+      area += sign * moments.area;
+      x += sign * moments.x;
+      y += sign * moments.y;
+    });
+  }
+
+  if (area) return [x / area, y / area];
+
+  // Polígono degenerado: promedio de los vértices
+  const points = polygons.flat(2);
+  if (!points.length) return null;
+  return [
+    points.reduce((acc, p) => acc + p[0], 0) / points.length,
+    points.reduce((acc, p) => acc + p[1], 0) / points.length,
+  ];
+}
+
+// ------------------------------
+// Simplificación de contornos (mapa base offline)
+// ------------------------------
+
+// Distancia al cuadrado del punto p al segmento a-b (en grados: para
+// simplificar contornos no hace falta proyectar)
+function segmentDistanceSq([x, y], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSq)) : 0;
+  const px = ax + t * dx - x;
+  const py = ay + t * dy - y;
+  return px * px + py * py;
+}
+
+// Douglas-Peucker: quita los vértices a menos de `tolerance` (grados) de
+// la línea simplificada. Conserva el primer y el último punto.
+export function simplifyLine(points, tolerance) {
+  if (points.length <= 2) return points;
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const toleranceSq = tolerance * tolerance;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistanceSq(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > toleranceSq) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+// Polygon o MultiPolygon simplificado y con coordenadas redondeadas a
+// `digits` decimales. Los anillos que quedan con menos de 4 puntos se
+// descartan (y el polígono, si es el exterior). null si no queda nada.
+export function simplifyGeometry(geometry, tolerance, digits = 5) {
+  const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+    : geometry?.type === 'MultiPolygon' ? geometry.coordinates
+    : [];
+  const factor = 10 ** digits;
+  const round = ([x, y]) => [Math.round(x * factor) / factor, Math.round(y * factor) / factor];
+
+  const simplified = [];
+  for (const rings of polygons) {
+    const [outer, ...holes] = rings.map((ring) => simplifyLine(ring, tolerance).map(round));
+    if (!outer || outer.length < 4) continue;
+    simplified.push([outer, ...holes.filter((ring) => ring.length >= 4)]);
+  }
+
+  if (!simplified.length) return null;
+  return simplified.length === 1
+    ? { type: 'Polygon', coordinates: simplified[0] }
+    : { type: 'MultiPolygon', coordinates: simplified };
+}
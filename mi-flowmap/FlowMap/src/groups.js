@@ -0,0 +1,130 @@
+import { readTable } from './csv.js';
+import { computeLocationTotals } from './stats.js';
+
+// ------------------------------
+// 🧩 AGRUPACIÓN DE UBICACIONES (comuna → región)
+// ------------------------------
+// El archivo de grupos es un CSV id,group,group_name. Con él se arman
+// niveles de clustering para FlowmapLayer: a zoom bajo se ven los grupos
+// y al acercarse las comunas.
+
+export const GROUP_SCHEMA = {
+  id: { type: 'string', required: true, aliases: ['comuna', 'location'] },
+  group: { type: 'string', required: true, aliases: ['region', 'codigo_region', 'grupo'] },
+  group_name: { type: 'string', aliases: ['region_name', 'nombre_region', 'nombre_grupo'] },
+};
+
+// Prefijo de los IDs de grupo, para que no choquen con IDs de comuna
+const GROUP_PREFIX = 'grupo:';
+
+// Zoom máximo en el que se muestran los grupos (desde el siguiente, comunas)
+export const DEFAULT_GROUP_MAX_ZOOM = 7;
+
+export async function loadGroups(url) {
+  console.log(`🧩 Cargando grupos: ${url}`);
+  const text = await fetch(url).then((r) => {
+    if (!r.ok) throw new Error(`No se pudo cargar ${url}`);
+    return r.text();
+  });
+
+  const { records, rejected } = readTable(text, GROUP_SCHEMA, { file: url.split('/').pop() });
+  if (rejected.length) console.warn(`⚠️ ${rejected.length} filas de grupos rechazadas`, rejected);
+
+  // Map id comuna -> { id, name } del grupo
+  return new Map(records.map((r) => [r.id, {
+    id: `${GROUP_PREFIX}${r.group}`,
+    name: r.group_name || r.group,
+  }]));
+}
+
+export function isGroupId(id) {
+  return typeof id === 'string' && id.startsWith(GROUP_PREFIX);
+}
+
+// Arma los niveles de clustering:
+// - nivel `groupMaxZoom`: un nodo por grupo (centroide ponderado por el
+//   volumen de flujos de sus comunas) + comunas sin grupo
+// - nivel `groupMaxZoom + 1`: todas las comunas
+// Devuelve también la información de cada grupo (nombre y miembros).
+export function buildGroupClusterLevels(locations, flows, groups, groupMaxZoom = DEFAULT_GROUP_MAX_ZOOM) {
+  const totals = computeLocationTotals(flows);
+  const weightOf = (id) => {
+    const t = totals.get(id);
+    return t ? t.inflow + t.outflow + t.internal : 0;
+  };
+
+  const groupInfo = new Map();
+  const ungrouped = [];
+
+  for (const loc of locations) {
+    const group = groups.get(loc.id);
+    if (!group) {
+      ungrouped.push(loc);
+      continue;
+    }
+    let info = groupInfo.get(group.id);
+    if (!info) {
+      info = { id: group.id, name: group.name, members: [], weight: 0, lat: 0, lon: 0 };
+      groupInfo.set(group.id, info);
+    }
+    info.members.push(loc);
+  }
+
+  for (const info of groupInfo.values()) {
+    const weights = info.members.map((loc) => weightOf(loc.id));
+    info.weight = weights.reduce((a, b) => a + b, 0);
+
+    // Sin flujos: centroide simple
+    const w = info.weight ? weights : info.members.map(() => 1);
+    const sum = w.reduce((a, b) => a + b, 0);
+    info.lat = info.members.reduce((acc, loc, i) => acc + loc.lat * w[i], 0) / sum;
+    info.lon = info.members.reduce((acc, loc, i) => acc + loc.lon * w[i], 0) / sum;
+
+    // Miembros ordenados por volumen (para tooltips)
+    info.members = info.members
+      .map((loc, i) => ({ id: loc.id, name: loc.name || loc.id, weight: weights[i] }))
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  const locationNode = (loc, zoom) => ({ id: loc.id, zoom, lat: loc.lat, lon: loc.lon });
+
+  const clusterLevels = [
+    {
+      zoom: groupMaxZoom,
+      nodes: [
+        ...[...groupInfo.values()].map((info) => ({
+          id: info.id,
+          zoom: groupMaxZoom,
+          lat: info.lat,
+          lon: info.lon,
+          name: info.name,
+          children: info.members.map((m) => m.id),
+        })),
+        ...ungrouped.map((loc) => locationNode(loc, groupMaxZoom)),
+      ],
+    },
+    {
+      zoom: groupMaxZoom + 1,
+      nodes: locations.map((loc) => locationNode(loc, groupMaxZoom + 1)),
+    },
+  ];
+
+  return { clusterLevels, groupInfo };
+}
+
+// Agrega flujos al nivel de grupo (las comunas sin grupo quedan igual)
+export function aggregateFlowsByGroup(flows, groups) {
+  const groupOf = (id) => groups.get(id)?.id || id;
+  const aggregated = new Map();
+
+  for (const flow of flows) {
+    const origin = groupOf(flow.origin);
+    const dest = groupOf(flow.dest);
+    const key = `${origin}\u0000${dest}`;
+    const existing = aggregated.get(key);
+    if (existing) existing.count += flow.count;
+    else aggregated.set(key, { origin, dest, count: flow.count });
+  }
+
+  return [...aggregated.values()];
+}
@@ -0,0 +1,10 @@
+// ------------------------------
+// Utilidades HTML
+// ------------------------------
+
+// Escapa texto para insertarlo en plantillas innerHTML
+export function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[c]);
+}
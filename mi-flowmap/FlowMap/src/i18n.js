@@ -0,0 +1,76 @@
+import { setNumberLocale, formatNumber } from './format.js';
+
+// ------------------------------
+// 🌐 IDIOMAS
+// ------------------------------
+// Cada archivo de src/locales/ es un catálogo:
+//   export default { locale: 'en', name: 'English', messages: { 'clave': 'texto {param}' } }
+// Agregar un idioma es agregar un archivo; aparece solo en el selector del
+// panel y en el parámetro `lang`. Una clave que falta en un catálogo se
+// muestra en el idioma por defecto.
+//
+// Los parámetros numéricos se formatean con formatNumber (según el idioma).
+// Un mensaje puede tener formas según {count}: { one: '1 flujo', other: '{count} flujos' }
+// (categorías de Intl.PluralRules).
+
+export const DEFAULT_LOCALE = 'es-CL';
+
+const CATALOGS = Object.fromEntries(
+  Object.values(import.meta.glob('./locales/*.js', { eager: true }))
+    .map(({ default: catalog }) => [catalog.locale, catalog])
+);
+
+let current = CATALOGS[DEFAULT_LOCALE];
+let pluralRules = new Intl.PluralRules(current.locale);
+
+// Catálogos disponibles: [{ id, name }], el idioma por defecto primero
+export function getLocales() {
+  return Object.values(CATALOGS)
+    .map(({ locale, name }) => ({ id: locale, name }))
+    .sort((a, b) => (b.id === DEFAULT_LOCALE) - (a.id === DEFAULT_LOCALE) || a.name.localeCompare(b.name));
+}
+
+// 'en-US' -> 'en', 'es' -> 'es-CL'; acepta una lista (navigator.languages)
+// y devuelve el primero que tenga catálogo, o null
+export function resolveLocale(requested) {
+  const ids = Object.keys(CATALOGS);
+  for (const value of [].concat(requested || [])) {
+    const wanted = value.toLowerCase();
+    const language = wanted.split('-')[0];
+    const match = ids.find((id) => id.toLowerCase() === wanted)
+      || ids.find((id) => id.toLowerCase() === language)
+      || ids.find((id) => id.toLowerCase().split('-')[0] === language);
+    if (match) return match;
+  }
+  return null;
+}
+
+// Cambia el idioma de los textos y de los números. Devuelve el locale usado.
+export function setLocale(requested) {
+  current = CATALOGS[resolveLocale(requested) || DEFAULT_LOCALE];
+  pluralRules = new Intl.PluralRules(current.locale);
+  setNumberLocale(current.locale);
+  document.documentElement.lang = current.locale;
+  return current.locale;
+}
+
+export function getLocale() {
+  return current.locale;
+}
+
+// Texto de `key` con los {parámetros} reemplazados
+export function t(key, params = {}) {
+  let message = current.messages[key] ?? CATALOGS[DEFAULT_LOCALE].messages[key];
+  if (message === undefined) {
+    console.warn(`⚠️ Texto sin traducción: ${key}`);
+    return key;
+  }
+  if (typeof message === 'object') {
+    message = message[pluralRules.select(params.count)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
@@ -0,0 +1,94 @@
+import { escapeHTML } from './html.js';
+import { formatNumber, formatSigned } from './format.js';
+import { t } from './i18n.js';
+
+// ------------------------------
+// 🏷️ PANEL DE LEYENDA
+// ------------------------------
+// Panel fijo abajo a la derecha con las escalas de color y los tamaños
+// de ejemplo de la vista actual (ver legend.js).
+
+const PANEL_ID = 'legend-panel';
+
+function renderScale(item) {
+  const maxLabel = item.diverging ? formatSigned(item.max) : formatNumber(item.max);
+  return `
+    <div style="margin-bottom: 10px;">
+      <div style="font-weight: bold; margin-bottom: 4px;">${escapeHTML(item.title)}</div>
+      <div style="height: 10px; border-radius: 2px; background: linear-gradient(to right, ${item.colors.join(', ')});"></div>
+      <div style="display: flex; justify-content: space-between; font-size: 11px; opacity: 0.8; margin-top: 2px;">
+        <span>${formatNumber(item.min)}</span>
+        ${item.diverging ? '<span>0</span>' : ''}
+        <span>${maxLabel}</span>
+      </div>
+    </div>
+  `;
+}
+
+function renderSizes(item, darkMode) {
+  const stroke = darkMode ? '#ddd' : '#555';
+
+  const rows = item.samples.map(({ value, size, color }) => {
+    const shape = item.shape === 'line'
+      ? `<svg width="50" height="${Math.max(size, 1) + 4}">
+           <line x1="2" x2="48" y1="50%" y2="50%" stroke="${color}" stroke-width="${Math.max(size, 1)}" stroke-linecap="round"/>
+         </svg>`
+      : `<svg width="${size * 2 + 4}" height="${size * 2 + 4}">
+           <circle cx="${size + 2}" cy="${size + 2}" r="${size}" fill="${color}" stroke="${stroke}" stroke-width="1"/>
+         </svg>`;
+    return `
+      <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 2px;">
+        <div style="width: 50px; display: flex; justify-content: center;">${shape}</div>
+        <span>${formatNumber(value)}</span>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div style="margin-bottom: 10px;">
+      <div style="font-weight: bold; margin-bottom: 4px;">${escapeHTML(item.title)}</div>
+      ${rows}
+    </div>
+  `;
+}
+
+// legend: lista de elementos (ver legend.js)
+export function showLegendPanel(legend, { darkMode }) {
+  let panel = document.getElementById(PANEL_ID);
+
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = PANEL_ID;
+    document.getElementById('app').appendChild(panel);
+  }
+
+  panel.style.cssText = `
+    position: absolute;
+    bottom: 10px;
+    right: 10px;
+    min-width: 180px;
+    max-height: 40vh;
+    overflow-y: auto;
+    background: ${darkMode ? 'rgba(20, 20, 20, 0.85)' : 'rgba(255, 255, 255, 0.95)'};
+    color: ${darkMode ? '#eee' : '#333'};
+    padding: 10px 12px;
+    border-radius: 8px;
+    z-index: 900;
+    font-family: Arial, sans-serif;
+    font-size: 12px;
+    box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+  `;
+
+  const wasOpen = panel.querySelector('details')?.open ?? true;
+
+  panel.innerHTML = `
+    <details ${wasOpen ? 'open' : ''}>
+      <summary style="cursor: pointer; font-weight: bold; margin-bottom: 8px;">🏷️ ${t('legend.title')}</summary>
+      ${legend.map((item) => (item.type === 'sizes' ? renderSizes(item, darkMode) : renderScale(item))).join('')}
+    </details>
+  `;
+}
+
+export function hideLegendPanel() {
+  document.getElementById(PANEL_ID)?.remove();
+}
@@ -0,0 +1,128 @@
+import { scaleLinear } from 'd3-scale';
+import { getColors, getColorsRGBA, getDiffColorsRGBA, getFlowColorScale } from '@flowmap.gl/data';
+import { getMagnitudeExtent } from './stats.js';
+
+// ------------------------------
+// 🏷️ LEYENDAS
+// ------------------------------
+// Una leyenda es una lista de elementos de dos tipos:
+// - escala de color: { type: 'scale', title, min, max, colors: ['rgba(...)', ...], diverging }
+// - tamaños de ejemplo: { type: 'sizes', shape: 'line' | 'circle', title,
+//                         samples: [{ value, size, color }] }
+// Se muestran en el panel de leyenda (legend-panel.js) y en el PNG exportado.
+
+const LEGEND_STEPS = 10;
+
+// Escala de grosor de FlowmapLayer: lineal de 0 a la magnitud máxima,
+// en unidades de `thicknessUnit` (12 px, duplicado en el shader de líneas)
+const FLOW_THICKNESS_RANGE = [0.025, 0.5];
+const FLOW_THICKNESS_UNIT_PX = 24;
+
+// Radio máximo de los círculos de FlowmapLayer (escala raíz cuadrada)
+const MAX_LOCATION_CIRCLE_PX = 17;
+
+// Grosor en píxeles de una línea de flujo de valor `value` (absoluto)
+export function flowLineWidth(value, max) {
+  const [minWidth, maxWidth] = FLOW_THICKNESS_RANGE;
+  return (minWidth + (maxWidth - minWidth) * (Math.abs(value) / max)) * FLOW_THICKNESS_UNIT_PX;
+}
+
+// Radio en píxeles del círculo de una comuna con `value` personas
+export function locationCircleRadius(value, max) {
+  return Math.sqrt(value / max) * MAX_LOCATION_CIRCLE_PX;
+}
+
+// [r, g, b, a] (0-255) -> color CSS
+const toCSS = ([r, g, b, a = 255]) => `rgba(${r}, ${g}, ${b}, ${(a / 255).toFixed(2)})`;
+
+// Muestrea una escala value -> [r, g, b, a] entre min y max
+function sampleColors(colorScale, min, max) {
+  return Array.from({ length: LEGEND_STEPS + 1 }, (_, i) =>
+    toCSS(colorScale(min + ((max - min) * i) / LEGEND_STEPS))
+  );
+}
+
+// Valores de ejemplo "redondos" entre 0 y max (hasta 3)
+function sampleValues(max) {
+  return scaleLinear().domain([0, max]).ticks(3).filter((v) => v > 0).slice(-3);
+}
+
+// Escala de color de los flujos, la misma que usa FlowmapLayer (también
+// la usan los arcos y haces de flow-lines.js).
+// Con magnitudes negativas (comparación) FlowmapLayer usa su paleta de
+// diferencias: una escala para los aumentos y otra para las bajas.
+export function createFlowColorScale([min, max], { colorScheme, darkMode, animate = false }) {
+  const diffMode = min < 0;
+  const colors = getColors(diffMode, colorScheme, darkMode, true, false, 50, animate);
+  return getFlowColorScale(diffMode ? getDiffColorsRGBA(colors) : getColorsRGBA(colors), [min, max], animate);
+}
+
+export function createFlowLegend(flows, options) {
+  const [, max] = getMagnitudeExtent(flows);
+  const colorScale = createFlowColorScale([0, max], options);
+
+  return {
+    type: 'scale',
+    title: 'Personas por flujo',
+    min: 0,
+    max,
+    colors: sampleColors(colorScale, 0, max),
+    diverging: false,
+  };
+}
+
+// Cambio entre dos datasets: escala de las bajas (min < 0) a los aumentos
+export function createDiffLegend(flows, title, options) {
+  const [min, max] = getMagnitudeExtent(flows);
+  const colorScale = createFlowColorScale([min, max], options);
+
+  return { type: 'scale', title, min, max, colors: sampleColors(colorScale, min, max), diverging: true };
+}
+
+// Grosores de ejemplo de las líneas de flujo (según el valor absoluto).
+// `options.title` reemplaza el título por defecto.
+export function createThicknessLegend(flows, options) {
+  const extent = getMagnitudeExtent(flows);
+  const max = Math.max(-extent[0], extent[1]);
+  if (!max) return null;
+
+  const colorScale = createFlowColorScale(extent, options);
+
+  return {
+    type: 'sizes',
+    shape: 'line',
+    title: options.title || 'Grosor (personas)',
+    samples: sampleValues(max).map((value) => ({
+      value,
+      size: flowLineWidth(value, max),
+      color: toCSS(colorScale(value)),
+    })),
+  };
+}
+
+// Círculos de ejemplo. `radiusFor` convierte un valor en radio en píxeles;
+// por defecto, la escala de FlowmapLayer (raíz cuadrada hasta 17 px).
+export function createCircleLegend(title, max, {
+  radiusFor = (value) => locationCircleRadius(value, max),
+  color = 'none',
+} = {}) {
+  if (!max) return null;
+
+  return {
+    type: 'sizes',
+    shape: 'circle',
+    title,
+    samples: sampleValues(max).map((value) => ({ value, size: radiusFor(value), color })),
+  };
+}
+
+// Escala genérica (coropleta, saldo neto). Las divergentes van de -max a +max.
+export function createScaleLegend(title, min, max, colorScale, { diverging = false } = {}) {
+  if (diverging) {
+    const maxAbs = Math.max(Math.abs(min), Math.abs(max));
+    return {
+      type: 'scale', title, min: -maxAbs, max: maxAbs, colors: sampleColors(colorScale, -maxAbs, maxAbs), diverging,
+    };
+  }
+  return { type: 'scale', title, min, max, colors: sampleColors(colorScale, min, max), diverging };
+}
@@ -0,0 +1,263 @@
+import { parseCSV, readRows } from './csv.js';
+import { polygonCentroid } from './geo.js';
+
+// ------------------------------
+// 📦 FORMATOS DE ENTRADA
+// ------------------------------
+// Cada loader convierte el contenido de un archivo en una tabla
+// { header, rows: [{ line, values }] } que se valida con los mismos esquemas
+// que el CSV (readRows de csv.js). Formatos incluidos:
+// - csv
+// - json: arreglo de objetos (o un GeoJSON, que se lee como geojson)
+// - geojson: una fila por feature, con sus properties más lat/lon del punto
+//   (o del centroide, si es un polígono)
+// - arrow: Apache Arrow IPC (archivo o stream)
+// - parquet: columnas planas, sin compresión o con snappy (lo que escriben
+//   pandas y dask por defecto)
+// En JSON, Arrow y Parquet los números llegan tipados: no pasan por texto.
+//
+// El formato se detecta por la extensión, el Content-Type o los primeros
+// bytes del archivo; una entrada de catálogo puede fijarlo con "formats".
+// Otros formatos se agregan con registerLoader().
+
+const textDecoder = new TextDecoder();
+
+const startsWithText = (bytes, text) => [...text].every((char, i) => bytes[i] === char.charCodeAt(0));
+
+// Primer carácter ASCII que no es espacio (salta el BOM, para reconocer JSON)
+function firstChar(bytes) {
+  const limit = Math.min(bytes.length, 1024);
+  for (let i = 0; i < limit; i++) {
+    const char = String.fromCharCode(bytes[i]);
+    if (bytes[i] < 0x80 && char.trim()) return char;
+  }
+  return '';
+}
+
+// Tabla a partir de objetos: columnas en el orden en que aparecen
+function tableFromObjects(objects) {
+  const header = [];
+  const seen = new Set();
+  for (const object of objects) {
+    for (const key of Object.keys(object)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        header.push(key);
+      }
+    }
+  }
+  const rows = objects.map((object, i) => ({
+    line: i + 1,
+    values: header.map((key) => object[key]),
+  }));
+  return { header, rows };
+}
+
+function readCSVTable(bytes) {
+  const [headerRow, ...rows] = parseCSV(textDecoder.decode(bytes));
+  if (!headerRow) return { header: [], rows: [] };
+  return { header: headerRow.values, rows };
+}
+
+// FeatureCollection -> una fila por feature. `line` es el número de feature.
+function readGeoJSONObject(geojson) {
+  if (geojson?.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error('se esperaba una FeatureCollection');
+  }
+  const objects = geojson.features.map((feature) => {
+    const coordinates = polygonCentroid(feature.geometry);
+    // Primero las coordenadas de la geometría, para que ganen a columnas
+    // como "latitud" de las properties
+    const object = { lon: coordinates ? coordinates[0] : null, lat: coordinates ? coordinates[1] : null };
+    for (const [key, value] of Object.entries(feature.properties || {})) {
+      if (!(key in object)) object[key] = value;
+    }
+    // El id del feature, al final: solo se usa si ninguna property sirve de id
+    if (feature.id !== undefined && !('id' in object)) object.id = feature.id;
+    return object;
+  });
+  return tableFromObjects(objects);
+}
+
+function readGeoJSON(bytes) {
+  return readGeoJSONObject(JSON.parse(textDecoder.decode(bytes)));
+}
+
+function readJSON(bytes) {
+  const json = JSON.parse(textDecoder.decode(bytes));
+  if (json?.type === 'FeatureCollection') return readGeoJSONObject(json);
+  if (!Array.isArray(json)) throw new Error('se esperaba un arreglo de objetos');
+  if (json.some((item) => !item || typeof item !== 'object' || Array.isArray(item))) {
+    throw new Error('cada elemento del arreglo debe ser un objeto');
+  }
+  return tableFromObjects(json);
+}
+
+// Las librerías de Arrow y Parquet se cargan solo cuando se usan
+async function readArrow(bytes) {
+  const { tableFromIPC } = await import('apache-arrow');
+  const table = tableFromIPC(bytes);
+  const header = table.schema.fields.map((field) => field.name);
+  const columns = header.map((_, i) => table.getChildAt(i));
+
+  const rows = new Array(table.numRows);
+  for (let row = 0; row < table.numRows; row++) {
+    rows[row] = { line: row + 1, values: columns.map((column) => column.get(row)) };
+  }
+  return { header, rows };
+}
+
+async function readParquet(bytes) {
+  const { parquetMetadata, parquetSchema, parquetRead } = await import('hyparquet');
+  const file = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  const metadata = parquetMetadata(file);
+  const header = parquetSchema(metadata).children.map((child) => child.element.name);
+
+  const values = await new Promise((resolve, reject) => {
+    parquetRead({ file, metadata, onComplete: resolve }).catch(reject);
+  });
+  return { header, rows: values.map((row, i) => ({ line: i + 1, values: row })) };
+}
+
+// Orden de prueba para la detección por contenido (el más específico primero)
+const LOADERS = [
+  {
+    id: 'parquet',
+    extensions: ['parquet', 'pq'],
+    contentTypes: ['application/vnd.apache.parquet', 'application/x-parquet'],
+    test: (bytes) => startsWithText(bytes, 'PAR1'),
+    read: readParquet,
+  },
+  {
+    id: 'arrow',
+    extensions: ['arrow', 'arrows', 'feather', 'ipc'],
+    contentTypes: ['application/vnd.apache.arrow.file', 'application/vnd.apache.arrow.stream'],
+    // Archivo ("ARROW1") o stream (marca de continuación 0xFFFFFFFF)
+    test: (bytes) => startsWithText(bytes, 'ARROW1') || bytes.slice(0, 4).every((b) => b === 0xff),
+    read: readArrow,
+  },
+  {
+    id: 'geojson',
+    extensions: ['geojson'],
+    contentTypes: ['application/geo+json'],
+    test: () => false,
+    read: readGeoJSON,
+  },
+  {
+    id: 'json',
+    extensions: ['json'],
+    contentTypes: ['application/json'],
+    test: (bytes) => ['[', '{'].includes(firstChar(bytes)),
+    read: readJSON,
+  },
+  {
+    id: 'csv',
+    extensions: ['csv', 'txt'],
+    contentTypes: ['text/csv'],
+    test: () => true,
+    read: readCSVTable,
+  },
+];
+
+// loader: { id, extensions, contentTypes, test(bytes), read(bytes) -> { header, rows } }
+// Los loaders registrados tienen prioridad sobre los incluidos.
+export function registerLoader(loader) {
+  LOADERS.unshift(loader);
+}
+
+export function getLoaderFormats() {
+  return [...new Set(LOADERS.map((loader) => loader.id))];
+}
+
+// Extensiones que reconoce algún loader (p. ej. para elegir archivos de un zip)
+export function getLoaderExtensions() {
+  return [...new Set(LOADERS.flatMap((loader) => loader.extensions))];
+}
+
+const extensionOf = (file) => file.split(/[?#]/)[0].split('.').pop().toLowerCase();
+
+// Nombre de archivo de una URL o de un File local
+export function fileNameOf(source) {
+  return typeof source === 'string' ? source.split(/[?#]/)[0].split('/').pop() : source.name || '';
+}
+
+// Formato de un archivo: explícito > extensión > Content-Type > contenido
+export function detectFormat({ file = '', contentType = '', bytes = new Uint8Array(), format } = {}) {
+  if (format) {
+    if (!LOADERS.some((loader) => loader.id === format)) {
+      throw new Error(`Formato desconocido: ${format} (${getLoaderFormats().join(', ')})`);
+    }
+    return format;
+  }
+
+  const extension = extensionOf(file);
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  const byExtension = LOADERS.find((loader) => loader.extensions.includes(extension));
+  const byContentType = LOADERS.find((loader) => loader.contentTypes.includes(mimeType));
+  const byContent = LOADERS.find((loader) => loader.test(bytes));
+  return (byExtension || byContentType || byContent).id;
+}
+
+// Lee el contenido de un archivo (ArrayBuffer o Uint8Array) con un esquema
+// de csv.js. Devuelve { format, header, records, rejected } como readTable.
+export async function parseTable(data, schema, { file = '', contentType, format, aliases } = {}) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const id = detectFormat({ file, contentType, bytes, format });
+  const loader = LOADERS.find((l) => l.id === id);
+
+  let table;
+  try {
+    table = await loader.read(bytes);
+  } catch (error) {
+    throw new Error(`${file || 'archivo'} (${id}): ${error.message}`);
+  }
+  if (!table.header.length) throw new Error(`${file || 'archivo'}: archivo vacío`);
+
+  return { format: id, ...readRows(table.header, table.rows, schema, { aliases, file }) };
+}
+
+// Solo el encabezado de un archivo (para elegir columnas antes de leerlo).
+// En CSV se parsea solo el comienzo del archivo.
+const HEADER_BYTES = 64 * 1024;
+
+export async function readTableHeader(data, { file = '', contentType, format } = {}) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const id = detectFormat({ file, contentType, bytes, format });
+
+  let header;
+  if (id === 'csv') {
+    header = parseCSV(textDecoder.decode(bytes.subarray(0, HEADER_BYTES)))[0]?.values || [];
+  } else {
+    try {
+      header = (await LOADERS.find((l) => l.id === id).read(bytes)).header;
+    } catch (error) {
+      throw new Error(`${file || 'archivo'} (${id}): ${error.message}`);
+    }
+  }
+  return { format: id, header: header.map((h) => String(h).trim()) };
+}
+
+// Descarga y lee una tabla (ver parseTable). `source` es una URL o un
+// File/Blob local (archivos soltados en el mapa), que se lee sin red.
+export async function loadTable(source, schema, { format, aliases } = {}) {
+  if (typeof source !== 'string') {
+    console.log(`📂 Leyendo archivo local: ${fileNameOf(source)}`);
+    return parseTable(await source.arrayBuffer(), schema, {
+      file: fileNameOf(source),
+      contentType: source.type || '',
+      format,
+      aliases,
+    });
+  }
+
+  console.log(`📂 Cargando archivo: ${source}`);
+  const response = await fetch(source);
+  if (!response.ok) throw new Error(`No se pudo cargar ${source}`);
+
+  return parseTable(await response.arrayBuffer(), schema, {
+    file: fileNameOf(source),
+    contentType: response.headers.get('content-type') || '',
+    format,
+    aliases,
+  });
+}
@@ -0,0 +1,110 @@
+import { LOCATION_SCHEMA, FLOW_SCHEMA, resolveColumns } from './csv.js';
+import { getLoaderExtensions, readTableHeader } from './loaders.js';
+import { isZip, readZip } from './zip.js';
+
+// ------------------------------
+// 📂 ARCHIVOS LOCALES
+// ------------------------------
+// Archivos soltados en el mapa (o elegidos con el botón del panel): un
+// archivo de comunas y uno de flujos, o un .zip con la carpeta del dataset.
+// Todo se lee en el navegador; los File se pasan tal cual a readDataset().
+//
+// Cuál es cuál se decide por las columnas (el que tiene origin,dest,count
+// son los flujos) y, si no alcanza, por el nombre del archivo.
+
+const NAME_HINTS = {
+  locations: /location|lugar|comuna|centroid|nodo|node|place/i,
+  flows: /flow|flujo|viaje|trip|matri[xz]|\bod\b/i,
+};
+
+export const LOCAL_SCHEMAS = { locations: LOCATION_SCHEMA, flows: FLOW_SCHEMA };
+
+const baseName = (path) => path.split('/').pop();
+
+// Archivos ocultos y los que agrega macOS al comprimir
+const isHidden = (path) => path.split('/').some((part) => part.startsWith('.') || part === '__MACOSX');
+
+// Los zip se abren y se toman sus archivos de tabla (en cualquier subcarpeta)
+async function expandFiles(files) {
+  const extensions = getLoaderExtensions();
+  const isTable = (name) => extensions.includes(name.split('.').pop().toLowerCase());
+
+  const expanded = [];
+  for (const file of files) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (!isZip(bytes)) {
+      expanded.push({ file, bytes });
+      continue;
+    }
+    console.log(`🗜️ Abriendo ${file.name}`);
+    for (const entry of readZip(bytes)) {
+      if (isHidden(entry.name) || !isTable(entry.name)) continue;
+      const data = await entry.read();
+      expanded.push({ file: new File([data], baseName(entry.name)), bytes: data });
+    }
+  }
+  return expanded;
+}
+
+// Puntaje de un archivo para un rol: columnas completas (2) y nombre (1)
+function score(candidate, kind) {
+  return (candidate.fit[kind].missing.length === 0 ? 2 : 0) + (NAME_HINTS[kind].test(candidate.file.name) ? 1 : 0);
+}
+
+function pickBest(candidates, kind) {
+  const ranked = candidates
+    .map((candidate) => ({ candidate, score: score(candidate, kind) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+  return ranked[0]?.candidate;
+}
+
+// files: File soltados. Devuelve { locations, flows }, cada uno
+// { file, format, header, columns: { campo: columna }, missing: [campos] }.
+// `missing` son los campos obligatorios sin columna: si hay alguno, hay
+// que preguntar con el diálogo de columnas (column-dialog.js).
+export async function findDatasetFiles(files) {
+  const candidates = [];
+  for (const { file, bytes } of await expandFiles(files)) {
+    const { format, header } = await readTableHeader(bytes, { file: file.name, contentType: file.type });
+    const fit = Object.fromEntries(Object.entries(LOCAL_SCHEMAS).map(([kind, schema]) => {
+      const { columns, missing } = resolveColumns(header, schema);
+      return [kind, { missing, columns: Object.fromEntries(Object.entries(columns).map(([field, i]) => [field, header[i]])) }];
+    }));
+    candidates.push({ file, format, header, fit });
+  }
+
+  // Primero los flujos (sus columnas son más específicas), después las comunas
+  let flows = pickBest(candidates, 'flows');
+  let locations = pickBest(candidates.filter((c) => c !== flows), 'locations');
+
+  // Dos archivos: el que queda es el otro (sin ninguna pista, en el orden
+  // en que llegaron; el diálogo de columnas muestra cuál quedó como cuál)
+  if (candidates.length === 2) {
+    if (!flows && !locations) [locations, flows] = candidates;
+    if (flows && !locations) locations = candidates.find((c) => c !== flows);
+    if (locations && !flows) flows = candidates.find((c) => c !== locations);
+  }
+  if (!locations || !flows) {
+    throw new Error(`se necesita un archivo de comunas y uno de flujos (${candidates.length} archivo(s) de tabla)`);
+  }
+
+  const describe = ({ file, format, header, fit }, kind) => ({ file, format, header, ...fit[kind] });
+  return { locations: describe(locations, 'locations'), flows: describe(flows, 'flows') };
+}
+
+// Dataset para loadDataset() a partir de findDatasetFiles() y de las
+// columnas elegidas ({ locations: { campo: columna }, flows: {...} })
+export function createLocalDataset({ locations, flows }, columns = {}) {
+  return {
+    id: 'local',
+    title: `${locations.file.name} + ${flows.file.name}`,
+    description: '',
+    threshold: null,
+    local: true,
+    locationsFile: locations.file,
+    flowsFile: flows.file,
+    formats: { locations: locations.format, flows: flows.format },
+    columns: { locations: columns.locations || {}, flows: columns.flows || {} },
+  };
+}
@@ -0,0 +1,264 @@
+// English
+export default {
+  locale: 'en',
+  name: 'English',
+  messages: {
+    'app.title': 'Flowmap Visualization',
+
+    // Panel de controles
+    'controls.heading': 'Active Controls',
+    'controls.status': 'Status',
+    'controls.language': 'Language',
+    'controls.dataset': 'Dataset',
+    'controls.compare': 'Compare with',
+    'controls.basemap': 'Basemap',
+    'controls.mode': 'Mode',
+    'controls.renderer': 'Flow drawing',
+    'controls.arcHeight': 'Arc height',
+    'controls.metric': 'Metric',
+    'controls.level': 'Level',
+    'controls.choropleth': 'Choropleth',
+    'controls.opacity': 'Opacity',
+    'controls.maxFlows': 'Max. flows drawn',
+    'controls.animation': 'Animation',
+    'controls.points': 'Show Points',
+    'controls.presets': 'Presets and link',
+    'controls.export': 'Export',
+    'controls.apply': 'Apply Changes',
+    'controls.reset': 'Reset',
+
+    'info.locations': 'Locations',
+    'info.flows': 'Flows',
+    'info.flowsOf': '{shown} of {total}',
+    'info.opacity': 'Current opacity',
+
+    'mode.gross': 'Gross flows',
+    'mode.net': 'Net balance',
+
+    'renderer.flowmap': 'Flowmap (animated)',
+    'renderer.arcs': '3D arcs',
+    'renderer.bundled': 'Bundles (edge bundling)',
+    'renderer.bundledNote': 'Bundles show only the {count} largest flows.',
+
+    'arcHeight.distance': 'By distance',
+    'arcHeight.count': 'By people',
+
+    'metric.count': 'People',
+    'metric.rate': 'Rate per 1,000 pop. (origin)',
+    'metric.originShare': '% of origin outflows',
+    'metric.destShare': '% of destination inflows',
+    'metric.unavailable': 'no population column',
+    'metric.noPopulation': 'The dataset has no population column.',
+    'metric.grossOnly': 'Only applies to gross flows without comparison.',
+    'metric.populationColumn': 'Population: column "{column}".',
+
+    'level.auto': 'Automatic (by zoom)',
+    'level.group': 'Regions',
+    'level.location': 'Communes',
+
+    'choropleth.none': 'None',
+    'choropleth.inflow': 'Inflows',
+    'choropleth.outflow': 'Outflows',
+    'choropleth.net': 'Net balance',
+
+    'basemap.dark': 'Dark (CARTO)',
+    'basemap.light': 'Light (CARTO)',
+    'basemap.offline': 'Offline (local outlines)',
+    'basemap.none': 'No basemap',
+    'basemap.custom': 'Custom',
+    'basemap.template': 'Custom tile template…',
+    'basemap.prompt': 'Tile URL (with {z}, {x} and {y}):',
+    'basemap.invalid': 'The URL must start with http(s) and include {z}, {x} and {y}',
+
+    'compare.none': 'No comparison',
+    'compare.diff': 'Difference',
+    'compare.side': 'Side by side',
+    'compare.absolute': 'Δ people',
+    'compare.percent': 'Δ %',
+
+    'dataset.default': 'Default',
+    'dataset.custom': 'Custom (URL)',
+    'dataset.compareCustom': 'Comparison (URL)',
+
+    'filters.title': 'Filters',
+    'filters.minCount': 'Minimum people per flow',
+    'filters.distance': 'Distance (km)',
+    'filters.min': 'min',
+    'filters.max': 'max',
+    'filters.topN': 'Show only the N largest flows',
+    'filters.all': 'all',
+    'filters.origins': 'Origins (Ctrl/Cmd + click for several)',
+    'filters.destinations': 'Destinations',
+    'filters.summary': '{flows} flows',
+    'filters.clear': 'Clear filters',
+
+    'presets.empty': 'No saved presets',
+    'presets.apply': 'Apply',
+    'presets.delete': 'Delete preset',
+    'presets.confirmDelete': 'Delete the preset "{name}"?',
+    'presets.name': 'Preset name',
+    'presets.save': 'Save',
+    'presets.share': 'Copy link to share',
+    'presets.copyPrompt': 'Copy this link:',
+
+    'export.resolution': 'PNG resolution',
+    'export.visibleData': 'Visible data (filters and selection)',
+    'export.flowsCsv': 'Flows CSV',
+    'export.locationsCsv': 'Communes CSV',
+    'export.video': 'Animation video (WebM)',
+    'export.duration': 'Duration',
+    'export.fps': 'Frames per second',
+    'export.record': 'Record',
+    'export.cancel': 'Cancel',
+    'export.videoUnsupported': 'This browser cannot record video (WebCodecs required).',
+    'export.sourceNote': 'Source: {source} · {dataset}',
+
+    'rejected.summary': { one: '1 rejected row', other: '{count} rejected rows' },
+    'rejected.download': 'Download report',
+
+    'diagnostics.summary': { one: '1 data issue', other: '{count} data issues' },
+    'diagnostics.unknownIds': 'Flows with unknown IDs',
+    'diagnostics.duplicatePairs': 'Repeated origin-destination pairs',
+    'diagnostics.selfFlows': 'Self-flows (origin = destination)',
+    'diagnostics.nonPositiveCounts': 'Flows with zero or negative count',
+    'diagnostics.unusedLocations': 'Locations without flows',
+    'diagnostics.duplicateLocations': 'Repeated location IDs',
+    'diagnostics.outsideChile': 'Coordinates outside continental Chile',
+    'diagnostics.download': 'Download list',
+    'diagnostics.note': 'Files are checked as they come, before filtering.',
+
+    'local.open': 'Open local files…',
+    'local.hint': 'Or drop them on the map: locations and flows, or a .zip with the folder. They are read in your browser; nothing is uploaded.',
+    'local.drop': 'Drop the locations and flows files (or a .zip) to load them',
+
+    'columns.title': 'File columns',
+    'columns.intro': 'Not all columns were recognized. Choose which one to use for each field (* required).',
+    'columns.locations': 'Locations',
+    'columns.flows': 'Flows',
+    'columns.id': 'identifier',
+    'columns.lat': 'latitude',
+    'columns.lon': 'longitude',
+    'columns.name': 'name',
+    'columns.origin': 'origin ID',
+    'columns.dest': 'destination ID',
+    'columns.count': 'people',
+    'columns.none': '(none)',
+    'columns.cancel': 'Cancel',
+    'columns.load': 'Load',
+
+    'search.placeholder': 'Search commune…',
+    'search.noResults': 'No results',
+
+    // Mensajes de estado
+    'status.ready': 'Ready',
+    'status.loading': 'Loading {title}...',
+    'status.error': 'Error: {message}',
+    'status.datasetLoaded': 'Dataset loaded ✓',
+    'status.readingFiles': 'Reading local files...',
+    'status.localCancelled': 'Loading cancelled',
+    'status.compareReady': 'Comparison ready ✓',
+    'status.sideView': 'Side-by-side view',
+    'status.diffView': 'Difference view',
+    'status.offlineBasemap': 'Offline: local basemap',
+    'status.exportingPng': 'Generating PNG...',
+    'status.pngExported': 'PNG exported ✓',
+    'status.flowsCsvExported': 'Flows CSV exported ✓',
+    'status.locationsCsvExported': 'Communes CSV exported ✓',
+    'status.geojsonExported': 'GeoJSON exported ✓',
+    'status.recording': 'Recording video... {percent}',
+    'status.videoExported': 'Video exported ✓',
+    'status.recordingCancelled': 'Recording cancelled',
+    'status.grossMode': 'Gross flows mode',
+    'status.netMode': 'Net balance mode',
+    'status.opacity': 'Opacity updated',
+    'status.maxFlows': 'Max. flows updated',
+    'status.animationOn': 'Animation on',
+    'status.animationOff': 'Animation off',
+    'status.pointsOn': 'Points shown',
+    'status.pointsOff': 'Points hidden',
+    'status.applied': 'All changes applied ✓',
+    'status.reset': 'Settings reset ✓',
+    'status.applyingPreset': 'Applying {name}...',
+    'status.presetApplied': 'Preset "{name}" applied ✓',
+    'status.presetDeleted': 'Preset "{name}" deleted',
+    'status.presetNameMissing': 'Enter a name for the preset',
+    'status.presetSaved': 'Preset "{name}" saved ✓',
+    'status.linkCopied': 'Link copied ✓',
+    'status.language': 'Language: {name}',
+    'status.renderer': 'Flows: {name}',
+    'status.bundling': 'Computing bundles...',
+    'status.bundled': 'Bundles ready ✓',
+
+    // Tooltip del mapa
+    'tooltip.id': 'ID',
+    'tooltip.groupMembers': { one: '1 commune:', other: '{count} communes:' },
+    'tooltip.andMore': 'and {count} more',
+    'tooltip.noData': 'no data',
+    'tooltip.inflow': 'Inflow',
+    'tooltip.outflow': 'Outflow',
+    'tooltip.netBalance': 'Net balance',
+    'tooltip.change': 'Change',
+    'tooltip.netTitle': 'Net Migration',
+    'tooltip.net': 'Net',
+    'tooltip.netToward': '{count} toward {name}',
+    'tooltip.flowTitle': 'Migration Flow',
+    'tooltip.persons': 'People',
+    'tooltip.origin': 'Origin',
+    'tooltip.destination': 'Destination',
+    'tooltip.new': 'new',
+
+    // Leyenda
+    'legend.title': 'Legend',
+    'legend.persons': 'people',
+    'legend.diff': 'Change B − A ({unit})',
+    'legend.diffThickness': 'Thickness (|change|, {unit})',
+    'legend.flowPersons': 'People per flow',
+    'legend.thickness': 'Thickness (people)',
+    'legend.thicknessOf': 'Thickness ({label})',
+    'legend.circles': 'Circles (inflows or outflows)',
+    'legend.net': 'Net balance',
+    'legend.netCircles': 'Circles (net balance, absolute value)',
+
+    // Panel de la comuna en foco
+    'location.close': 'Close (Esc)',
+    'location.inflow': 'Inflow',
+    'location.outflow': 'Outflow',
+    'location.net': 'Net',
+    'location.internal': 'Internal flow (not included in the balance): {count}',
+    'location.topOrigins': 'Top origins',
+    'location.topDestinations': 'Top destinations',
+    'location.noFlows': 'No flows',
+
+    // Tabla de flujos
+    'table.title': 'Flow table',
+    'table.filter': 'Filter by commune…',
+    'table.filterLabel': 'Filter flows by commune',
+    'table.caption': 'Filtered map flows',
+    'table.origin': 'Origin',
+    'table.destination': 'Destination',
+    'table.count': 'People',
+    'table.distance': 'Distance',
+    'table.share': '% of total',
+    'table.empty': 'No flows',
+    'table.status': { one: '1 flow', other: '{count} flows' },
+    'table.statusFiltered': '{shown} of {count} flows',
+    'table.page': 'Page {page} of {pages}',
+    'table.previousPage': 'Previous',
+    'table.previousPageLabel': 'Previous page',
+    'table.nextPage': 'Next',
+    'table.nextPageLabel': 'Next page',
+
+    // Historia (recorrido guiado)
+    'story.title': 'Story',
+    'story.step': 'Step {step} of {count}',
+    'story.previous': 'Previous',
+    'story.next': 'Next',
+    'story.play': 'Play',
+    'story.pause': 'Pause',
+    'story.close': 'Close story',
+
+    // Pantalla de error al iniciar
+    'error.title': 'Error loading data',
+    'error.retry': 'Retry',
+  },
+};
@@ -0,0 +1,265 @@
+// Español (Chile): idioma por defecto y respaldo de las claves que faltan
+// en los demás catálogos
+export default {
+  locale: 'es-CL',
+  name: 'Español (Chile)',
+  messages: {
+    'app.title': 'Flowmap Visualización',
+
+    // Panel de controles
+    'controls.heading': 'Controles Activos',
+    'controls.status': 'Estado',
+    'controls.language': 'Idioma',
+    'controls.dataset': 'Dataset',
+    'controls.compare': 'Comparar con',
+    'controls.basemap': 'Mapa base',
+    'controls.mode': 'Modo',
+    'controls.renderer': 'Dibujo de flujos',
+    'controls.arcHeight': 'Altura de los arcos',
+    'controls.metric': 'Métrica',
+    'controls.level': 'Nivel',
+    'controls.choropleth': 'Coropleta',
+    'controls.opacity': 'Opacidad',
+    'controls.maxFlows': 'Máx. flujos dibujados',
+    'controls.animation': 'Animación',
+    'controls.points': 'Mostrar Puntos',
+    'controls.presets': 'Presets y link',
+    'controls.export': 'Exportar',
+    'controls.apply': 'Aplicar Cambios',
+    'controls.reset': 'Reiniciar',
+
+    'info.locations': 'Locations',
+    'info.flows': 'Flows',
+    'info.flowsOf': '{shown} de {total}',
+    'info.opacity': 'Opacidad actual',
+
+    'mode.gross': 'Flujos brutos',
+    'mode.net': 'Saldo neto',
+
+    'renderer.flowmap': 'Flowmap (animado)',
+    'renderer.arcs': 'Arcos 3D',
+    'renderer.bundled': 'Haces (edge bundling)',
+    'renderer.bundledNote': 'En haces solo los {count} flujos mayores.',
+
+    'arcHeight.distance': 'Según la distancia',
+    'arcHeight.count': 'Según las personas',
+
+    'metric.count': 'Personas',
+    'metric.rate': 'Tasa por 1.000 hab. (origen)',
+    'metric.originShare': '% de las salidas del origen',
+    'metric.destShare': '% de las llegadas al destino',
+    'metric.unavailable': 'sin columna de población',
+    'metric.noPopulation': 'El dataset no tiene columna de población.',
+    'metric.grossOnly': 'Solo aplica a flujos brutos sin comparación.',
+    'metric.populationColumn': 'Población: columna "{column}".',
+
+    'level.auto': 'Automático (según zoom)',
+    'level.group': 'Regiones',
+    'level.location': 'Comunas',
+
+    'choropleth.none': 'Ninguna',
+    'choropleth.inflow': 'Llegadas',
+    'choropleth.outflow': 'Salidas',
+    'choropleth.net': 'Saldo neto',
+
+    'basemap.dark': 'Oscuro (CARTO)',
+    'basemap.light': 'Claro (CARTO)',
+    'basemap.offline': 'Sin conexión (contornos locales)',
+    'basemap.none': 'Sin mapa base',
+    'basemap.custom': 'Personalizado',
+    'basemap.template': 'Plantilla de teselas propia…',
+    'basemap.prompt': 'URL de teselas (con {z}, {x} e {y}):',
+    'basemap.invalid': 'La URL debe empezar con http(s) e incluir {z}, {x} e {y}',
+
+    'compare.none': 'Sin comparación',
+    'compare.diff': 'Diferencia',
+    'compare.side': 'Lado a lado',
+    'compare.absolute': 'Δ personas',
+    'compare.percent': 'Δ %',
+
+    'dataset.default': 'Por defecto',
+    'dataset.custom': 'Personalizado (URL)',
+    'dataset.compareCustom': 'Comparación (URL)',
+
+    'filters.title': 'Filtros',
+    'filters.minCount': 'Personas mínimas por flujo',
+    'filters.distance': 'Distancia (km)',
+    'filters.min': 'mín',
+    'filters.max': 'máx',
+    'filters.topN': 'Mostrar solo los N flujos mayores',
+    'filters.all': 'todos',
+    'filters.origins': 'Orígenes (Ctrl/Cmd + click para varios)',
+    'filters.destinations': 'Destinos',
+    'filters.summary': '{flows} flujos',
+    'filters.clear': 'Limpiar filtros',
+
+    'presets.empty': 'Sin presets guardados',
+    'presets.apply': 'Aplicar',
+    'presets.delete': 'Eliminar preset',
+    'presets.confirmDelete': '¿Eliminar el preset "{name}"?',
+    'presets.name': 'Nombre del preset',
+    'presets.save': 'Guardar',
+    'presets.share': 'Copiar link para compartir',
+    'presets.copyPrompt': 'Copia este link:',
+
+    'export.resolution': 'Resolución del PNG',
+    'export.visibleData': 'Datos visibles (filtros y selección)',
+    'export.flowsCsv': 'CSV flujos',
+    'export.locationsCsv': 'CSV comunas',
+    'export.video': 'Video de la animación (WebM)',
+    'export.duration': 'Duración',
+    'export.fps': 'Cuadros por segundo',
+    'export.record': 'Grabar',
+    'export.cancel': 'Cancelar',
+    'export.videoUnsupported': 'Este navegador no puede grabar video (requiere WebCodecs).',
+    'export.sourceNote': 'Fuente: {source} · {dataset}',
+
+    'rejected.summary': { one: '1 fila rechazada', other: '{count} filas rechazadas' },
+    'rejected.download': 'Descargar reporte',
+
+    'diagnostics.summary': { one: '1 problema en los datos', other: '{count} problemas en los datos' },
+    'diagnostics.unknownIds': 'Flujos con IDs desconocidos',
+    'diagnostics.duplicatePairs': 'Pares origen-destino repetidos',
+    'diagnostics.selfFlows': 'Flujos internos (origen = destino)',
+    'diagnostics.nonPositiveCounts': 'Flujos con conteo cero o negativo',
+    'diagnostics.unusedLocations': 'Comunas sin flujos',
+    'diagnostics.duplicateLocations': 'IDs de comuna repetidos',
+    'diagnostics.outsideChile': 'Coordenadas fuera de Chile continental',
+    'diagnostics.download': 'Descargar lista',
+    'diagnostics.note': 'Se revisan los archivos tal como vienen, antes de filtrar.',
+
+    'local.open': 'Abrir archivos locales…',
+    'local.hint': 'O suéltalos sobre el mapa: comunas y flujos, o un .zip con la carpeta. Se leen en tu navegador; no se suben a ningún lado.',
+    'local.drop': 'Suelta los archivos de comunas y flujos (o un .zip) para cargarlos',
+
+    'columns.title': 'Columnas de los archivos',
+    'columns.intro': 'No se reconocieron todas las columnas. Elige cuál usar para cada campo (* obligatorio).',
+    'columns.locations': 'Comunas',
+    'columns.flows': 'Flujos',
+    'columns.id': 'identificador',
+    'columns.lat': 'latitud',
+    'columns.lon': 'longitud',
+    'columns.name': 'nombre',
+    'columns.origin': 'ID de origen',
+    'columns.dest': 'ID de destino',
+    'columns.count': 'personas',
+    'columns.none': '(ninguna)',
+    'columns.cancel': 'Cancelar',
+    'columns.load': 'Cargar',
+
+    'search.placeholder': 'Buscar comuna…',
+    'search.noResults': 'Sin resultados',
+
+    // Mensajes de estado
+    'status.ready': 'Listo',
+    'status.loading': 'Cargando {title}...',
+    'status.error': 'Error: {message}',
+    'status.datasetLoaded': 'Dataset cargado ✓',
+    'status.readingFiles': 'Leyendo archivos locales...',
+    'status.localCancelled': 'Carga cancelada',
+    'status.compareReady': 'Comparación lista ✓',
+    'status.sideView': 'Vista lado a lado',
+    'status.diffView': 'Vista de diferencia',
+    'status.offlineBasemap': 'Sin conexión: mapa base offline',
+    'status.exportingPng': 'Generando PNG...',
+    'status.pngExported': 'PNG exportado ✓',
+    'status.flowsCsvExported': 'CSV de flujos exportado ✓',
+    'status.locationsCsvExported': 'CSV de comunas exportado ✓',
+    'status.geojsonExported': 'GeoJSON exportado ✓',
+    'status.recording': 'Grabando video... {percent}',
+    'status.videoExported': 'Video exportado ✓',
+    'status.recordingCancelled': 'Grabación cancelada',
+    'status.grossMode': 'Modo flujos brutos',
+    'status.netMode': 'Modo saldo neto',
+    'status.opacity': 'Opacidad actualizada',
+    'status.maxFlows': 'Máximo de flujos actualizado',
+    'status.animationOn': 'Animación activada',
+    'status.animationOff': 'Animación desactivada',
+    'status.pointsOn': 'Puntos mostrados',
+    'status.pointsOff': 'Puntos ocultos',
+    'status.applied': 'Todos los cambios aplicados ✓',
+    'status.reset': 'Configuración reiniciada ✓',
+    'status.applyingPreset': 'Aplicando {name}...',
+    'status.presetApplied': 'Preset "{name}" aplicado ✓',
+    'status.presetDeleted': 'Preset "{name}" eliminado',
+    'status.presetNameMissing': 'Escribe un nombre para el preset',
+    'status.presetSaved': 'Preset "{name}" guardado ✓',
+    'status.linkCopied': 'Link copiado ✓',
+    'status.language': 'Idioma: {name}',
+    'status.renderer': 'Flujos: {name}',
+    'status.bundling': 'Calculando haces...',
+    'status.bundled': 'Haces listos ✓',
+
+    // Tooltip del mapa
+    'tooltip.id': 'ID',
+    'tooltip.groupMembers': { one: '1 comuna:', other: '{count} comunas:' },
+    'tooltip.andMore': 'y {count} más',
+    'tooltip.noData': 'sin datos',
+    'tooltip.inflow': 'Llegan',
+    'tooltip.outflow': 'Salen',
+    'tooltip.netBalance': 'Saldo neto',
+    'tooltip.change': 'Cambio',
+    'tooltip.netTitle': 'Saldo Migratorio',
+    'tooltip.net': 'Neto',
+    'tooltip.netToward': '{count} hacia {name}',
+    'tooltip.flowTitle': 'Flujo Migratorio',
+    'tooltip.persons': 'Personas',
+    'tooltip.origin': 'Origen',
+    'tooltip.destination': 'Destino',
+    'tooltip.new': 'nuevo',
+
+    // Leyenda
+    'legend.title': 'Leyenda',
+    'legend.persons': 'personas',
+    'legend.diff': 'Cambio B − A ({unit})',
+    'legend.diffThickness': 'Grosor (|cambio|, {unit})',
+    'legend.flowPersons': 'Personas por flujo',
+    'legend.thickness': 'Grosor (personas)',
+    'legend.thicknessOf': 'Grosor ({label})',
+    'legend.circles': 'Círculos (llegadas o salidas)',
+    'legend.net': 'Saldo neto',
+    'legend.netCircles': 'Círculos (saldo neto, en valor absoluto)',
+
+    // Panel de la comuna en foco
+    'location.close': 'Cerrar (Esc)',
+    'location.inflow': 'Llegan',
+    'location.outflow': 'Salen',
+    'location.net': 'Neto',
+    'location.internal': 'Flujo interno (no incluido en el saldo): {count}',
+    'location.topOrigins': 'Principales orígenes',
+    'location.topDestinations': 'Principales destinos',
+    'location.noFlows': 'Sin flujos',
+
+    // Tabla de flujos
+    'table.title': 'Tabla de flujos',
+    'table.filter': 'Filtrar por comuna…',
+    'table.filterLabel': 'Filtrar flujos por comuna',
+    'table.caption': 'Flujos filtrados del mapa',
+    'table.origin': 'Origen',
+    'table.destination': 'Destino',
+    'table.count': 'Personas',
+    'table.distance': 'Distancia',
+    'table.share': '% del total',
+    'table.empty': 'Sin flujos',
+    'table.status': { one: '1 flujo', other: '{count} flujos' },
+    'table.statusFiltered': '{shown} de {count} flujos',
+    'table.page': 'Página {page} de {pages}',
+    'table.previousPage': 'Anterior',
+    'table.previousPageLabel': 'Página anterior',
+    'table.nextPage': 'Siguiente',
+    'table.nextPageLabel': 'Página siguiente',
+
+    // Historia (recorrido guiado)
+    'story.title': 'Historia',
+    'story.step': 'Paso {step} de {count}',
+    'story.previous': 'Anterior',
+    'story.next': 'Siguiente',
+    'story.play': 'Reproducir',
+    'story.pause': 'Pausa',
+    'story.close': 'Cerrar historia',
+
+    // Pantalla de error al iniciar
+    'error.title': 'Error cargando datos',
+    'error.retry': 'Reintentar',
+  },
+};
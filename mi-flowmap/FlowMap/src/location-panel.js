@@ -0,0 +1,97 @@
+import { escapeHTML } from './html.js';
+import { formatNumber, formatSigned, formatPercent } from './format.js';
+import { t } from './i18n.js';
+
+// ------------------------------
+// 📍 PANEL DE DETALLE DE UBICACIÓN
+// ------------------------------
+// Panel lateral con entradas, salidas, saldo neto y principales
+// orígenes/destinos de la comuna seleccionada.
+
+const PANEL_ID = 'location-panel';
+
+// summary: resultado de summarizeLocation()
+// getName: id -> nombre para mostrar
+// onSelect: al hacer click en un origen/destino de las listas
+// onClose: al cerrar el panel
+export function showLocationPanel(summary, { getName, onSelect, onClose }) {
+  let panel = document.getElementById(PANEL_ID);
+
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = PANEL_ID;
+    panel.style.cssText = `
+      position: absolute;
+      top: 10px;
+      right: 10px;
+      width: 300px;
+      max-height: 80vh;
+      overflow-y: auto;
+      background: rgba(255, 255, 255, 0.95);
+      padding: 15px;
+      border-radius: 8px;
+      z-index: 1000;
+      font-family: Arial, sans-serif;
+      font-size: 13px;
+      color: #333;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+    `;
+    document.getElementById('app').appendChild(panel);
+  }
+
+  const netColor = summary.net > 0 ? '#2e7d32' : summary.net < 0 ? '#c62828' : '#555';
+
+  const renderList = (items) => items.length
+    ? items.map((item) => `
+        <li data-location-id="${escapeHTML(item.id)}" style="cursor: pointer; margin-bottom: 4px;">
+          <span style="text-decoration: underline;">${escapeHTML(getName(item.id))}</span>
+          <span style="float: right;">
+            ${formatNumber(item.count)}
+            <span style="color: #888;">(${formatPercent(item.share * 100)})</span>
+          </span>
+        </li>
+      `).join('')
+    : `<li style="color: #888;">${t('location.noFlows')}</li>`;
+
+  panel.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+      <h3 style="margin: 0; font-size: 16px;">📍 ${escapeHTML(getName(summary.id))}</h3>
+      <button id="locationPanelClose" title="${t('location.close')}"
+              style="border: none; background: none; font-size: 16px; cursor: pointer;">✕</button>
+    </div>
+
+    <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 6px; text-align: center; margin-bottom: 12px;">
+      <div style="padding: 6px; background: #e8f5e9; border-radius: 5px;">
+        <div style="font-size: 11px; color: #666;">${t('location.inflow')}</div>
+        <b>${formatNumber(summary.inflow)}</b>
+      </div>
+      <div style="padding: 6px; background: #e3f2fd; border-radius: 5px;">
+        <div style="font-size: 11px; color: #666;">${t('location.outflow')}</div>
+        <b>${formatNumber(summary.outflow)}</b>
+      </div>
+      <div style="padding: 6px; background: #f5f5f5; border-radius: 5px;">
+        <div style="font-size: 11px; color: #666;">${t('location.net')}</div>
+        <b style="color: ${netColor};">${formatSigned(summary.net)}</b>
+      </div>
+    </div>
+    ${summary.internal ? `
+    <div style="font-size: 11px; color: #666; margin-bottom: 10px;">
+      ${t('location.internal', { count: summary.internal })}
+    </div>` : ''}
+
+    <h4 style="margin: 0 0 5px; color: #2e7d32;">⬅️ ${t('location.topOrigins')}</h4>
+    <ol style="margin: 0 0 12px; padding-left: 20px;">${renderList(summary.topOrigins)}</ol>
+
+    <h4 style="margin: 0 0 5px; color: #1565c0;">➡️ ${t('location.topDestinations')}</h4>
+    <ol style="margin: 0; padding-left: 20px;">${renderList(summary.topDestinations)}</ol>
+  `;
+
+  panel.querySelector('#locationPanelClose').addEventListener('click', onClose);
+  panel.querySelectorAll('[data-location-id]').forEach((item) => {
+    item.addEventListener('click', () => onSelect(item.dataset.locationId));
+  });
+}
+
+export function hideLocationPanel() {
+  document.getElementById(PANEL_ID)?.remove();
+}
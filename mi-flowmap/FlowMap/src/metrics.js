@@ -0,0 +1,96 @@
+import { normalizeKey } from './csv.js';
+import { formatNumber, formatDecimal, formatPercent } from './format.js';
+
+// ------------------------------
+// 📐 MÉTRICAS DE FLUJO
+// ------------------------------
+// Los conteos brutos reproducen el mapa de población (Santiago y Puente
+// Alto dominan todo). Estas métricas normalizan cada flujo:
+// - 'rate': personas por 1.000 habitantes de la comuna de origen
+// - 'originShare': % de todas las salidas de la comuna de origen
+// - 'destShare': % de todas las llegadas a la comuna de destino
+// Los nombres visibles están en los catálogos de idioma (metric.<id>).
+
+export const FLOW_METRICS = ['count', 'rate', 'originShare', 'destShare'];
+
+// Nombres aceptados para la columna de población de locations.csv
+const POPULATION_COLUMNS = ['population', 'poblacion', 'pob', 'habitantes', 'poblacion_total'];
+
+export function isFlowMetric(value) {
+  return FLOW_METRICS.includes(value);
+}
+
+// Columna de población en las propiedades de locations (o null).
+// `preferred` permite indicar otro nombre de columna.
+export function getPopulationColumn(locations, preferred) {
+  const candidates = (preferred ? [preferred] : POPULATION_COLUMNS).map(normalizeKey);
+  const columns = new Set(locations.flatMap((loc) => Object.keys(loc.properties || {})));
+  return [...columns].find((c) => candidates.includes(normalizeKey(c))) || null;
+}
+
+// Map id -> población (solo valores numéricos positivos)
+export function getPopulations(locations, column) {
+  const populations = new Map();
+  if (!column) return populations;
+  for (const loc of locations) {
+    const value = loc.properties?.[column];
+    if (typeof value === 'number' && value > 0) populations.set(loc.id, value);
+  }
+  return populations;
+}
+
+// Totales de salidas y llegadas por comuna. Se calculan sobre todos los
+// flujos del dataset para que los porcentajes no cambien con los filtros.
+// Los flujos internos (origen = destino) no se dibujan y no cuentan como
+// salida ni llegada.
+export function computeFlowTotals(flows) {
+  const outflow = new Map();
+  const inflow = new Map();
+  for (const flow of flows) {
+    if (flow.origin === flow.dest) continue;
+    outflow.set(flow.origin, (outflow.get(flow.origin) || 0) + flow.count);
+    inflow.set(flow.dest, (inflow.get(flow.dest) || 0) + flow.count);
+  }
+  return { outflow, inflow };
+}
+
+// Valor de la métrica para un flujo (null si no se puede calcular)
+export function getMetricValue(flow, metric, { populations, totals }) {
+  switch (metric) {
+    case 'rate': {
+      const population = populations.get(flow.origin);
+      return population ? (flow.count / population) * 1000 : null;
+    }
+    case 'originShare': {
+      const total = totals.outflow.get(flow.origin);
+      return total ? (flow.count / total) * 100 : null;
+    }
+    case 'destShare': {
+      const total = totals.inflow.get(flow.dest);
+      return total ? (flow.count / total) * 100 : null;
+    }
+    default:
+      return flow.count;
+  }
+}
+
+// Flujos para FlowmapLayer con count = valor de la métrica y `persons`
+// con el conteo original. Los flujos sin valor (p. ej. origen sin
+// población) se omiten.
+export function applyFlowMetric(flows, metric, context) {
+  if (metric === 'count') return flows;
+
+  const result = [];
+  for (const flow of flows) {
+    const value = getMetricValue(flow, metric, context);
+    if (value) result.push({ ...flow, count: value, persons: flow.count, metric });
+  }
+  return result;
+}
+
+// Valor formateado para tooltips y leyendas
+export function formatMetricValue(value, metric) {
+  if (metric === 'count') return formatNumber(value);
+  const digits = value >= 10 ? 1 : 2;
+  return metric === 'rate' ? `${formatDecimal(value, digits)} ‰` : formatPercent(value, digits);
+}
@@ -0,0 +1,36 @@
+// ------------------------------
+// ⚖️ SALDO MIGRATORIO NETO
+// ------------------------------
+
+// Une cada par A→B / B→A en un único flujo neto que apunta en la
+// dirección dominante. Conserva el flujo bruto en ambos sentidos:
+// `forward` (origin→dest) y `backward` (dest→origin).
+// Se omiten los flujos internos y los pares con saldo cero.
+export function computeNetFlows(flows) {
+  const pairs = new Map();
+
+  for (const flow of flows) {
+    if (flow.origin === flow.dest) continue;
+
+    // Clave independiente del sentido
+    const [a, b] = flow.origin < flow.dest ? [flow.origin, flow.dest] : [flow.dest, flow.origin];
+    const key = `${a}\u0000${b}`;
+    let pair = pairs.get(key);
+    if (!pair) {
+      pair = { a, b, ab: 0, ba: 0 };
+      pairs.set(key, pair);
+    }
+    if (flow.origin === a) pair.ab += flow.count;
+    else pair.ba += flow.count;
+  }
+
+  const netFlows = [];
+  for (const { a, b, ab, ba } of pairs.values()) {
+    if (ab === ba) continue;
+    netFlows.push(ab > ba
+      ? { origin: a, dest: b, count: ab - ba, forward: ab, backward: ba }
+      : { origin: b, dest: a, count: ba - ab, forward: ba, backward: ab });
+  }
+
+  return netFlows;
+}
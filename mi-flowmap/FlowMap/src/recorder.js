@@ -0,0 +1,125 @@
+import { drawMapOverlay } from './export.js';
+import { muxWebM } from './webm.js';
+
+// ------------------------------
+// 🎥 GRABACIÓN DE VIDEO
+// ------------------------------
+// Graba la animación del mapa como WebM cuadro a cuadro, no en tiempo real:
+// FlowmapLayer anima las partículas según Date.now(), así que durante la
+// grabación Date.now() devuelve un reloj que avanza exactamente 1/fps por
+// cuadro. Cada cuadro se dibuja, se le compone el título, la leyenda y la
+// nota (como el PNG) y se codifica con WebCodecs (VideoEncoder). Una
+// máquina lenta tarda más en grabar, pero el video sale igual de fluido.
+
+// Códecs a probar, en orden (VP9 y si no, VP8)
+const CODECS = [
+  { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+  { codec: 'vp8', codecId: 'V_VP8' },
+];
+
+// Ancho máximo del video (los cuadros más anchos se reducen)
+const MAX_VIDEO_WIDTH = 1920;
+
+// Un cuadro clave cada 2 segundos
+const KEYFRAME_INTERVAL_S = 2;
+
+// Cuadros en cola del codificador antes de esperar
+const MAX_ENCODE_QUEUE = 8;
+
+// Bits por píxel y cuadro (calidad alta para líneas finas)
+const BITS_PER_PIXEL = 0.15;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function canRecordVideo() {
+  return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+async function findEncoderConfig(width, height, fps) {
+  const bitrate = Math.round(width * height * fps * BITS_PER_PIXEL);
+  for (const { codec, codecId } of CODECS) {
+    const config = { codec, width, height, bitrate, framerate: fps };
+    const { supported } = await VideoEncoder.isConfigSupported(config).catch(() => ({ supported: false }));
+    if (supported) return { config, codecId };
+  }
+  throw new Error('El navegador no puede codificar video WebM');
+}
+
+// Graba `duration` segundos a `fps` cuadros por segundo. overlay: { title,
+// legend, note } como en renderMapImage. onProgress(0..1) tras cada cuadro;
+// `signal` (AbortSignal) cancela. Devuelve un Blob video/webm.
+export async function recordMapVideo(deck, { duration, fps, overlay = {}, onProgress, signal }) {
+  if (!canRecordVideo()) throw new Error('El navegador no puede grabar video (WebCodecs)');
+
+  // Tamaño del video: el del canvas (par, como exige VP9/VP8 en 4:2:0)
+  const scale = Math.min(1, MAX_VIDEO_WIDTH / deck.canvas.width);
+  const width = Math.floor((deck.canvas.width * scale) / 2) * 2;
+  const height = Math.floor((deck.canvas.height * scale) / 2) * 2;
+  const { config, codecId } = await findEncoderConfig(width, height, fps);
+
+  // Título, leyenda y nota se dibujan una vez y se copian en cada cuadro
+  const overlayCanvas = document.createElement('canvas');
+  overlayCanvas.width = width;
+  overlayCanvas.height = height;
+  drawMapOverlay(overlayCanvas.getContext('2d'), overlay, width / deck.canvas.clientWidth);
+
+  const frameCanvas = document.createElement('canvas');
+  frameCanvas.width = width;
+  frameCanvas.height = height;
+  const ctx = frameCanvas.getContext('2d');
+
+  const chunks = [];
+  let encoderError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      chunks.push({ data, timestamp: chunk.timestamp, key: chunk.type === 'key' });
+    },
+    error: (error) => {
+      encoderError = error;
+    },
+  });
+  encoder.configure(config);
+
+  const frameCount = Math.max(1, Math.round(duration * fps));
+  const frameDuration = 1e6 / fps; // µs
+  const realNow = Date.now;
+  const startTime = realNow();
+
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      if (signal?.aborted) throw new DOMException('Grabación cancelada', 'AbortError');
+      if (encoderError) throw encoderError;
+
+      // Reloj de la animación en el instante del cuadro i
+      const frameTime = startTime + (i * 1000) / fps;
+      Date.now = () => frameTime;
+
+      // Dibujar y copiar en el mismo frame, antes de que el navegador limpie el buffer
+      deck.redraw(true);
+      ctx.clearRect(0, 0, width, height);
+      ctx.drawImage(deck.canvas, 0, 0, width, height);
+      ctx.drawImage(overlayCanvas, 0, 0);
+
+      const frame = new VideoFrame(frameCanvas, { timestamp: Math.round(i * frameDuration), duration: Math.round(frameDuration) });
+      encoder.encode(frame, { keyFrame: i % Math.round(KEYFRAME_INTERVAL_S * fps) === 0 });
+      frame.close();
+
+      onProgress?.((i + 1) / frameCount);
+
+      // Devolver el control al navegador (y no acumular cuadros sin codificar)
+      Date.now = realNow;
+      await wait(0);
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) await wait(5);
+    }
+
+    await encoder.flush();
+    if (encoderError) throw encoderError;
+  } finally {
+    Date.now = realNow;
+    if (encoder.state !== 'closed') encoder.close();
+  }
+
+  return muxWebM({ codecId, width, height, fps, duration: (frameCount * 1000) / fps, chunks });
+}
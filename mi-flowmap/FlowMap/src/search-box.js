@@ -0,0 +1,125 @@
+import { escapeHTML } from './html.js';
+import { t } from './i18n.js';
+
+// ------------------------------
+// 🔍 CAJA DE BÚSQUEDA
+// ------------------------------
+// Campo con lista de resultados navegable con el teclado:
+// ↑/↓ mueven la selección, Enter elige, Esc cierra la lista.
+
+// search: (texto) => [{ location, score }]
+// onPick: (location) => void
+export function createSearchBox(container, { search, onPick, placeholder = t('search.placeholder') }) {
+  container.innerHTML = `
+    <div style="position: relative;">
+      <input type="search" role="combobox" aria-expanded="false" aria-autocomplete="list"
+             aria-controls="searchResults" placeholder="${escapeHTML(placeholder)}"
+             style="width: 100%; padding: 6px; box-sizing: border-box;">
+      <ul id="searchResults" role="listbox"
+          style="display: none; position: absolute; left: 0; right: 0; top: 100%; z-index: 10;
+                 margin: 2px 0 0; padding: 0; list-style: none; max-height: 240px; overflow-y: auto;
+                 background: white; border: 1px solid #ccc; border-radius: 4px;
+                 box-shadow: 0 2px 8px rgba(0,0,0,0.15); font-size: 13px;"></ul>
+    </div>
+  `;
+
+  const input = container.querySelector('input');
+  const list = container.querySelector('ul');
+  let results = [];
+  let active = -1;
+
+  const close = () => {
+    list.style.display = 'none';
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    active = -1;
+  };
+
+  const highlight = (index) => {
+    active = index;
+    list.querySelectorAll('li').forEach((item, i) => {
+      const selected = i === active;
+      item.setAttribute('aria-selected', String(selected));
+      item.style.background = selected ? '#e3f2fd' : 'transparent';
+      if (selected) {
+        item.scrollIntoView({ block: 'nearest' });
+        input.setAttribute('aria-activedescendant', item.id);
+      }
+    });
+  };
+
+  const render = () => {
+    results = search(input.value);
+    if (!input.value.trim()) {
+      close();
+      return;
+    }
+
+    list.innerHTML = results.length
+      ? results.map(({ location }, i) => `
+          <li id="searchResult-${i}" role="option" data-index="${i}" aria-selected="false"
+              style="padding: 5px 8px; cursor: pointer;">
+            ${escapeHTML(location.name || location.id)}
+            ${location.name && location.name !== location.id
+              ? `<span style="color: #888; font-size: 11px;">${escapeHTML(location.id)}</span>`
+              : ''}
+          </li>
+        `).join('')
+      : `<li style="padding: 5px 8px; color: #888;">${t('search.noResults')}</li>`;
+
+    list.style.display = 'block';
+    input.setAttribute('aria-expanded', 'true');
+    highlight(results.length ? 0 : -1);
+  };
+
+  const pick = (index) => {
+    const result = results[index];
+    if (!result) return;
+    input.value = result.location.name || result.location.id;
+    close();
+    onPick(result.location);
+  };
+
+  input.addEventListener('input', render);
+  input.addEventListener('focus', () => {
+    if (input.value.trim()) render();
+  });
+  // Diferido para que el click en un resultado alcance a registrarse
+  input.addEventListener('blur', () => setTimeout(close, 150));
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (list.style.display === 'none') {
+        render();
+        return;
+      }
+      if (!results.length) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      highlight((active + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      pick(active === -1 ? 0 : active);
+    } else if (e.key === 'Escape') {
+      // No propagar: Esc en la búsqueda no limpia la selección del mapa
+      e.stopPropagation();
+      if (list.style.display === 'none') input.blur();
+      close();
+    }
+  });
+
+  list.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('[data-index]');
+    if (!item) return;
+    e.preventDefault();
+    pick(parseInt(item.dataset.index));
+  });
+
+  return {
+    focus: () => input.focus(),
+    clear: () => {
+      input.value = '';
+      close();
+    },
+  };
+}
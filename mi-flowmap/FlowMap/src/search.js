@@ -0,0 +1,88 @@
+import { stripAccents } from './text.js';
+
+// ------------------------------
+// 🔍 BÚSQUEDA DE COMUNAS
+// ------------------------------
+// Sin distinguir tildes ni mayúsculas ("nunoa" encuentra "ÑUÑOA") y con
+// tolerancia a errores: prefijo > palabra > contiene > un error de tipeo
+// > letras en orden ("pte alto" -> "PUENTE ALTO").
+
+const DEFAULT_LIMIT = 8;
+
+// "Ñuñoa " -> "nunoa"; puntuación y espacios repetidos -> un espacio
+export function normalizeSearchText(value) {
+  return stripAccents(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Distancia de edición acotada: devuelve max + 1 si la supera
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Letras de query en orden dentro de text. Puntaje mayor si están juntas.
+function subsequenceScore(text, query) {
+  let position = -1;
+  let gaps = 0;
+  for (const char of query) {
+    const next = text.indexOf(char, position + 1);
+    if (next === -1) return 0;
+    if (position !== -1) gaps += next - position - 1;
+    position = next;
+  }
+  return Math.max(1, 40 - gaps);
+}
+
+// Puntaje de 0 (no coincide) a 100 (igual)
+function scoreText(text, query) {
+  if (!text) return 0;
+  if (text === query) return 100;
+  if (text.startsWith(query)) return 90;
+
+  const words = text.split(' ');
+  if (words.some((word) => word.startsWith(query))) return 80;
+  if (text.includes(query)) return 70;
+
+  // Un error de tipeo en el comienzo del nombre o de una palabra
+  if (query.length >= 4) {
+    const candidates = [text, ...words].map((w) => w.slice(0, query.length));
+    if (candidates.some((w) => editDistance(w, query, 1) <= 1)) return 50;
+  }
+
+  return subsequenceScore(text, query);
+}
+
+// Busca en id y name. Devuelve [{ location, score }] de mejor a peor.
+export function searchLocations(locations, query, { limit = DEFAULT_LIMIT } = {}) {
+  const normalizedQuery = normalizeSearchText(query);
+  if (!normalizedQuery) return [];
+
+  const results = [];
+  for (const location of locations) {
+    const score = Math.max(
+      scoreText(normalizeSearchText(location.name || ''), normalizedQuery),
+      scoreText(normalizeSearchText(location.id), normalizedQuery),
+    );
+    if (score > 0) results.push({ location, score });
+  }
+
+  const nameOf = (r) => r.location.name || r.location.id;
+  return results
+    .sort((a, b) => b.score - a.score || nameOf(a).length - nameOf(b).length || nameOf(a).localeCompare(nameOf(b), 'es'))
+    .slice(0, limit);
+}
@@ -0,0 +1,90 @@
+// ------------------------------
+// 📊 ESTADÍSTICAS POR UBICACIÓN
+// ------------------------------
+
+// Resume los flujos de una ubicación: entradas, salidas, saldo neto
+// y principales orígenes/destinos. Los flujos internos (origen = destino)
+// se informan aparte y no cuentan en el saldo.
+export function summarizeLocation(flows, locationId, topN = 5) {
+  let inflow = 0;
+  let outflow = 0;
+  let internal = 0;
+  const origins = [];
+  const destinations = [];
+
+  for (const flow of flows) {
+    if (flow.origin === locationId && flow.dest === locationId) {
+      internal += flow.count;
+    } else if (flow.dest === locationId) {
+      inflow += flow.count;
+      origins.push({ id: flow.origin, count: flow.count });
+    } else if (flow.origin === locationId) {
+      outflow += flow.count;
+      destinations.push({ id: flow.dest, count: flow.count });
+    }
+  }
+
+  const top = (list, total) => list
+    .sort((a, b) => b.count - a.count)
+    .slice(0, topN)
+    .map((item) => ({ ...item, share: total ? item.count / total : 0 }));
+
+  return {
+    id: locationId,
+    inflow,
+    outflow,
+    internal,
+    net: inflow - outflow,
+    topOrigins: top(origins, inflow),
+    topDestinations: top(destinations, outflow),
+  };
+}
+
+// Totales de todas las ubicaciones en una sola pasada:
+// Map id -> { inflow, outflow, internal, net }
+export function computeLocationTotals(flows) {
+  const totals = new Map();
+  const get = (id) => {
+    let total = totals.get(id);
+    if (!total) {
+      total = { inflow: 0, outflow: 0, internal: 0, net: 0 };
+      totals.set(id, total);
+    }
+    return total;
+  };
+
+  for (const flow of flows) {
+    if (flow.origin === flow.dest) {
+      get(flow.origin).internal += flow.count;
+      continue;
+    }
+    get(flow.origin).outflow += flow.count;
+    get(flow.dest).inflow += flow.count;
+  }
+
+  for (const total of totals.values()) {
+    total.net = total.inflow - total.outflow;
+  }
+
+  return totals;
+}
+
+// [min, max] de `count` con 0 incluido. Se guarda por arreglo de flujos
+// (sin Math.max(...flows), que desborda la pila con ~100k elementos), así
+// que la leyenda no recorre los mismos flujos en cada actualización.
+const magnitudeExtents = new WeakMap();
+
+export function getMagnitudeExtent(flows) {
+  let extent = magnitudeExtents.get(flows);
+  if (!extent) {
+    let min = 0;
+    let max = 0;
+    for (const flow of flows) {
+      if (flow.count < min) min = flow.count;
+      if (flow.count > max) max = flow.count;
+    }
+    extent = [min, max];
+    magnitudeExtents.set(flows, extent);
+  }
+  return extent;
+}
@@ -0,0 +1,173 @@
+import { escapeHTML } from './html.js';
+import { t } from './i18n.js';
+
+// ------------------------------
+// 📖 REPRODUCTOR DE HISTORIAS
+// ------------------------------
+// Panel arriba al centro con el título y el texto del paso actual, y
+// botones anterior / reproducir / siguiente. Atajos: ← y → cambian de paso,
+// espacio reproduce o pausa. Al reproducir, cada paso dura su `transition`
+// más su `duration` (desde que terminó de aplicarse) y se detiene en el último.
+//
+// story: resultado de loadStory() (story.js)
+// onStep(step, index): aplica el paso en el mapa; puede devolver una promesa
+// onClose(): el usuario cerró el panel
+
+const PANEL_ID = 'story-panel';
+
+export function createStoryPlayer(story, { onStep, onClose }) {
+  const panel = document.createElement('div');
+  panel.id = PANEL_ID;
+  panel.setAttribute('role', 'region');
+  panel.style.cssText = `
+    position: absolute;
+    top: 10px;
+    left: 50%;
+    transform: translateX(-50%);
+    width: min(560px, 40vw);
+    background: rgba(255, 255, 255, 0.95);
+    color: #333;
+    padding: 12px 14px;
+    border-radius: 8px;
+    z-index: 950;
+    font-family: Arial, sans-serif;
+    font-size: 13px;
+    box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+  `;
+  document.getElementById('app').appendChild(panel);
+
+  let index = 0;
+  let playing = false;
+  let applying = false; // onStep en curso
+  let appliedIndex = null; // paso que se ve en el mapa
+  let timer = null;
+
+  const lastIndex = story.steps.length - 1;
+
+  function render() {
+    const step = story.steps[index];
+    panel.setAttribute('aria-label', story.title || t('story.title'));
+    panel.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: baseline; gap: 8px; margin-bottom: 6px;">
+        <span style="font-size: 11px; color: #666;">
+          📖 ${escapeHTML(story.title || t('story.title'))} · ${t('story.step', { step: index + 1, count: story.steps.length })}
+        </span>
+        <button type="button" data-action="close" title="${t('story.close')}" aria-label="${t('story.close')}"
+                style="border: none; background: none; cursor: pointer; font-size: 16px; line-height: 1;">✕</button>
+      </div>
+      ${step.title ? `<div style="font-weight: bold; font-size: 15px; margin-bottom: 4px;">${escapeHTML(step.title)}</div>` : ''}
+      <div aria-live="polite" style="white-space: pre-line; line-height: 1.4;">${escapeHTML(step.caption)}</div>
+      <div style="height: 3px; background: #eee; margin: 10px 0 8px; border-radius: 2px; overflow: hidden;">
+        <div data-role="progress" style="height: 100%; width: 0; background: #2196F3;"></div>
+      </div>
+      <div style="display: flex; gap: 6px;">
+        <button type="button" data-action="previous" ${index === 0 ? 'disabled' : ''} style="flex: 1; padding: 4px; cursor: pointer;">
+          ‹ ${t('story.previous')}
+        </button>
+        <button type="button" data-action="play" style="flex: 1; padding: 4px; cursor: pointer;">
+          ${playing ? `⏸ ${t('story.pause')}` : `▶ ${t('story.play')}`}
+        </button>
+        <button type="button" data-action="next" ${index === lastIndex ? 'disabled' : ''} style="flex: 1; padding: 4px; cursor: pointer;">
+          ${t('story.next')} ›
+        </button>
+      </div>
+    `;
+  }
+
+  // Barra de avance y paso siguiente al reproducir
+  function scheduleNext() {
+    clearTimeout(timer);
+    if (!playing || applying) return;
+    if (index === lastIndex) {
+      setPlaying(false);
+      return;
+    }
+
+    const { duration, transition } = story.steps[index];
+    const total = transition + duration;
+    const progress = panel.querySelector('[data-role="progress"]');
+    progress.style.transition = 'none';
+    progress.style.width = '0';
+    progress.getBoundingClientRect(); // reinicia la transición
+    progress.style.transition = `width ${total}ms linear`;
+    progress.style.width = '100%';
+
+    timer = setTimeout(() => goTo(index + 1), total);
+  }
+
+  // Aplica un paso a la vez; si mientras tanto se pidió otro, sigue con ese
+  async function apply() {
+    applying = true;
+    while (appliedIndex !== index) {
+      const target = index;
+      try {
+        await onStep(story.steps[target], target);
+      } catch (error) {
+        console.error("❌ Error aplicando paso de la historia:", error);
+      }
+      appliedIndex = target;
+    }
+    applying = false;
+    scheduleNext();
+  }
+
+  function goTo(next) {
+    index = Math.max(0, Math.min(next, lastIndex));
+    clearTimeout(timer);
+    render();
+    if (!applying) apply();
+  }
+
+  function setPlaying(value) {
+    playing = value;
+    // Desde el último paso, reproducir vuelve a empezar
+    if (playing && index === lastIndex && !applying) {
+      goTo(0);
+      return;
+    }
+    render();
+    if (playing) scheduleNext();
+    else clearTimeout(timer);
+  }
+
+  panel.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action === 'previous') goTo(index - 1);
+    else if (action === 'next') goTo(index + 1);
+    else if (action === 'play') setPlaying(!playing);
+    else if (action === 'close') onClose();
+  });
+
+  // Atajos de teclado (no mientras se escribe en el panel de controles)
+  function onKeyDown(e) {
+    if (e.target.closest('input, textarea, select')) return;
+    if (e.key === 'ArrowRight') goTo(index + 1);
+    else if (e.key === 'ArrowLeft') goTo(index - 1);
+    else if (e.key === ' ' && !e.target.closest('button')) {
+      e.preventDefault();
+      setPlaying(!playing);
+    }
+  }
+  document.addEventListener('keydown', onKeyDown);
+
+  render();
+
+  return {
+    // Aplica el primer paso (o el indicado)
+    start(first = 0) {
+      goTo(first);
+    },
+
+    // Vuelve a dibujar el panel (p. ej. al cambiar de idioma)
+    refresh() {
+      render();
+      if (playing) scheduleNext();
+    },
+
+    destroy() {
+      clearTimeout(timer);
+      document.removeEventListener('keydown', onKeyDown);
+      panel.remove();
+    },
+  };
+}
@@ -0,0 +1,79 @@
+// ------------------------------
+// 📖 HISTORIAS (RECORRIDOS GUIADOS)
+// ------------------------------
+// Una historia es un JSON con pasos; cada paso es un estado del mapa (como
+// un preset) más un texto para el público:
+// {
+//   "title": "Migración interna",
+//   "params": { "basemap": "dark" },          // parámetros de URL comunes a todos los pasos
+//   "duration": 8,                            // segundos por paso al reproducir (opcional)
+//   "steps": [
+//     {
+//       "title": "Santiago expulsa", "caption": "Texto del paso",
+//       "view": { "lon": -70.65, "lat": -33.45, "zoom": 7, "pitch": 30, "bearing": 0 },
+//       "dataset": "censo2017",
+//       "filters": { "min": 100, "mindist": 50, "maxdist": 800, "top": 20, "origins": ["13101"], "dests": [] },
+//       "selected": "13101",
+//       "params": { "mode": "net" },          // cualquier otro parámetro de getConfigFromURL
+//       "duration": 10, "transition": 3       // segundos (opcionales)
+//     }
+//   ]
+// }
+// Lo que un paso no indica vuelve al valor por defecto, así que cada paso
+// se ve igual sin importar desde cuál se llegue.
+
+const DEFAULT_DURATION = 8; // segundos
+const DEFAULT_TRANSITION = 2; // segundos
+
+const VIEW_KEYS = ['lon', 'lat', 'zoom', 'pitch', 'bearing'];
+const FILTER_KEYS = ['min', 'mindist', 'maxdist', 'top', 'origins', 'dests'];
+
+const positiveNumber = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+
+// Parámetros de URL de un paso: { clave: valor } (los arreglos van como lista)
+function toParams(story, step, index) {
+  const params = { ...story.params, ...step.params };
+
+  for (const key of VIEW_KEYS) {
+    if (step.view?.[key] === undefined) continue;
+    if (!Number.isFinite(step.view[key])) {
+      throw new Error(`Paso ${index + 1}: view.${key} debe ser un número`);
+    }
+    params[key] = step.view[key];
+  }
+  for (const key of FILTER_KEYS) {
+    if (step.filters?.[key] !== undefined) params[key] = step.filters[key];
+  }
+  if (step.dataset) params.dataset = step.dataset;
+  if (step.selected) params.selected = step.selected;
+
+  return params;
+}
+
+// Valida y normaliza una historia. Devuelve
+// { title, steps: [{ title, caption, params, duration, transition }] }
+// con duration y transition en milisegundos.
+export function parseStory(json) {
+  if (!json || !Array.isArray(json.steps) || !json.steps.length) {
+    throw new Error('La historia no tiene pasos ("steps")');
+  }
+  const duration = positiveNumber(json.duration, DEFAULT_DURATION);
+
+  return {
+    title: json.title || '',
+    steps: json.steps.map((step, index) => ({
+      title: step.title || '',
+      caption: step.caption || '',
+      params: toParams(json, step, index),
+      duration: positiveNumber(step.duration, duration) * 1000,
+      transition: (Number.isFinite(step.transition) && step.transition >= 0 ? step.transition : DEFAULT_TRANSITION) * 1000,
+    })),
+  };
+}
+
+export async function loadStory(storyFile) {
+  console.log(`📖 Cargando historia: ${storyFile}`);
+  const response = await fetch(storyFile);
+  if (!response.ok) throw new Error(`No se pudo cargar ${storyFile}`);
+  return parseStory(await response.json());
+}
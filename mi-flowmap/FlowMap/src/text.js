@@ -0,0 +1,14 @@
+// ------------------------------
+// Utilidades de texto
+// ------------------------------
+
+// Quita tildes y diacríticos ("Ñuñoa" -> "Nunoa")
+export function stripAccents(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Forma canónica de los IDs de comuna que produce el notebook:
+// mayúsculas y sin tildes ("Ñuñoa" -> "NUNOA")
+export function normalizeId(value) {
+  return stripAccents(value).trim().toUpperCase();
+}
@@ -0,0 +1,84 @@
+import { escapeHTML } from './html.js';
+import { formatNumber } from './format.js';
+import { t } from './i18n.js';
+
+// ------------------------------
+// 💬 TOOLTIP DEL MAPA
+// ------------------------------
+// Caja y contenido comunes al mapa principal (app.js) y al componente
+// embebible (flowmap.js). Los nombres se escapan aquí: las funciones
+// reciben texto tal como viene de los datos.
+
+const TOOLTIP_STYLE = `
+  position: absolute;
+  display: none;
+  pointer-events: none;
+  padding: 12px;
+  background: rgba(0, 0, 0, 0.9);
+  color: white;
+  border-radius: 6px;
+  font-family: Arial, sans-serif;
+  font-size: 13px;
+  box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+  max-width: 300px;
+`;
+
+const SEPARATOR_STYLE = 'margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2);';
+
+// Caja vacía y oculta; quien la crea decide dónde agregarla
+export function createTooltipElement({ zIndex = 10 } = {}) {
+  const tooltip = document.createElement('div');
+  tooltip.style.cssText = `${TOOLTIP_STYLE} z-index: ${zIndex};`;
+  return tooltip;
+}
+
+// Muestra `html` junto al cursor (x, y relativos al contenedor de la caja)
+export function placeTooltip(tooltip, html, x, y) {
+  tooltip.innerHTML = html;
+  tooltip.style.left = `${x + 10}px`;
+  tooltip.style.top = `${y + 10}px`;
+  tooltip.style.display = 'block';
+}
+
+// Comuna: nombre e id
+export function locationTooltipHTML({ id, name }) {
+  return `
+    <div style="font-weight: bold; margin-bottom: 5px;">📍 ${escapeHTML(name || id)}</div>
+    <div style="font-size: 11px; opacity: 0.8;">${t('tooltip.id')}: ${escapeHTML(id)}</div>
+  `;
+}
+
+// Flujo: origen, destino y valor (por defecto, personas)
+export function flowTooltipHTML({ originName, destName, count }, label = t('tooltip.persons')) {
+  return `
+    <div style="font-weight: bold; margin-bottom: 8px;">🔄 ${t('tooltip.flowTitle')}</div>
+    <div style="margin-bottom: 4px;">
+      <span style="color: #4CAF50;">${t('tooltip.origin')}:</span> ${escapeHTML(originName)}
+    </div>
+    <div style="margin-bottom: 4px;">
+      <span style="color: #2196F3;">${t('tooltip.destination')}:</span> ${escapeHTML(destName)}
+    </div>
+    <div style="${SEPARATOR_STYLE}">
+      <span style="font-weight: bold; color: #FFC107;">${label}:</span> ${formatNumber(count)}
+    </div>
+  `;
+}
+
+// Flujo neto (net.js): bruto en ambos sentidos y saldo hacia el destino
+export function netFlowTooltipHTML({ originName, destName, forward, backward, count }) {
+  const origin = escapeHTML(originName);
+  const dest = escapeHTML(destName);
+  return `
+    <div style="font-weight: bold; margin-bottom: 8px;">⚖️ ${t('tooltip.netTitle')}</div>
+    <div style="margin-bottom: 4px;">
+      ${origin} → ${dest}: ${formatNumber(forward)}
+    </div>
+    <div style="margin-bottom: 4px;">
+      ${dest} → ${origin}: ${formatNumber(backward)}
+    </div>
+    <div style="${SEPARATOR_STYLE}">
+      <span style="font-weight: bold; color: #FFC107;">${t('tooltip.net')}:</span>
+      ${t('tooltip.netToward', { count, name: dest })}
+    </div>
+  `;
+}
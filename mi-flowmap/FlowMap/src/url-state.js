@@ -0,0 +1,66 @@
+// ------------------------------
+// 🔗 ESTADO EN LA URL Y PRESETS
+// ------------------------------
+// El estado de la vista (cámara, configuración, filtros y selección) se
+// escribe en el query string para que un reload o un link compartido
+// muestren lo mismo. Los presets guardan ese query string con un nombre.
+
+const PRESETS_KEY = 'flowmap-presets';
+
+const isEmpty = (value) =>
+  value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Parte de los parámetros actuales (conserva los que no son de estado,
+// como title o catalog) y reemplaza los de `state`. Los valores vacíos
+// se eliminan; los arreglos se unen con comas.
+export function buildStateParams(search, state) {
+  const params = new URLSearchParams(search);
+
+  for (const [key, value] of Object.entries(state)) {
+    if (isEmpty(value)) params.delete(key);
+    else params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+  }
+
+  return params;
+}
+
+// Lista separada por comas -> arreglo (sin vacíos)
+export function parseList(value) {
+  return value ? value.split(',').map((v) => v.trim()).filter(Boolean) : [];
+}
+
+// Reemplaza la URL sin agregar entradas al historial
+export function writeURL(params) {
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  window.history.replaceState(null, '', url);
+}
+
+// ------------------------------
+// Presets (localStorage)
+// ------------------------------
+// { [nombre]: query string }
+
+export function loadPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {};
+  } catch (error) {
+    console.warn("⚠️ Presets ilegibles:", error.message);
+    return {};
+  }
+}
+
+export function savePreset(name, query) {
+  const presets = loadPresets();
+  presets[name] = query;
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+}
+
+export function deletePreset(name) {
+  const presets = loadPresets();
+  delete presets[name];
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+}
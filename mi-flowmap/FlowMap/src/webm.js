@@ -0,0 +1,148 @@
+// ------------------------------
+// 🎞️ CONTENEDOR WEBM
+// ------------------------------
+// Arma un archivo WebM (Matroska) con una pista de video a partir de los
+// cuadros ya codificados por VideoEncoder (WebCodecs). Los navegadores
+// codifican pero no empaquetan, y MediaRecorder graba en tiempo real; así
+// los tiempos de cada cuadro son exactos aunque la máquina sea lenta.
+//
+// Solo lo necesario para reproducir: cabecera EBML, Info, Tracks y un
+// Cluster por cuadro clave (sin índice Cues).
+
+// Escala de tiempo del archivo: 1 ms (en ns)
+const TIMECODE_SCALE = 1000000;
+
+// Máximo desfase de un bloque dentro de su cluster (entero de 16 bits, en ms)
+const MAX_BLOCK_OFFSET = 32767;
+
+// ID de elemento EBML -> bytes (los IDs ya incluyen su marca de largo)
+function idBytes(id) {
+  const bytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) bytes.unshift(value % 256);
+  return bytes;
+}
+
+// Tamaño como entero de largo variable (vint), con el mínimo de bytes
+function sizeBytes(size) {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) length++;
+  const bytes = [];
+  let value = size;
+  for (let i = 0; i < length; i++) {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+function uintBytes(value) {
+  const bytes = [];
+  for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+  return bytes.length ? bytes : [0];
+}
+
+function floatBytes(value) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, value);
+  return [...new Uint8Array(view.buffer)];
+}
+
+const stringBytes = (value) => [...new TextEncoder().encode(value)];
+
+// Elemento: { id, data } donde data es un número (uint), un string, un
+// float ({ float }), bytes (Uint8Array) o una lista de elementos hijos.
+// Devuelve la lista de partes (arreglos o Uint8Array) para armar el Blob.
+function encode({ id, data }) {
+  let parts;
+  if (Array.isArray(data)) parts = data.flatMap(encode);
+  else if (data instanceof Uint8Array) parts = [data];
+  else if (typeof data === 'number') parts = [uintBytes(data)];
+  else if (typeof data === 'string') parts = [stringBytes(data)];
+  else parts = [floatBytes(data.float)];
+
+  const size = parts.reduce((acc, part) => acc + part.length, 0);
+  return [[...idBytes(id), ...sizeBytes(size)], ...parts];
+}
+
+// SimpleBlock de la pista 1: desfase en ms respecto del cluster y marca de cuadro clave
+function simpleBlock(chunk, offset) {
+  const header = new Uint8Array(4);
+  header[0] = 0x81; // pista 1 (vint)
+  new DataView(header.buffer).setInt16(1, offset);
+  header[3] = chunk.key ? 0x80 : 0;
+  const block = new Uint8Array(header.length + chunk.data.length);
+  block.set(header);
+  block.set(chunk.data, header.length);
+  return { id: 0xa3, data: block };
+}
+
+// Agrupa los cuadros en clusters que empiezan en un cuadro clave
+function buildClusters(chunks) {
+  const clusters = [];
+  let current = null;
+  for (const chunk of chunks) {
+    const time = Math.round(chunk.timestamp / 1000); // µs -> ms
+    if (!current || chunk.key || time - current.time > MAX_BLOCK_OFFSET) {
+      current = { time, blocks: [] };
+      clusters.push(current);
+    }
+    current.blocks.push(simpleBlock(chunk, time - current.time));
+  }
+  return clusters.map(({ time, blocks }) => ({
+    id: 0x1f43b675,
+    data: [{ id: 0xe7, data: time }, ...blocks],
+  }));
+}
+
+// chunks: [{ data: Uint8Array, timestamp (µs), key: boolean }] en orden.
+// codecId: 'V_VP9' o 'V_VP8'. duration en ms. Devuelve un Blob video/webm.
+export function muxWebM({ codecId, width, height, fps, duration, chunks }) {
+  const header = {
+    id: 0x1a45dfa3,
+    data: [
+      { id: 0x4286, data: 1 }, // EBMLVersion
+      { id: 0x42f7, data: 1 }, // EBMLReadVersion
+      { id: 0x42f2, data: 4 }, // EBMLMaxIDLength
+      { id: 0x42f3, data: 8 }, // EBMLMaxSizeLength
+      { id: 0x4282, data: 'webm' }, // DocType
+      { id: 0x4287, data: 4 }, // DocTypeVersion
+      { id: 0x4285, data: 2 }, // DocTypeReadVersion
+    ],
+  };
+
+  const segment = {
+    id: 0x18538067,
+    data: [
+      {
+        id: 0x1549a966, // Info
+        data: [
+          { id: 0x2ad7b1, data: TIMECODE_SCALE },
+          { id: 0x4d80, data: 'flowmap' }, // MuxingApp
+          { id: 0x5741, data: 'flowmap' }, // WritingApp
+          { id: 0x4489, data: { float: duration } }, // Duration (en TimecodeScale)
+        ],
+      },
+      {
+        id: 0x1654ae6b, // Tracks
+        data: [{
+          id: 0xae, // TrackEntry
+          data: [
+            { id: 0xd7, data: 1 }, // TrackNumber
+            { id: 0x73c5, data: 1 }, // TrackUID
+            { id: 0x83, data: 1 }, // TrackType: video
+            { id: 0x9c, data: 0 }, // FlagLacing
+            { id: 0x86, data: codecId },
+            { id: 0x23e383, data: Math.round(1e9 / fps) }, // DefaultDuration (ns)
+            { id: 0xe0, data: [{ id: 0xb0, data: width }, { id: 0xba, data: height }] }, // Video
+          ],
+        }],
+      },
+      ...buildClusters(chunks),
+    ],
+  };
+
+  const parts = [...encode(header), ...encode(segment)]
+    .map((part) => (part instanceof Uint8Array ? part : new Uint8Array(part)));
+  return new Blob(parts, { type: 'video/webm' });
+}
@@ -0,0 +1,75 @@
+// ------------------------------
+// 🗜️ LECTOR ZIP
+// ------------------------------
+// Lee el directorio central de un .zip y descomprime las entradas con
+// DecompressionStream ('deflate-raw'), sin librerías. Soporta entradas sin
+// comprimir (stored) y deflate, que es lo que producen el explorador de
+// archivos, `zip` y Python; no soporta zip64 ni entradas cifradas.
+
+const END_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const END_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+
+const textDecoder = new TextDecoder();
+
+export function isZip(bytes) {
+  return bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === LOCAL_SIGNATURE;
+}
+
+// Registro final del directorio central (el comentario del zip va después)
+function findEnd(view) {
+  const last = view.byteLength - END_SIZE;
+  for (let i = last; i >= Math.max(0, last - MAX_COMMENT); i--) {
+    if (view.getUint32(i, true) === END_SIGNATURE) return i;
+  }
+  throw new Error('no es un archivo zip válido');
+}
+
+async function inflate(data, method) {
+  if (method === 0) return data;
+  if (method !== 8) throw new Error(`método de compresión ${method} no soportado`);
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Entradas del zip (sin carpetas): [{ name, size, read() -> Promise<Uint8Array> }].
+// `name` incluye la ruta dentro del zip; read() descomprime solo esa entrada.
+export function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = findEnd(view);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('zip64 no soportado');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error('directorio del zip dañado');
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    entries.push({
+      name,
+      size,
+      read: () => {
+        if (flags & 1) return Promise.reject(new Error(`${name}: entrada cifrada`));
+        // Los datos empiezan después del encabezado local (con su propio largo de extra)
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        return inflate(bytes.subarray(start, start + compressedSize), method);
+      },
+    });
+  }
+  return entries;
+}
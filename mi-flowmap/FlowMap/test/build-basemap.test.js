@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { simplifyLine, simplifyGeometry } from '../src/geo.js';
+
+const run = promisify(execFile);
+const root = fileURLToPath(new URL('..', import.meta.url));
+const fixture = (name) => path.join(root, 'test', 'fixtures', name);
+
+test('simplifyLine quita los vértices casi alineados y conserva los extremos', () => {
+  const line = [[0, 0], [1, 0.0001], [2, 0], [3, 1], [4, 0]];
+  assert.deepEqual(simplifyLine(line, 0.01), [[0, 0], [2, 0], [3, 1], [4, 0]]);
+  assert.deepEqual(simplifyLine(line, 0), line);
+  assert.deepEqual(simplifyLine([[0, 0], [1, 1]], 10), [[0, 0], [1, 1]]);
+});
+
+test('simplifyGeometry descarta los polígonos que quedan sin área', () => {
+  const square = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+  const tiny = [[5, 5], [5.0001, 5], [5.0001, 5.0001], [5, 5]];
+  const hole = [[0.4, 0.4], [0.40001, 0.4], [0.4, 0.40001], [0.4, 0.4]];
+
+  assert.deepEqual(
+    simplifyGeometry({ type: 'MultiPolygon', coordinates: [[square, hole], [tiny]] }, 0.01),
+    { type: 'Polygon', coordinates: [square] }
+  );
+  assert.equal(simplifyGeometry({ type: 'Polygon', coordinates: [tiny] }, 0.01), null);
+  assert.equal(simplifyGeometry({ type: 'Point', coordinates: [0, 0] }, 0.01), null);
+});
+
+test('simplifyGeometry redondea las coordenadas', () => {
+  const ring = [[0.123456, 0], [1, 0.987654], [0, 1], [0.123456, 0]];
+  assert.deepEqual(simplifyGeometry({ type: 'Polygon', coordinates: [ring] }, 0, 2).coordinates[0][0], [0.12, 0]);
+});
+
+test('build-basemap escribe los contornos simplificados', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'build-basemap-'));
+  try {
+    const out = path.join(dir, 'basemap', 'comunas.geojson');
+    const { stdout } = await run(process.execPath, [
+      'scripts/build-basemap.js', '--in', fixture('comunas.geojson'), '--out', out,
+    ], { cwd: root });
+
+    assert.match(stdout, /2 de 2 comunas/);
+    const { type, features } = JSON.parse(await readFile(out, 'utf8'));
+    assert.equal(type, 'FeatureCollection');
+    assert.equal(features.length, 2);
+    assert.deepEqual(features[0].properties, {});
+    // El círculo de 200 vértices queda en unos pocos; el islote desaparece
+    assert.ok(features[0].geometry.coordinates[0].length < 40);
+    assert.equal(features[1].geometry.type, 'Polygon');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('build-basemap rechaza cartografía proyectada', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'build-basemap-'));
+  try {
+    const utm = path.join(dir, 'utm.geojson');
+    await writeFile(utm, JSON.stringify({
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [[[345000, 6290000], [346000, 6290000], [346000, 6291000], [345000, 6290000]]] } }],
+    }));
+    await assert.rejects(
+      run(process.execPath, ['scripts/build-basemap.js', '--in', utm, '--out', path.join(dir, 'out.geojson')], { cwd: root }),
+      (error) => error.code === 1 && /EPSG:4326/.test(error.stderr)
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
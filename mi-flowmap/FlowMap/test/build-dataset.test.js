@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+const run = promisify(execFile);
+const root = fileURLToPath(new URL('..', import.meta.url));
+const fixture = (name) => path.join(root, 'test', 'fixtures', name);
+
+test('build-dataset escribe flows.csv, locations.csv y la entrada del catálogo', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'build-dataset-'));
+  try {
+    const out = path.join(dir, 'rm_100');
+    const catalog = path.join(dir, 'datasets.json');
+    const { stdout } = await run(process.execPath, [
+      'scripts/build-dataset.js',
+      '--od', fixture('od.csv'),
+      '--places', fixture('places.csv'),
+      '--codes', fixture('codes.csv'),
+      '--min', '100',
+      '--out', out,
+      '--catalog', catalog,
+      '--title', 'RM (n > 100)',
+    ], { cwd: root });
+
+    assert.match(stdout, /2 flujos entre 3 comunas/);
+    assert.equal(
+      await readFile(path.join(out, 'flows.csv'), 'utf8'),
+      'origin,dest,count\nNUNOA,SANTIAGO,200\nSANTIAGO,LAS CONDES,180\n'
+    );
+    const locations = (await readFile(path.join(out, 'locations.csv'), 'utf8')).trim().split('\n');
+    assert.equal(locations[0], 'id,lat,lon,name');
+    assert.equal(locations.length, 4);
+
+    assert.deepEqual(JSON.parse(await readFile(catalog, 'utf8')), {
+      datasets: [{
+        id: 'rm_100',
+        title: 'RM (n > 100)',
+        description: '',
+        threshold: 100,
+        locations: 'rm_100/locations.csv',
+        flows: 'rm_100/flows.csv',
+      }],
+    });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('build-dataset falla sin las opciones obligatorias', async () => {
+  await assert.rejects(
+    run(process.execPath, ['scripts/build-dataset.js', '--od', fixture('od.csv')], { cwd: root }),
+    (error) => error.code === 1 && /Faltan --od, --places o --out/.test(error.stderr)
+  );
+});
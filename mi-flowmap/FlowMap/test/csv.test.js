@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCSV,
+  resolveColumns,
+  readTable,
+  readRows,
+  formatCSV,
+  LOCATION_SCHEMA,
+  FLOW_SCHEMA,
+} from '../src/csv.js';
+
+const values = (rows) => rows.map((row) => row.values);
+
+test('parseCSV lee campos entre comillas con comas, saltos de línea y comillas escapadas', () => {
+  const rows = parseCSV('id,name\n1,"Santiago, Centro"\n2,"Dice ""hola"""\n3,"dos\nlíneas"\n');
+  assert.deepEqual(values(rows), [
+    ['id', 'name'],
+    ['1', 'Santiago, Centro'],
+    ['2', 'Dice "hola"'],
+    ['3', 'dos\nlíneas'],
+  ]);
+});
+
+test('parseCSV: CRLF, BOM y líneas en blanco', () => {
+  const rows = parseCSV('\uFEFFid,n\r\n1,10\r\n\r\n2,20\r\n');
+  assert.deepEqual(values(rows), [['id', 'n'], ['1', '10'], ['2', '20']]);
+});
+
+test('parseCSV numera las filas por línea del archivo', () => {
+  const rows = parseCSV('a,b\n"x\ny",1\n\nz,2');
+  assert.deepEqual(rows.map((row) => row.line), [1, 2, 5]);
+});
+
+test('parseCSV acepta otro separador', () => {
+  assert.deepEqual(values(parseCSV('a;b\n1;2', ';')), [['a', 'b'], ['1', '2']]);
+});
+
+test('readTable reconoce alias y nombres con tildes o mayúsculas', () => {
+  const { records } = readTable('Orígen,DESTINO,n\nA,B,3\n', FLOW_SCHEMA);
+  assert.deepEqual(records, [{ origin: 'A', dest: 'B', count: 3 }]);
+});
+
+test('readTable acepta alias propios por campo', () => {
+  const { records } = readTable('desde,hasta,total\nA,B,3\n', FLOW_SCHEMA, {
+    aliases: { origin: 'desde', dest: ['a', 'hasta'], count: 'total' },
+  });
+  assert.deepEqual(records, [{ origin: 'A', dest: 'B', count: 3 }]);
+});
+
+test('resolveColumns reconoce alias y nombres con tildes o mayúsculas', () => {
+  const { columns, missing } = resolveColumns(['Orígen', 'DESTINO', 'n'], FLOW_SCHEMA);
+  assert.deepEqual(columns, { origin: 0, dest: 1, count: 2 });
+  assert.deepEqual(missing, []);
+});
+
+test('resolveColumns: los alias propios ganan a los nombres del esquema', () => {
+  const header = ['id', 'codigo_comuna', 'lat', 'lon'];
+  assert.equal(resolveColumns(header, LOCATION_SCHEMA).columns.id, 0);
+  assert.equal(resolveColumns(header, LOCATION_SCHEMA, { id: 'codigo_comuna' }).columns.id, 1);
+  assert.equal(resolveColumns(header, LOCATION_SCHEMA, { id: ['otra', 'codigo_comuna'] }).columns.id, 1);
+});
+
+test('resolveColumns informa los campos obligatorios sin columna', () => {
+  const { columns, missing } = resolveColumns(['id', 'latitud'], LOCATION_SCHEMA);
+  assert.deepEqual(columns, { id: 0, lat: 1 });
+  assert.deepEqual(missing, ['lon']);
+});
+
+test('readTable convierte tipos y rechaza filas inválidas con su motivo', () => {
+  const { records, rejected } = readTable(
+    'origen,destino,n\nA,B,10\nA,C,abc\n,B,5\nB,A, 7 \n',
+    FLOW_SCHEMA,
+    { file: 'flows.csv' }
+  );
+  assert.deepEqual(records, [
+    { origin: 'A', dest: 'B', count: 10 },
+    { origin: 'B', dest: 'A', count: 7 },
+  ]);
+  assert.deepEqual(rejected.map(({ file, line, reason }) => ({ file, line, reason })), [
+    { file: 'flows.csv', line: 3, reason: 'count: "abc" no es un número' },
+    { file: 'flows.csv', line: 4, reason: 'origin: valor vacío' },
+  ]);
+  assert.equal(rejected[0].raw, 'A,C,abc');
+});
+
+test('readTable valida rangos y usa el valor por defecto de los campos opcionales', () => {
+  const { records, rejected } = readTable('id,lat,lon\nA,-33.4,-70.6\nB,-95,-70\n', LOCATION_SCHEMA);
+  assert.deepEqual(records, [{ id: 'A', lat: -33.4, lon: -70.6, name: undefined }]);
+  assert.equal(rejected[0].reason, 'lat: -95 < -90');
+});
+
+test('readTable conserva las columnas extra en properties', () => {
+  const { records } = readTable('id,lat,lon,poblacion,region\nA,-33,-70,1200, RM \n', LOCATION_SCHEMA);
+  assert.deepEqual(records[0].properties, { poblacion: 1200, region: 'RM' });
+});
+
+test('readTable falla con un mensaje claro si faltan columnas o el archivo está vacío', () => {
+  assert.throws(
+    () => readTable('desde,hasta\nA,B\n', FLOW_SCHEMA, { file: 'od.csv' }),
+    /od\.csv: faltan columnas origin, dest, count \(encabezado: desde, hasta\)/
+  );
+  assert.throws(() => readTable('', FLOW_SCHEMA, { file: 'od.csv' }), /od\.csv: archivo vacío/);
+});
+
+test('readRows acepta valores ya tipados (JSON, Arrow, Parquet)', () => {
+  const rows = [
+    { line: 1, values: ['A', 'B', 10] },
+    { line: 2, values: ['A', 'C', 2n ** 60n] },
+    { line: 3, values: ['B', 'C', 3n] },
+  ];
+  const { records, rejected } = readRows(['origin', 'dest', 'count'], rows, FLOW_SCHEMA);
+  assert.deepEqual(records.map((r) => r.count), [10, 3]);
+  assert.match(rejected[0].reason, /no cabe exacto/);
+});
+
+test('formatCSV escapa comas, comillas y saltos de línea y se lee igual', () => {
+  const records = [{ id: 'A', name: 'Uno, "dos"' }, { id: 'B', name: 'tres\ncuatro' }];
+  const text = formatCSV(['id', 'name'], records);
+  assert.equal(text, 'id,name\nA,"Uno, ""dos"""\nB,"tres\ncuatro"\n');
+  assert.deepEqual(values(parseCSV(text)).slice(1), [['A', 'Uno, "dos"'], ['B', 'tres\ncuatro']]);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { readTable } from '../src/csv.js';
+import {
+  OD_SCHEMA,
+  CONTINENTAL_BBOX,
+  readCodeTables,
+  resolveName,
+  placesFromCSV,
+  inBBox,
+  buildDataset,
+} from '../src/dataset-builder.js';
+
+const fixture = (name) => readFileSync(new URL(`fixtures/${name}`, import.meta.url), 'utf8');
+
+const codes = readCodeTables([fixture('codes.csv')]);
+const { places } = placesFromCSV(fixture('places.csv'), { file: 'places.csv' });
+const odRecords = readTable(fixture('od.csv'), OD_SCHEMA).records;
+
+test('resolveName traduce códigos y normaliza nombres', () => {
+  assert.equal(resolveName('13101', codes), 'SANTIAGO');
+  assert.equal(resolveName(' Ñuñoa '), 'NUNOA');
+  assert.equal(resolveName('99999', codes), '99999');
+});
+
+test('readCodeTables: las tablas posteriores sobrescriben a las anteriores', () => {
+  const merged = readCodeTables(['codigo,nombre\n1,Uno\n2,Dos\n', 'codigo,nombre\n2,Otro\n']);
+  assert.equal(merged.get('1'), 'Uno');
+  assert.equal(merged.get('2'), 'Otro');
+});
+
+test('placesFromCSV normaliza IDs y lee la región', () => {
+  assert.equal(places.length, 5);
+  assert.deepEqual(places.find((p) => p.id === 'NUNOA'), {
+    id: 'NUNOA', name: 'NUNOA', lat: -33.46, lon: -70.6, region: '13',
+  });
+});
+
+test('placesFromCSV rechaza filas sin coordenadas válidas', () => {
+  const { places: valid, rejected } = placesFromCSV('id,lat,lon\nA,-33,-70\nB,,-70\nC,-33,abc\n');
+  assert.deepEqual(valid.map((p) => p.id), ['A']);
+  assert.equal(rejected.length, 2);
+});
+
+test('inBBox usa el recuadro de dentro_chile_continental (bordes excluidos)', () => {
+  assert.equal(inBBox({ lat: -33.45, lon: -70.66 }, CONTINENTAL_BBOX), true);
+  assert.equal(inBBox({ lat: -27.12, lon: -109.35 }, CONTINENTAL_BBOX), false); // Isla de Pascua
+  assert.equal(inBBox({ lat: -17, lon: -70 }, CONTINENTAL_BBOX), false);
+  assert.equal(inBBox({ lat: -56, lon: -70 }, CONTINENTAL_BBOX), false);
+  assert.equal(inBBox({ lat: -30, lon: -66 }, CONTINENTAL_BBOX), false);
+});
+
+test('buildDataset agrupa pares, filtra y cuenta lo descartado', () => {
+  const { flows, locations, stats } = buildDataset(odRecords, places, { codes, threshold: 100 });
+
+  assert.deepEqual(flows, [
+    { origin: 'NUNOA', dest: 'SANTIAGO', count: 200 },
+    { origin: 'SANTIAGO', dest: 'LAS CONDES', count: 180 },
+  ]);
+  assert.deepEqual(locations.map((l) => l.id).sort(), ['LAS CONDES', 'NUNOA', 'SANTIAGO']);
+  assert.equal(stats.rows, 7);
+  assert.equal(stats.people, 1090);
+  assert.equal(stats.pairs, 5);
+  assert.equal(stats.selfFlows, 1);
+  assert.equal(stats.outsideBBox, 1);
+  assert.equal(stats.belowThreshold, 1);
+  assert.deepEqual([...stats.unmatched], [['99999', 40]]);
+});
+
+test('buildDataset: opciones para islas, flujos internos y regiones', () => {
+  const all = buildDataset(odRecords, places, { codes, continentalOnly: false, keepSelfFlows: true });
+  assert.equal(all.flows.length, 5);
+  assert.ok(all.flows.some((f) => f.origin === 'SANTIAGO' && f.dest === 'SANTIAGO'));
+  assert.ok(all.flows.some((f) => f.dest === 'ISLA DE PASCUA'));
+
+  const toRegion5 = buildDataset(odRecords, places, { codes, continentalOnly: false, destRegions: ['5'] });
+  assert.deepEqual(toRegion5.flows, [{ origin: 'SANTIAGO', dest: 'ISLA DE PASCUA', count: 80 }]);
+  assert.equal(toRegion5.stats.outsideRegion, 3);
+});
+
+test('buildDataset: sin columna de conteo cada fila es una persona', () => {
+  const records = readTable('origen,destino\nSantiago,Ñuñoa\nSantiago,Ñuñoa\n', OD_SCHEMA).records;
+  const { flows } = buildDataset(records, places);
+  assert.deepEqual(flows, [{ origin: 'SANTIAGO', dest: 'NUNOA', count: 2 }]);
+});
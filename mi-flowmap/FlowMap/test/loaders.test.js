@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tableFromArrays, tableToIPC } from 'apache-arrow';
+import { detectFormat, fileNameOf, parseTable, readTableHeader, loadTable } from '../src/loaders.js';
+import { LOCATION_SCHEMA, FLOW_SCHEMA } from '../src/csv.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+test('detectFormat: formato explícito > extensión > Content-Type > contenido', () => {
+  const json = encode('[{"id": 1}]');
+  assert.equal(detectFormat({ file: 'datos.csv', bytes: json, format: 'json' }), 'json');
+  assert.equal(detectFormat({ file: 'datos.csv?v=2', bytes: json }), 'csv');
+  assert.equal(detectFormat({ file: 'datos', contentType: 'application/geo+json; charset=utf-8', bytes: json }), 'geojson');
+  assert.equal(detectFormat({ file: 'datos', bytes: json }), 'json');
+  assert.equal(detectFormat({ file: 'datos', bytes: encode('PAR1....') }), 'parquet');
+  assert.equal(detectFormat({ file: 'datos', bytes: encode('id,lat,lon') }), 'csv');
+  assert.throws(() => detectFormat({ format: 'xlsx' }), /Formato desconocido: xlsx/);
+});
+
+test('fileNameOf acepta URLs y archivos locales', () => {
+  assert.equal(fileNameOf('data/origenrm/flows.csv?v=3#x'), 'flows.csv');
+  assert.equal(fileNameOf(new File(['x'], 'viajes.json')), 'viajes.json');
+});
+
+test('parseTable lee JSON con números tipados y alias propios', async () => {
+  const data = encode(JSON.stringify([
+    { desde: 'A', origin: 'X', dest: 'B', count: 12 },
+    { desde: 'B', origin: 'Y', dest: 'A', count: '7' },
+  ]));
+  const { format, records } = await parseTable(data, FLOW_SCHEMA, { file: 'od.json', aliases: { origin: 'desde' } });
+  assert.equal(format, 'json');
+  assert.deepEqual(records.map(({ origin, dest, count }) => ({ origin, dest, count })), [
+    { origin: 'A', dest: 'B', count: 12 },
+    { origin: 'B', dest: 'A', count: 7 },
+  ]);
+  assert.deepEqual(records[0].properties, { origin: 'X' });
+});
+
+test('parseTable lee GeoJSON: coordenadas del punto o del centroide del polígono', async () => {
+  const geojson = {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', id: 'A', properties: { nombre: 'Punto', latitud: 0 }, geometry: { type: 'Point', coordinates: [-70.6, -33.4] } },
+      {
+        type: 'Feature',
+        id: 'B',
+        properties: { nombre: 'Cuadrado' },
+        geometry: { type: 'Polygon', coordinates: [[[-71, -34], [-69, -34], [-69, -32], [-71, -32], [-71, -34]]] },
+      },
+    ],
+  };
+  const { format, records } = await parseTable(encode(JSON.stringify(geojson)), LOCATION_SCHEMA, { file: 'comunas.geojson' });
+  assert.equal(format, 'geojson');
+  assert.deepEqual(records.map(({ id, name, lat, lon }) => ({ id, name, lat, lon })), [
+    { id: 'A', name: 'Punto', lat: -33.4, lon: -70.6 },
+    { id: 'B', name: 'Cuadrado', lat: -33, lon: -70 },
+  ]);
+});
+
+test('parseTable lee Arrow IPC', async () => {
+  const table = tableFromArrays({
+    origin: ['A', 'B'],
+    dest: ['B', 'A'],
+    count: Int32Array.from([5, 9]),
+  });
+  const { format, records } = await parseTable(tableToIPC(table, 'file'), FLOW_SCHEMA, { file: 'od.arrow' });
+  assert.equal(format, 'arrow');
+  assert.deepEqual(records, [
+    { origin: 'A', dest: 'B', count: 5 },
+    { origin: 'B', dest: 'A', count: 9 },
+  ]);
+});
+
+test('parseTable indica archivo y formato cuando el contenido no se puede leer', async () => {
+  await assert.rejects(parseTable(encode('{"a": 1}'), FLOW_SCHEMA, { file: 'od.json' }), /od\.json \(json\): se esperaba un arreglo de objetos/);
+  await assert.rejects(parseTable(encode(''), FLOW_SCHEMA, { file: 'od.csv' }), /od\.csv: archivo vacío/);
+});
+
+test('readTableHeader lee solo el encabezado', async () => {
+  const csv = encode(' origen , destino,n\nA,B,1\n');
+  assert.deepEqual(await readTableHeader(csv, { file: 'od.csv' }), { format: 'csv', header: ['origen', 'destino', 'n'] });
+
+  const json = encode('[{"id": "A", "lat": 1}, {"lon": 2}]');
+  assert.deepEqual(await readTableHeader(json, { file: 'datos' }), { format: 'json', header: ['id', 'lat', 'lon'] });
+});
+
+test('loadTable lee un File local sin red', async () => {
+  const file = new File(['id,lat,lon,nombre\nA,-33.4,-70.6,Santiago\n'], 'comunas.txt', { type: 'text/csv' });
+  const { format, records, rejected } = await loadTable(file, LOCATION_SCHEMA);
+  assert.equal(format, 'csv');
+  assert.deepEqual(records, [{ id: 'A', lat: -33.4, lon: -70.6, name: 'Santiago' }]);
+  assert.deepEqual(rejected, []);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { isZip, readZip } from '../src/zip.js';
+import { findDatasetFiles, createLocalDataset } from '../src/local-files.js';
+import { loadTable } from '../src/loaders.js';
+import { FLOW_SCHEMA } from '../src/csv.js';
+
+// dataset.zip: origenrm/comunas.csv (sin comprimir), origenrm/viajes.csv
+// (deflate), origenrm/notas.md y un archivo de __MACOSX
+const zipBytes = new Uint8Array(readFileSync(new URL('fixtures/dataset.zip', import.meta.url)));
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+const LOCATIONS_CSV = 'id,lat,lon,name\nSANTIAGO,-33.45,-70.66,Santiago\nLAS CONDES,-33.41,-70.57,Las Condes\n';
+const FLOWS_CSV = 'origen,destino,n\nSANTIAGO,LAS CONDES,120\nLAS CONDES,SANTIAGO,80\n';
+
+test('isZip reconoce la firma del zip', () => {
+  assert.equal(isZip(zipBytes), true);
+  assert.equal(isZip(new TextEncoder().encode(LOCATIONS_CSV)), false);
+  assert.equal(isZip(new Uint8Array([0x50, 0x4b])), false);
+});
+
+test('readZip lista las entradas sin carpetas y descomprime cada una', async () => {
+  const entries = readZip(zipBytes);
+  assert.deepEqual(entries.map(({ name, size }) => ({ name, size })), [
+    { name: 'origenrm/comunas.csv', size: LOCATIONS_CSV.length },
+    { name: 'origenrm/viajes.csv', size: FLOWS_CSV.length },
+    { name: 'origenrm/notas.md', size: 8 },
+    { name: '__MACOSX/origenrm/._viajes.csv', size: 1 },
+  ]);
+  assert.equal(decode(await entries[0].read()), LOCATIONS_CSV);
+  assert.equal(decode(await entries[1].read()), FLOWS_CSV);
+});
+
+test('readZip falla con un archivo que no es zip', () => {
+  assert.throws(() => readZip(new TextEncoder().encode(LOCATIONS_CSV)), /no es un archivo zip válido/);
+});
+
+test('findDatasetFiles distingue comunas y flujos por sus columnas', async () => {
+  // Nombres sin pistas, en orden inverso
+  const files = [new File([FLOWS_CSV], 'b.csv'), new File([LOCATIONS_CSV], 'a.csv')];
+  const { locations, flows } = await findDatasetFiles(files);
+
+  assert.equal(locations.file.name, 'a.csv');
+  assert.deepEqual(locations.columns, { id: 'id', lat: 'lat', lon: 'lon', name: 'name' });
+  assert.deepEqual(locations.missing, []);
+  assert.equal(flows.file.name, 'b.csv');
+  assert.equal(flows.format, 'csv');
+  assert.deepEqual(flows.columns, { origin: 'origen', dest: 'destino', count: 'n' });
+});
+
+test('findDatasetFiles abre el zip y omite archivos ocultos y que no son tablas', async () => {
+  const { locations, flows } = await findDatasetFiles([new File([zipBytes], 'origenrm.zip')]);
+  assert.equal(locations.file.name, 'comunas.csv');
+  assert.equal(flows.file.name, 'viajes.csv');
+  assert.equal(await flows.file.text(), FLOWS_CSV);
+});
+
+test('findDatasetFiles usa el nombre cuando las columnas no alcanzan', async () => {
+  const files = [
+    new File(['codigo_comuna,y,x\nA,-33,-70\n'], 'lugares.csv'),
+    new File(['desde,hasta,total\nA,B,3\n'], 'matriz_od.csv'),
+  ];
+  const { locations, flows } = await findDatasetFiles(files);
+  assert.equal(locations.file.name, 'lugares.csv');
+  assert.deepEqual(locations.missing, ['id']);
+  assert.equal(flows.file.name, 'matriz_od.csv');
+  assert.deepEqual(flows.missing, ['origin', 'dest', 'count']);
+});
+
+test('findDatasetFiles pide un archivo de comunas y uno de flujos', async () => {
+  await assert.rejects(findDatasetFiles([new File([FLOWS_CSV], 'flows.csv')]), /se necesita un archivo de comunas y uno de flujos/);
+});
+
+test('createLocalDataset arma la entrada con las columnas elegidas y se puede leer', async () => {
+  const files = [new File(['id,lat,lon\nA,-33,-70\nB,-34,-71\n'], 'lugares.csv'), new File(['desde,hasta,total\nA,B,3\n'], 'od.csv')];
+  const found = await findDatasetFiles(files);
+  const dataset = createLocalDataset(found, { flows: { origin: 'desde', dest: 'hasta', count: 'total' } });
+
+  assert.equal(dataset.id, 'local');
+  assert.equal(dataset.local, true);
+  assert.equal(dataset.title, 'lugares.csv + od.csv');
+  assert.deepEqual(dataset.formats, { locations: 'csv', flows: 'csv' });
+  assert.deepEqual(dataset.columns.locations, {});
+
+  const { records } = await loadTable(dataset.flowsFile, FLOW_SCHEMA, { aliases: dataset.columns.flows });
+  assert.deepEqual(records, [{ origin: 'A', dest: 'B', count: 3 }]);
+});
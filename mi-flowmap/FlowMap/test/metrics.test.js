@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeFlowTotals, getPopulations, applyFlowMetric } from '../src/metrics.js';
+
+const flows = [
+  { origin: 'PUENTE ALTO', dest: 'PUENTE ALTO', count: 900 },
+  { origin: 'PUENTE ALTO', dest: 'SANTIAGO', count: 60 },
+  { origin: 'PUENTE ALTO', dest: 'MAIPU', count: 40 },
+  { origin: 'MAIPU', dest: 'SANTIAGO', count: 20 },
+];
+
+test('computeFlowTotals no cuenta los flujos internos', () => {
+  const { outflow, inflow } = computeFlowTotals(flows);
+  assert.deepEqual(Object.fromEntries(outflow), { 'PUENTE ALTO': 100, MAIPU: 20 });
+  assert.deepEqual(Object.fromEntries(inflow), { SANTIAGO: 80, MAIPU: 40 });
+});
+
+test('applyFlowMetric: porcentajes sobre las salidas y llegadas entre comunas', () => {
+  const context = { populations: new Map(), totals: computeFlowTotals(flows) };
+  const interFlows = flows.slice(1);
+
+  const originShare = applyFlowMetric(interFlows, 'originShare', context);
+  assert.deepEqual(originShare.map((f) => f.count), [60, 40, 100]);
+  assert.deepEqual(originShare.map((f) => f.persons), [60, 40, 20]);
+
+  const destShare = applyFlowMetric(interFlows, 'destShare', context);
+  assert.deepEqual(destShare.map((f) => f.count), [75, 100, 25]);
+});
+
+test('applyFlowMetric: tasa por 1.000 habitantes y flujos sin población omitidos', () => {
+  const locations = [
+    { id: 'PUENTE ALTO', properties: { poblacion: 2000 } },
+    { id: 'MAIPU', properties: { poblacion: '' } },
+  ];
+  const context = { populations: getPopulations(locations, 'poblacion'), totals: computeFlowTotals(flows) };
+  const rate = applyFlowMetric(flows.slice(1), 'rate', context);
+  assert.deepEqual(rate.map((f) => [f.origin, f.dest, f.count]), [
+    ['PUENTE ALTO', 'SANTIAGO', 30],
+    ['PUENTE ALTO', 'MAIPU', 20],
+  ]);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildStateParams, parseList } from '../src/url-state.js';
+
+test('buildStateParams conserva los parámetros que no son de estado', () => {
+  const params = buildStateParams('?title=Flujos&catalog=otros.json&zoom=6', { zoom: 9.5 });
+  assert.equal(params.toString(), 'title=Flujos&catalog=otros.json&zoom=9.5');
+});
+
+test('buildStateParams elimina los valores vacíos', () => {
+  const params = buildStateParams('?origins=A&selected=B&min=50&renderer=arcs', {
+    origins: [],
+    selected: null,
+    min: '',
+    renderer: undefined,
+  });
+  assert.equal(params.toString(), '');
+});
+
+test('buildStateParams: las listas viajan separadas por comas y vuelven con parseList', () => {
+  const origins = ['LAS CONDES', 'ÑUÑOA', 'SANTIAGO'];
+  const params = buildStateParams('', { origins, anim: false, opacity: 0.8 });
+
+  const reloaded = new URLSearchParams(params.toString());
+  assert.deepEqual(parseList(reloaded.get('origins')), origins);
+  assert.equal(reloaded.get('anim'), 'false');
+  assert.equal(Number(reloaded.get('opacity')), 0.8);
+});
+
+test('buildStateParams quita los parámetros antiguos que se pasan como null', () => {
+  const params = buildStateParams('?particles=3000&speed=2&thickness=1', {
+    maxflows: 3000,
+    particles: null,
+    speed: null,
+    thickness: null,
+  });
+  assert.equal(params.toString(), 'maxflows=3000');
+});
+
+test('parseList descarta espacios y elementos vacíos', () => {
+  assert.deepEqual(parseList(' A , ,B,,C '), ['A', 'B', 'C']);
+  assert.deepEqual(parseList(''), []);
+  assert.deepEqual(parseList(null), []);
+});
@@ -0,0 +1,17 @@
+import { fileURLToPath } from 'node:url';
+
+// Dos páginas: la app completa (index.html) y el mapa embebible (embed.html).
+// El worker de datos es un módulo ES para poder cargar Arrow y Parquet bajo demanda.
+export default {
+  worker: {
+    format: 'es',
+  },
+  build: {
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        embed: fileURLToPath(new URL('./embed.html', import.meta.url)),
+      },
+    },
+  },
+};